@@ -1,7 +1,7 @@
 // GraphQL Client Examples for eBayClone API
 // This file demonstrates all available queries and mutations
 
-const GRAPHQL_ENDPOINT = 'http://localhost:4000/graphql';
+const GRAPHQL_ENDPOINT = process.env.GRAPHQL_ENDPOINT || 'http://localhost:4000/graphql';
 
 // Helper function to make GraphQL requests
 async function graphqlRequest(query, variables = {}, token = null) {
@@ -32,6 +32,41 @@ async function graphqlRequest(query, variables = {}, token = null) {
   return result.data;
 }
 
+// Helper function to upload files with a GraphQL multipart request.
+// files: [{ variable, name, type, content }], where variable is the path of
+// the Upload in the variables, e.g. 'input.images.0' or 'images.1'
+async function uploadRequest(query, variables = {}, files = [], token = null) {
+  const headers = {};
+
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const form = new FormData();
+  form.append('operations', JSON.stringify({ query, variables }));
+  form.append('map', JSON.stringify(
+    Object.fromEntries(files.map((file, index) => [index, [`variables.${file.variable}`]]))
+  ));
+  files.forEach((file, index) => {
+    form.append(String(index), new Blob([file.content], { type: file.type }), file.name);
+  });
+
+  const response = await fetch(GRAPHQL_ENDPOINT, {
+    method: 'POST',
+    headers,
+    body: form,
+  });
+
+  const result = await response.json();
+  
+  if (result.errors) {
+    console.error('GraphQL Errors:', result.errors);
+    throw new Error(result.errors[0].message);
+  }
+  
+  return result.data;
+}
+
 // Example 1: Create a new user
 async function createUserExample() {
   console.log('\n=== Creating User ===');
@@ -361,6 +396,7 @@ if (require.main === module) {
 
 module.exports = {
   graphqlRequest,
+  uploadRequest,
   createUserExample,
   loginExample,
   getUserExample,
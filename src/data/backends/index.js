@@ -0,0 +1,25 @@
+// Storage backend selection. STORAGE_BACKEND picks the implementation:
+//   memory (default) - plain arrays, wiped on every restart
+//   sqlite           - a SQLite database file at SQLITE_PATH
+
+const path = require('path');
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '../../../data/ebayclone.sqlite');
+
+function createBackend(type = process.env.STORAGE_BACKEND || 'memory') {
+  switch (type) {
+    case 'memory': {
+      const MemoryBackend = require('./memoryBackend');
+      return new MemoryBackend();
+    }
+    case 'sqlite': {
+      // Loaded lazily so the native module is only needed when it is used
+      const SqliteBackend = require('./sqliteBackend');
+      return new SqliteBackend(process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${type}" (expected "memory" or "sqlite")`);
+  }
+}
+
+module.exports = { createBackend };
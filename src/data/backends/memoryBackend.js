@@ -0,0 +1,79 @@
+// In-memory storage backend. Records live for the lifetime of the process,
+// so every restart starts from an empty store.
+
+class MemoryBackend {
+  constructor() {
+    this.tables = {};
+    this.nextIds = {}; // Auto-increment IDs per table
+  }
+
+  getTable(table) {
+    if (!this.tables[table]) {
+      this.tables[table] = [];
+      this.nextIds[table] = 1;
+    }
+    return this.tables[table];
+  }
+
+  insert(table, record) {
+    const rows = this.getTable(table);
+    const row = {
+      id: this.nextIds[table]++,
+      ...record,
+    };
+    rows.push(row);
+    return row;
+  }
+
+  findById(table, id) {
+    return this.getTable(table).find(row => row.id === id) || null;
+  }
+
+  // Rows with the given ids, in no particular order
+  findByIds(table, ids) {
+    const idSet = new Set(ids);
+    return this.getTable(table).filter(row => idSet.has(row.id));
+  }
+
+  findOne(table, where) {
+    return this.findMany(table, where)[0] || null;
+  }
+
+  // Rows whose fields equal every value in `where`, oldest first
+  findMany(table, where = {}) {
+    const conditions = Object.entries(where);
+    return this.getTable(table).filter(row =>
+      conditions.every(([field, value]) => (row[field] ?? null) === (value ?? null))
+    );
+  }
+
+  update(table, id, changes) {
+    const rows = this.getTable(table);
+    const rowIndex = rows.findIndex(row => row.id === id);
+    if (rowIndex === -1) return null;
+
+    rows[rowIndex] = {
+      ...rows[rowIndex],
+      ...changes,
+    };
+    return rows[rowIndex];
+  }
+
+  remove(table, id) {
+    const rows = this.getTable(table);
+    const rowIndex = rows.findIndex(row => row.id === id);
+    if (rowIndex === -1) return false;
+
+    rows.splice(rowIndex, 1);
+    return true;
+  }
+
+  // Every call already runs to completion without yielding
+  transaction(fn) {
+    return fn();
+  }
+
+  close() {}
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,148 @@
+// SQLite storage backend. Each table keeps its records as JSON documents in
+// a `data` column next to the integer primary key; lookups go through
+// json_extract, with indexes on the fields queried most (see migrations/).
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Field names are interpolated into SQL, so only plain identifiers are allowed
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function assertIdentifier(name) {
+  if (!IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return name;
+}
+
+// SQLite has no boolean type; json_extract reports JSON booleans as 1/0
+function toSqlValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function toRecord(row) {
+  return row ? { id: row.id, ...JSON.parse(row.data) } : null;
+}
+
+class SqliteBackend {
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.statements = new Map();
+
+    this.migrate();
+  }
+
+  // Apply any migration files that have not been run against this database yet
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+
+    fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql') && !applied.has(file))
+      .sort()
+      .forEach(file => {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        this.db.transaction(() => {
+          this.db.exec(sql);
+          this.db
+            .prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)')
+            .run(file, new Date().toISOString());
+        })();
+      });
+  }
+
+  // Prepared statements are cached by their SQL text
+  statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  insert(table, record) {
+    const { id, ...data } = record;
+    const result = this.statement(`INSERT INTO ${assertIdentifier(table)} (data) VALUES (?)`)
+      .run(JSON.stringify(data));
+
+    return this.findById(table, Number(result.lastInsertRowid));
+  }
+
+  findById(table, id) {
+    const row = this.statement(`SELECT id, data FROM ${assertIdentifier(table)} WHERE id = ?`).get(id);
+    return toRecord(row);
+  }
+
+  // Rows with the given ids, in no particular order
+  findByIds(table, ids) {
+    if (ids.length === 0) return [];
+
+    const placeholders = ids.map(() => '?').join(', ');
+    return this.db
+      .prepare(`SELECT id, data FROM ${assertIdentifier(table)} WHERE id IN (${placeholders})`)
+      .all(...ids)
+      .map(toRecord);
+  }
+
+  findOne(table, where) {
+    return this.findMany(table, where)[0] || null;
+  }
+
+  // Rows whose fields equal every value in `where`, oldest first
+  findMany(table, where = {}) {
+    const conditions = Object.entries(where);
+    const clause = conditions.length > 0
+      ? ` WHERE ${conditions.map(([field]) => `json_extract(data, '$.${assertIdentifier(field)}') IS ?`).join(' AND ')}`
+      : '';
+
+    return this.statement(`SELECT id, data FROM ${assertIdentifier(table)}${clause} ORDER BY id`)
+      .all(...conditions.map(([, value]) => toSqlValue(value)))
+      .map(toRecord);
+  }
+
+  update(table, id, changes) {
+    return this.transaction(() => {
+      const existing = this.findById(table, id);
+      if (!existing) return null;
+
+      const { id: _, ...data } = { ...existing, ...changes };
+      this.statement(`UPDATE ${assertIdentifier(table)} SET data = ? WHERE id = ?`)
+        .run(JSON.stringify(data), id);
+
+      return this.findById(table, id);
+    });
+  }
+
+  remove(table, id) {
+    const result = this.statement(`DELETE FROM ${assertIdentifier(table)} WHERE id = ?`).run(id);
+    return result.changes > 0;
+  }
+
+  // Run fn atomically; nested calls become savepoints
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
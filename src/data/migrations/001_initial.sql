@@ -0,0 +1,45 @@
+-- Initial schema: one JSON document table per collection
+
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_users_email ON users (json_extract(data, '$.email'));
+
+CREATE TABLE listings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_listings_user_id ON listings (json_extract(data, '$.userId'));
+
+CREATE TABLE orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_orders_user_id ON orders (json_extract(data, '$.userId'));
+CREATE INDEX idx_orders_seller_id ON orders (json_extract(data, '$.sellerId'));
+CREATE INDEX idx_orders_listing_id ON orders (json_extract(data, '$.listingId'));
+
+CREATE TABLE bids (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_bids_listing_id ON bids (json_extract(data, '$.listingId'));
+
+CREATE TABLE max_bids (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_max_bids_listing_id ON max_bids (json_extract(data, '$.listingId'));
+
+CREATE TABLE offers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_offers_listing_id ON offers (json_extract(data, '$.listingId'));
+
+CREATE TABLE sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_sessions_token ON sessions (json_extract(data, '$.token'));
@@ -0,0 +1,8 @@
+-- Buyer and seller feedback left on delivered orders
+
+CREATE TABLE feedback (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_feedback_order_id ON feedback (json_extract(data, '$.orderId'));
+CREATE INDEX idx_feedback_recipient_id ON feedback (json_extract(data, '$.recipientId'));
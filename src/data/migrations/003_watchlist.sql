@@ -0,0 +1,8 @@
+-- Listings users are watching
+
+CREATE TABLE watchlist (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_watchlist_user_id ON watchlist (json_extract(data, '$.userId'));
+CREATE INDEX idx_watchlist_listing_id ON watchlist (json_extract(data, '$.listingId'));
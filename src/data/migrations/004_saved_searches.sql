@@ -0,0 +1,15 @@
+-- Saved listing filters and the new listings that matched them
+
+CREATE TABLE saved_searches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_saved_searches_user_id ON saved_searches (json_extract(data, '$.userId'));
+
+CREATE TABLE saved_search_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_saved_search_alerts_user_id ON saved_search_alerts (json_extract(data, '$.userId'));
+CREATE INDEX idx_saved_search_alerts_saved_search_id ON saved_search_alerts (json_extract(data, '$.savedSearchId'));
+CREATE INDEX idx_saved_search_alerts_listing_id ON saved_search_alerts (json_extract(data, '$.listingId'));
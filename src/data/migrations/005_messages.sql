@@ -0,0 +1,17 @@
+-- Buyer-seller conversations about a listing or an order
+
+CREATE TABLE message_threads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_message_threads_buyer_id ON message_threads (json_extract(data, '$.buyerId'));
+CREATE INDEX idx_message_threads_seller_id ON message_threads (json_extract(data, '$.sellerId'));
+CREATE INDEX idx_message_threads_listing_id ON message_threads (json_extract(data, '$.listingId'));
+CREATE INDEX idx_message_threads_order_id ON message_threads (json_extract(data, '$.orderId'));
+
+CREATE TABLE messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_messages_thread_id ON messages (json_extract(data, '$.threadId'));
+CREATE INDEX idx_messages_recipient_id ON messages (json_extract(data, '$.recipientId'));
@@ -0,0 +1,8 @@
+-- Shopping cart lines, one per user and listing
+
+CREATE TABLE cart_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_cart_items_user_id ON cart_items (json_extract(data, '$.userId'));
+CREATE INDEX idx_cart_items_listing_id ON cart_items (json_extract(data, '$.listingId'));
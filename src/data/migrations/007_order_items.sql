@@ -0,0 +1,16 @@
+-- Orders hold a list of items instead of a single listing and quantity.
+-- Existing orders become one item priced at their total per unit.
+
+UPDATE orders
+SET data = json_remove(
+  json_set(data, '$.items', json_array(json_object(
+    'listingId', json_extract(data, '$.listingId'),
+    'quantity', json_extract(data, '$.quantity'),
+    'unitPrice', round(json_extract(data, '$.totalPrice') / json_extract(data, '$.quantity'), 2)
+  ))),
+  '$.listingId',
+  '$.quantity'
+)
+WHERE json_extract(data, '$.items') IS NULL;
+
+DROP INDEX idx_orders_listing_id;
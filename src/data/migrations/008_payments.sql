@@ -0,0 +1,7 @@
+-- Order payments and their gateway transactions
+
+CREATE TABLE payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_payments_order_id ON payments (json_extract(data, '$.orderId'));
@@ -0,0 +1,7 @@
+-- Buyer return requests on delivered orders
+
+CREATE TABLE return_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  data TEXT NOT NULL
+);
+CREATE INDEX idx_return_requests_order_id ON return_requests (json_extract(data, '$.orderId'));
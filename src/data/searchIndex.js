@@ -0,0 +1,186 @@
+// Inverted index over listing text with BM25 ranking. The index lives in
+// memory next to the storage backend; DataStore rebuilds it from the stored
+// listings on first use and updates it as listings change.
+
+const { tokenize, stem, analyze, editDistance, getMaxEdits, STOP_WORDS } = require('../utils/text');
+
+// Indexed fields and how much a match in each one counts
+const FIELD_WEIGHTS = {
+  title: 3,
+  category: 2,
+  location: 1,
+  description: 1,
+};
+
+// BM25 parameters: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Longest snippet returned for a highlighted field
+const SNIPPET_LENGTH = 160;
+
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(listingId -> weighted term frequency)
+    this.documents = new Map(); // listingId -> { length, terms }
+    this.totalLength = 0;
+  }
+
+  add(listing) {
+    this.remove(listing.id);
+
+    const frequencies = new Map();
+    let length = 0;
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      analyze(listing[field]).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(listing.id, frequency);
+    });
+
+    this.documents.set(listing.id, { length, terms: [...frequencies.keys()] });
+    this.totalLength += length;
+  }
+
+  remove(listingId) {
+    const document = this.documents.get(listingId);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(listingId);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.documents.delete(listingId);
+    this.totalLength -= document.length;
+  }
+
+  // Indexed terms matching a query term exactly or within its typo allowance,
+  // with the number of edits needed
+  expandTerm(queryTerm) {
+    const maxEdits = getMaxEdits(queryTerm);
+    const variants = [];
+
+    this.postings.forEach((posting, term) => {
+      const distance = term === queryTerm ? 0 : editDistance(queryTerm, term, maxEdits);
+      if (distance <= maxEdits) {
+        variants.push({ term, distance });
+      }
+    });
+
+    return variants;
+  }
+
+  // Listings containing every query term (allowing typos), best match first.
+  // Returns null when the query has no searchable terms.
+  search(query) {
+    const queryTerms = [...new Set(analyze(query))];
+    if (queryTerms.length === 0) return null;
+
+    const documentCount = this.documents.size;
+    const averageLength = documentCount > 0 ? this.totalLength / documentCount : 0;
+    let results = null;
+
+    for (const queryTerm of queryTerms) {
+      const termResults = new Map(); // listingId -> { score, term }
+
+      this.expandTerm(queryTerm).forEach(({ term, distance }) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+        // Each typo halves the weight of a fuzzy match
+        const fuzzyPenalty = 1 / (1 + distance);
+
+        posting.forEach((frequency, listingId) => {
+          const { length } = this.documents.get(listingId);
+          const normalization = K1 * (1 - B + B * (length / averageLength));
+          const score = idf * ((frequency * (K1 + 1)) / (frequency + normalization)) * fuzzyPenalty;
+
+          // Several variants can match one listing; only the best one counts
+          const current = termResults.get(listingId);
+          if (!current || score > current.score) {
+            termResults.set(listingId, { score, term });
+          }
+        });
+      });
+
+      // Every query term must match
+      if (results === null) {
+        results = new Map([...termResults].map(([listingId, { score, term }]) => [
+          listingId,
+          { id: listingId, score, matchedTerms: [term] },
+        ]));
+      } else {
+        results.forEach((result, listingId) => {
+          const match = termResults.get(listingId);
+          if (match) {
+            result.score += match.score;
+            result.matchedTerms.push(match.term);
+          } else {
+            results.delete(listingId);
+          }
+        });
+      }
+
+      if (results.size === 0) break;
+    }
+
+    return [...results.values()].sort((a, b) => b.score - a.score || b.id - a.id);
+  }
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Listing fields containing any of the matched terms, HTML-escaped, with the
+// matching words wrapped in <em> tags. Long fields are cut down to a snippet
+// around the first match.
+function highlightListing(listing, matchedTerms) {
+  const terms = new Set(matchedTerms);
+
+  return Object.keys(FIELD_WEIGHTS).reduce((highlights, field) => {
+    const text = listing[field];
+    if (!text) return highlights;
+
+    const matches = tokenize(text).filter(({ word }) => !STOP_WORDS.has(word) && terms.has(stem(word)));
+    if (matches.length === 0) return highlights;
+
+    let from = 0;
+    let to = text.length;
+    if (text.length > SNIPPET_LENGTH) {
+      from = Math.max(0, matches[0].start - SNIPPET_LENGTH / 4);
+      to = Math.min(text.length, from + SNIPPET_LENGTH);
+    }
+
+    let snippet = from > 0 ? '…' : '';
+    let position = from;
+    matches
+      .filter(({ start, end }) => start >= from && end <= to)
+      .forEach(({ start, end }) => {
+        snippet += `${escapeHtml(text.slice(position, start))}<em>${escapeHtml(text.slice(start, end))}</em>`;
+        position = end;
+      });
+    snippet += escapeHtml(text.slice(position, to));
+    if (to < text.length) snippet += '…';
+
+    highlights.push({ field, snippet });
+    return highlights;
+  }, []);
+}
+
+module.exports = {
+  SearchIndex,
+  highlightListing,
+  FIELD_WEIGHTS,
+};
@@ -0,0 +1,86 @@
+// Sample data for development and tests. Seeding is skipped when the sample
+// users already exist, so it is safe to run against a persistent database on
+// every start.
+//
+// Run directly with `npm run db:seed`, or set SEED_DATA=true when starting
+// the server (the default for the in-memory backend).
+
+const SAMPLE_PASSWORD_HASH = '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi'; // password: "password"
+
+function seedSampleData(store) {
+  if (store.getUserByEmail('john@example.com')) {
+    return false;
+  }
+
+  store.backend.transaction(() => {
+    // Sample users
+    store.createUser({
+      username: 'john_doe',
+      email: 'john@example.com',
+      password: SAMPLE_PASSWORD_HASH,
+    });
+
+    store.createUser({
+      username: 'jane_smith',
+      email: 'jane@example.com',
+      password: SAMPLE_PASSWORD_HASH,
+    });
+
+    // Sample listings
+    store.createListing({
+      title: 'iPhone 13 Pro Max',
+      description: 'Brand new, still in box',
+      price: 999.99,
+      category: 'electronics',
+      condition: 'NEW',
+      location: 'New York, NY',
+      images: ['iphone1.jpg', 'iphone2.jpg'],
+      listingType: 'FIXED_PRICE',
+      quantityAvailable: 5,
+      quantitySold: 1,
+      soldOut: false,
+      userId: 1,
+    });
+
+    store.createListing({
+      title: 'Vintage Guitar',
+      description: 'Classic acoustic guitar in excellent condition',
+      price: 450.00,
+      category: 'music',
+      condition: 'GOOD',
+      location: 'Los Angeles, CA',
+      images: ['guitar1.jpg'],
+      listingType: 'FIXED_PRICE',
+      quantityAvailable: 1,
+      quantitySold: 0,
+      soldOut: false,
+      userId: 2,
+    });
+
+    // Sample orders
+    store.createOrder({
+      userId: 2,
+      items: [{ listingId: 1, quantity: 1, unitPrice: 999.99 }],
+      totalPrice: 999.99,
+      shippingAddress: {
+        street: '123 Main St',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10001',
+        country: 'USA'
+      },
+      buyerNotes: 'Please deliver after 5 PM',
+    });
+  });
+
+  return true;
+}
+
+module.exports = { seedSampleData };
+
+if (require.main === module) {
+  const dataStore = require('./store');
+  const seeded = seedSampleData(dataStore);
+  console.log(seeded ? '🌱 Sample data seeded' : 'ℹ️  Store already has data, skipping seed');
+  dataStore.backend.close();
+}
@@ -1,222 +1,389 @@
-// In-memory data store for demonstration
-// In production, this would be replaced with a real database
+// Data store: the marketplace's data access methods, written once on top of
+// a pluggable storage backend (see ./backends). The backend is chosen with
+// the STORAGE_BACKEND environment variable.
+
+const { resolveProxyBids } = require('../utils/auction');
+const { createBackend } = require('./backends');
+const { SearchIndex } = require('./searchIndex');
+const { sortRecords } = require('../utils/pagination');
+const {
+  DEFAULT_CURRENCY,
+  validateCurrency,
+  isSupportedCurrency,
+  getListingCurrency,
+  getExchangeRate,
+  convertAmount,
+  roundToCurrency,
+} = require('../utils/currency');
+
+// Table names shared by every backend
+const TABLES = {
+  USERS: 'users',
+  LISTINGS: 'listings',
+  ORDERS: 'orders',
+  BIDS: 'bids',
+  MAX_BIDS: 'max_bids', // Hidden proxy bid maximums, one per bidder per listing
+  OFFERS: 'offers',
+  FEEDBACK: 'feedback',
+  WATCHLIST: 'watchlist',
+  SAVED_SEARCHES: 'saved_searches',
+  SAVED_SEARCH_ALERTS: 'saved_search_alerts',
+  MESSAGE_THREADS: 'message_threads',
+  MESSAGES: 'messages',
+  CART_ITEMS: 'cart_items',
+  PAYMENTS: 'payments', // One per paid order, with its gateway transactions
+  RETURN_REQUESTS: 'return_requests',
+  SESSIONS: 'sessions', // Track active sessions
+};
+
+// Every condition gets a facet bucket, even when no listing has it
+const LISTING_CONDITIONS = ['NEW', 'LIKE_NEW', 'GOOD', 'FAIR', 'POOR'];
+
+// Locations match regardless of case and surrounding whitespace
+function normalizeLocation(location) {
+  return (location || '').trim().toLowerCase();
+}
+
+// A listing's price in the filter's currency, at the current rates
+function getFilterPrice(listing, filter) {
+  return convertAmount(listing.price, getListingCurrency(listing), filter.currency || DEFAULT_CURRENCY);
+}
+
+// The listings passing every non-search filter
+function applyListingFilter(listings, filter) {
+  // Checked even without a price range, so an unknown currency is an error
+  if (filter.currency !== undefined && filter.currency !== null) {
+    validateCurrency(filter.currency);
+  }
+
+  let filteredListings = listings;
+
+  // Sold out listings are hidden unless explicitly requested
+  if (!filter.includeSoldOut) {
+    filteredListings = filteredListings.filter(listing => !listing.soldOut);
+  }
+
+  if (filter.priceMin !== undefined) {
+    filteredListings = filteredListings.filter(listing => getFilterPrice(listing, filter) >= filter.priceMin);
+  }
+
+  if (filter.priceMax !== undefined) {
+    filteredListings = filteredListings.filter(listing => getFilterPrice(listing, filter) <= filter.priceMax);
+  }
+
+  if (filter.category) {
+    filteredListings = filteredListings.filter(listing => listing.category === filter.category);
+  }
+
+  if (filter.condition) {
+    filteredListings = filteredListings.filter(listing => listing.condition === filter.condition);
+  }
+
+  if (filter.location) {
+    const location = normalizeLocation(filter.location);
+    filteredListings = filteredListings.filter(listing => normalizeLocation(listing.location) === location);
+  }
+
+  return filteredListings;
+}
+
+// Map of value -> number of records, skipping records without a value
+function countBy(records, getValue) {
+  return records.reduce((counts, record) => {
+    const value = getValue(record);
+    if (value !== undefined && value !== null && value !== '') {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return counts;
+  }, new Map());
+}
+
+// Facet buckets, most common value first
+function toFacetBuckets(counts) {
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
 
 class DataStore {
-  constructor() {
-    this.users = [];
-    this.listings = [];
-    this.orders = [];
-    this.sessions = new Set(); // Track active sessions
-    
-    // Auto-increment IDs
-    this.nextUserId = 1;
-    this.nextListingId = 1;
-    this.nextOrderId = 1;
-    
-    // Initialize with some sample data
-    this.initializeSampleData();
-  }
-
-  initializeSampleData() {
-    // Sample users
-    this.users.push({
-      id: this.nextUserId++,
-      username: 'john_doe',
-      email: 'john@example.com',
-      password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // password: "password"
-    });
-
-    this.users.push({
-      id: this.nextUserId++,
-      username: 'jane_smith',
-      email: 'jane@example.com',
-      password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // password: "password"
-    });
-
-    // Sample listings
-    this.listings.push({
-      id: this.nextListingId++,
-      title: 'iPhone 13 Pro Max',
-      description: 'Brand new, still in box',
-      price: 999.99,
-      category: 'electronics',
-      condition: 'NEW',
-      location: 'New York, NY',
-      images: ['iphone1.jpg', 'iphone2.jpg'],
-      userId: 1,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    });
+  constructor(backend) {
+    this.backend = backend;
+    this.searchIndex = null; // Built from the stored listings on first search
+  }
 
-    this.listings.push({
-      id: this.nextListingId++,
-      title: 'Vintage Guitar',
-      description: 'Classic acoustic guitar in excellent condition',
-      price: 450.00,
-      category: 'music',
-      condition: 'GOOD',
-      location: 'Los Angeles, CA',
-      images: ['guitar1.jpg'],
-      userId: 2,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    });
+  // Look up several records in one backend call, keeping the order of ids
+  findByIds(table, ids) {
+    const recordsById = new Map(
+      this.backend.findByIds(table, [...new Set(ids)]).map(record => [record.id, record])
+    );
+    return ids.map(id => recordsById.get(id) || null);
+  }
 
-    // Sample orders
-    this.orders.push({
-      id: this.nextOrderId++,
-      userId: 2,
-      listingId: 1,
-      quantity: 1,
-      totalPrice: 999.99,
-      status: 'PENDING',
-      shippingAddress: {
-        street: '123 Main St',
-        city: 'New York',
-        state: 'NY',
-        zipCode: '10001',
-        country: 'USA'
-      },
-      buyerNotes: 'Please deliver after 5 PM',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    });
+  // Run several store calls as one unit: with SQLite, a throw rolls all of
+  // them back
+  transaction(fn) {
+    return this.backend.transaction(fn);
   }
 
   // User methods
   createUser(userData) {
-    const user = {
-      id: this.nextUserId++,
+    return this.backend.insert(TABLES.USERS, {
       ...userData,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-    };
-    this.users.push(user);
-    return user;
+    });
   }
 
   getUserById(id) {
-    return this.users.find(user => user.id === id);
+    return this.backend.findById(TABLES.USERS, id);
+  }
+
+  // Batch lookup: one entry per id, in the same order, null where missing
+  getUsersByIds(ids) {
+    return this.findByIds(TABLES.USERS, ids);
   }
 
   getUserByEmail(email) {
-    return this.users.find(user => user.email === email);
+    return this.backend.findOne(TABLES.USERS, { email });
   }
 
   updateUser(id, updates) {
-    const userIndex = this.users.findIndex(user => user.id === id);
-    if (userIndex === -1) return null;
-    
-    this.users[userIndex] = {
-      ...this.users[userIndex],
+    return this.backend.update(TABLES.USERS, id, {
       ...updates,
       updatedAt: new Date().toISOString(),
-    };
-    return this.users[userIndex];
+    });
   }
 
   deleteUser(id) {
-    const userIndex = this.users.findIndex(user => user.id === id);
-    if (userIndex === -1) return false;
-    
-    this.users.splice(userIndex, 1);
-    return true;
+    return this.backend.remove(TABLES.USERS, id);
   }
 
   // Listing methods
   createListing(listingData) {
-    const listing = {
-      id: this.nextListingId++,
+    const listing = this.backend.insert(TABLES.LISTINGS, {
       ...listingData,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-    };
-    this.listings.push(listing);
+    });
+    this.searchIndex?.add(listing);
     return listing;
   }
 
   getListingById(id) {
-    return this.listings.find(listing => listing.id === id);
+    return this.backend.findById(TABLES.LISTINGS, id);
   }
 
-  getListings(filter = {}) {
-    let filteredListings = [...this.listings];
+  getListingsByIds(ids) {
+    return this.findByIds(TABLES.LISTINGS, ids);
+  }
 
-    if (filter.search) {
-      const searchTerm = filter.search.toLowerCase();
-      filteredListings = filteredListings.filter(listing =>
-        listing.title.toLowerCase().includes(searchTerm) ||
-        listing.description.toLowerCase().includes(searchTerm)
-      );
+  getSearchIndex() {
+    if (!this.searchIndex) {
+      this.searchIndex = new SearchIndex();
+      this.backend.findMany(TABLES.LISTINGS).forEach(listing => this.searchIndex.add(listing));
     }
+    return this.searchIndex;
+  }
 
-    if (filter.priceMin !== undefined) {
-      filteredListings = filteredListings.filter(listing => listing.price >= filter.priceMin);
-    }
+  // Listings matching a full-text query with their relevance, best match
+  // first: [{ listing, score, matchedTerms }]. Other filters still apply.
+  searchListings(query, filter = {}) {
+    const hits = this.getSearchIndex().search(query);
+    const listings = this.getListings({ ...filter, search: undefined });
 
-    if (filter.priceMax !== undefined) {
-      filteredListings = filteredListings.filter(listing => listing.price <= filter.priceMax);
+    // A query made only of stop words matches everything
+    if (hits === null) {
+      return listings.map(listing => ({ listing, score: 0, matchedTerms: [] }));
     }
 
-    if (filter.category) {
-      filteredListings = filteredListings.filter(listing => listing.category === filter.category);
+    const listingsById = new Map(listings.map(listing => [listing.id, listing]));
+    return hits
+      .filter(hit => listingsById.has(hit.id))
+      .map(hit => ({ listing: listingsById.get(hit.id), score: hit.score, matchedTerms: hit.matchedTerms }));
+  }
+
+  // With a search term, results are ranked by relevance
+  getListings(filter = {}) {
+    if (filter.search) {
+      return this.searchListings(filter.search, filter).map(({ listing }) => listing);
     }
 
-    if (filter.condition) {
-      filteredListings = filteredListings.filter(listing => listing.condition === filter.condition);
+    return applyListingFilter(this.backend.findMany(TABLES.LISTINGS), filter);
+  }
+
+  // Whether getListings(filter) would include the listing
+  listingMatchesFilter(listing, filter = {}) {
+    if (filter.search) {
+      const hits = this.getSearchIndex().search(filter.search);
+      if (hits !== null && !hits.some(hit => hit.id === listing.id)) {
+        return false;
+      }
     }
 
-    return filteredListings;
+    return applyListingFilter([listing], filter).length > 0;
+  }
+
+  // Counts for the browse sidebar. Each facet is counted over the listings
+  // matching every other filter, so picking one category still shows how
+  // many listings the other categories have.
+  getListingFacets(filter = {}, { priceInterval = 100 } = {}) {
+    const listingsWithout = (...fields) =>
+      this.getListings(fields.reduce((rest, field) => ({ ...rest, [field]: undefined }), filter));
+
+    const conditionCounts = countBy(listingsWithout('condition'), listing => listing.condition);
+
+    // Locations differing only in case share a bucket, named as written on
+    // the oldest listing
+    const locationNames = new Map();
+    const locationCounts = new Map();
+    listingsWithout('location').sort((a, b) => a.id - b.id).forEach(listing => {
+      const key = normalizeLocation(listing.location);
+      if (!key) return;
+      if (!locationNames.has(key)) {
+        locationNames.set(key, listing.location.trim());
+      }
+      const name = locationNames.get(key);
+      locationCounts.set(name, (locationCounts.get(name) || 0) + 1);
+    });
+
+    const priceBuckets = countBy(
+      listingsWithout('priceMin', 'priceMax'),
+      listing => Math.floor(getFilterPrice(listing, filter) / priceInterval)
+    );
+
+    return {
+      totalCount: this.getListings(filter).length,
+      categories: toFacetBuckets(countBy(listingsWithout('category'), listing => listing.category)),
+      conditions: LISTING_CONDITIONS.map(condition => ({
+        condition,
+        count: conditionCounts.get(condition) || 0,
+      })),
+      priceHistogram: [...priceBuckets]
+        .sort(([a], [b]) => a - b)
+        .map(([bucket, count]) => ({
+          min: roundToCurrency(bucket * priceInterval, filter.currency || DEFAULT_CURRENCY),
+          max: roundToCurrency((bucket + 1) * priceInterval, filter.currency || DEFAULT_CURRENCY),
+          count,
+        })),
+      locations: toFacetBuckets(locationCounts),
+    };
   }
 
   updateListing(id, updates) {
-    const listingIndex = this.listings.findIndex(listing => listing.id === id);
-    if (listingIndex === -1) return null;
-    
-    this.listings[listingIndex] = {
-      ...this.listings[listingIndex],
+    const listing = this.backend.update(TABLES.LISTINGS, id, {
       ...updates,
       updatedAt: new Date().toISOString(),
-    };
-    return this.listings[listingIndex];
+    });
+    if (listing) {
+      this.searchIndex?.add(listing);
+    }
+    return listing;
+  }
+
+  // Take stock for an order. The check and the decrement happen in one
+  // transaction, so concurrent orders can never oversell a listing.
+  // Returns the updated listing, or null if there is not enough stock.
+  reserveStock(id, quantity) {
+    return this.backend.transaction(() => {
+      const listing = this.getListingById(id);
+      if (!listing || listing.quantityAvailable < quantity) return null;
+
+      const quantityAvailable = listing.quantityAvailable - quantity;
+      return this.updateListing(id, {
+        quantityAvailable,
+        quantitySold: listing.quantitySold + quantity,
+        soldOut: quantityAvailable === 0,
+      });
+    });
   }
 
+  // Put stock back, e.g. when an order is cancelled or reduced
+  releaseStock(id, quantity) {
+    return this.backend.transaction(() => {
+      const listing = this.getListingById(id);
+      if (!listing) return null;
+
+      return this.updateListing(id, {
+        quantityAvailable: listing.quantityAvailable + quantity,
+        quantitySold: Math.max(0, listing.quantitySold - quantity),
+        soldOut: false,
+      });
+    });
+  }
+
+  // Watchlist entries and saved search alerts for the listing go with it
   deleteListing(id) {
-    const listingIndex = this.listings.findIndex(listing => listing.id === id);
-    if (listingIndex === -1) return false;
-    
-    this.listings.splice(listingIndex, 1);
-    return true;
+    const deleted = this.backend.transaction(() => {
+      if (!this.backend.remove(TABLES.LISTINGS, id)) return false;
+
+      this.getWatchers(id).forEach(entry => this.backend.remove(TABLES.WATCHLIST, entry.id));
+      this.backend.findMany(TABLES.SAVED_SEARCH_ALERTS, { listingId: id })
+        .forEach(alert => this.backend.remove(TABLES.SAVED_SEARCH_ALERTS, alert.id));
+      return true;
+    });
+    if (deleted) {
+      this.searchIndex?.remove(id);
+    }
+    return deleted;
   }
 
   // Order methods
-  createOrder(orderData) {
-    const order = {
-      id: this.nextOrderId++,
+  // event: { actorId, note } for the opening status history entry; the
+  // buyer is the actor unless another one is given
+  createOrder(orderData, event = {}) {
+    // The seller is the owner of the items' listings at the time the order
+    // is placed
+    const listing = this.getListingById(orderData.items[0].listingId);
+    const now = new Date().toISOString();
+
+    return this.backend.insert(TABLES.ORDERS, {
+      sellerId: listing ? listing.userId : null,
       ...orderData,
       status: 'PENDING',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-    this.orders.push(order);
-    return order;
+      statusHistory: [{
+        fromStatus: null,
+        toStatus: 'PENDING',
+        actorId: event.actorId !== undefined ? event.actorId : orderData.userId,
+        note: event.note || null,
+        timestamp: now,
+      }],
+      createdAt: now,
+      updatedAt: now,
+    });
   }
 
   getOrderById(id) {
-    return this.orders.find(order => order.id === id);
+    return this.backend.findById(TABLES.ORDERS, id);
   }
 
-  getOrders(filter = {}, pagination = { page: 1, limit: 10 }) {
-    let filteredOrders = [...this.orders];
+  getOrdersByIds(ids) {
+    return this.findByIds(TABLES.ORDERS, ids);
+  }
+
+  // Every order matching the filter, oldest first
+  findOrders(filter = {}) {
+    const where = {};
 
     if (filter.userId) {
-      filteredOrders = filteredOrders.filter(order => order.userId === filter.userId);
+      where.userId = filter.userId;
+    }
+
+    if (filter.sellerId) {
+      where.sellerId = filter.sellerId;
     }
 
     if (filter.status) {
-      filteredOrders = filteredOrders.filter(order => order.status === filter.status);
+      where.status = filter.status;
     }
 
+    return this.backend.findMany(TABLES.ORDERS, where);
+  }
+
+  // Pages are cut after sorting, so a given sort keeps a stable order across
+  // pages. Without orderBy, orders come oldest first.
+  getOrders(filter = {}, pagination = { page: 1, limit: 10 }, orderBy = null) {
+    const filteredOrders = orderBy ? sortRecords(this.findOrders(filter), orderBy) : this.findOrders(filter);
+
     // Pagination
     const total = filteredOrders.length;
     const pages = Math.ceil(total / pagination.limit);
@@ -236,64 +403,630 @@ class DataStore {
   }
 
   updateOrder(id, updates) {
-    const orderIndex = this.orders.findIndex(order => order.id === id);
-    if (orderIndex === -1) return null;
-    
-    this.orders[orderIndex] = {
-      ...this.orders[orderIndex],
+    return this.backend.update(TABLES.ORDERS, id, {
       ...updates,
       updatedAt: new Date().toISOString(),
-    };
-    return this.orders[orderIndex];
+    });
   }
 
   deleteOrder(id) {
-    const orderIndex = this.orders.findIndex(order => order.id === id);
-    if (orderIndex === -1) return false;
-    
-    this.orders.splice(orderIndex, 1);
-    return true;
-  }
-
-  cancelOrder(id, cancelReason) {
-    const orderIndex = this.orders.findIndex(order => order.id === id);
-    if (orderIndex === -1) return null;
-    
-    this.orders[orderIndex] = {
-      ...this.orders[orderIndex],
-      status: 'CANCELLED',
-      cancelledAt: new Date().toISOString(),
-      cancelReason: cancelReason || 'No reason provided',
+    return this.backend.remove(TABLES.ORDERS, id);
+  }
+
+  cancelOrder(id, cancelReason, actorId = null) {
+    return this.backend.transaction(() => {
+      const existingOrder = this.getOrderById(id);
+      if (!existingOrder) return null;
+
+      const reason = cancelReason || 'No reason provided';
+      const now = new Date().toISOString();
+
+      return this.backend.update(TABLES.ORDERS, id, {
+        status: 'CANCELLED',
+        statusHistory: [
+          ...(existingOrder.statusHistory || []),
+          { fromStatus: existingOrder.status, toStatus: 'CANCELLED', actorId, note: reason, timestamp: now },
+        ],
+        cancelledAt: now,
+        cancelReason: reason,
+        updatedAt: now,
+      });
+    });
+  }
+
+  // Move an order to a new status and append the change to its history,
+  // along with any other changes that come with it (e.g. tracking details).
+  // Transition rules are enforced by the callers.
+  updateOrderStatus(id, status, actorId = null, note = null, updates = {}) {
+    return this.backend.transaction(() => {
+      const existingOrder = this.getOrderById(id);
+      if (!existingOrder) return null;
+
+      const now = new Date().toISOString();
+
+      return this.backend.update(TABLES.ORDERS, id, {
+        ...updates,
+        status,
+        statusHistory: [
+          ...(existingOrder.statusHistory || []),
+          { fromStatus: existingOrder.status, toStatus: status, actorId, note, timestamp: now },
+        ],
+        updatedAt: now,
+      });
+    });
+  }
+
+  // Bid methods
+  createBid(bidData) {
+    return this.backend.insert(TABLES.BIDS, {
+      isAutomatic: false,
+      ...bidData,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  getBidById(id) {
+    return this.backend.findById(TABLES.BIDS, id);
+  }
+
+  // Highest bid first. Amounts only tie when two maximums are equal, and the
+  // later record is then the earlier bidder's automatic bid, which wins.
+  getBidsByListingId(listingId) {
+    return this.backend
+      .findMany(TABLES.BIDS, { listingId })
+      .sort((a, b) => b.amount - a.amount || b.id - a.id);
+  }
+
+  getHighestBid(listingId) {
+    return this.getBidsByListingId(listingId)[0] || null;
+  }
+
+  getHighestBidByUser(listingId, userId) {
+    return this.getBidsByListingId(listingId).find(bid => bid.userId === userId) || null;
+  }
+
+  // Proxy bid methods
+  setMaxBid(listingId, userId, maxAmount) {
+    const existing = this.getMaxBid(listingId, userId);
+    const now = new Date().toISOString();
+
+    // Raising a maximum gives it the next sequence number on the listing, so
+    // ties are won by whoever committed to the amount first
+    const sequence = this.backend
+      .findMany(TABLES.MAX_BIDS, { listingId })
+      .reduce((highest, maxBid) => Math.max(highest, maxBid.sequence), 0) + 1;
+
+    if (existing) {
+      return this.backend.update(TABLES.MAX_BIDS, existing.id, { maxAmount, sequence, updatedAt: now });
+    }
+
+    return this.backend.insert(TABLES.MAX_BIDS, {
+      listingId,
+      userId,
+      maxAmount,
+      sequence,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  getMaxBid(listingId, userId) {
+    return this.backend.findOne(TABLES.MAX_BIDS, { listingId, userId });
+  }
+
+  getMaxBidsByListingId(listingId) {
+    return this.backend
+      .findMany(TABLES.MAX_BIDS, { listingId })
+      .sort((a, b) => b.maxAmount - a.maxAmount || a.sequence - b.sequence);
+  }
+
+  // Record a bidder's maximum and raise the visible bids only as far as
+  // needed to keep the leader ahead. Returns the bidder's current visible bid.
+  placeProxyBid(listingId, userId, maxAmount) {
+    return this.backend.transaction(() => {
+      const listing = this.getListingById(listingId);
+      if (!listing) return null;
+
+      this.setMaxBid(listingId, userId, maxAmount);
+      const { leader, runnerUp, price } = resolveProxyBids(listing, this.getMaxBidsByListingId(listingId));
+
+      // The runner-up is shown at their full maximum, the leader at the new price
+      const visibleBids = [];
+      if (runnerUp) {
+        visibleBids.push({ userId: runnerUp.userId, amount: runnerUp.maxAmount });
+      }
+      visibleBids.push({ userId: leader.userId, amount: price });
+
+      visibleBids.forEach(({ userId: bidderId, amount }) => {
+        const previousBid = this.getHighestBidByUser(listingId, bidderId);
+        if (!previousBid || previousBid.amount < amount) {
+          this.createBid({
+            listingId,
+            userId: bidderId,
+            amount,
+            isAutomatic: bidderId !== userId,
+          });
+        }
+      });
+
+      // Keep the listing's displayed price in step with the high bid
+      this.updateListing(listingId, { price });
+
+      return this.getHighestBidByUser(listingId, userId);
+    });
+  }
+
+  // Close an auction and, if the high bid meets the reserve, create the
+  // winner's order through the regular order methods
+  closeAuction(listingId) {
+    return this.backend.transaction(() => {
+      const listing = this.getListingById(listingId);
+      if (!listing || listing.listingType !== 'AUCTION' || listing.auctionStatus !== 'ACTIVE') {
+        return null;
+      }
+
+      const highestBid = this.getHighestBid(listingId);
+      const reserveMet = highestBid && (listing.reservePrice == null || highestBid.amount >= listing.reservePrice);
+
+      const updates = { auctionStatus: 'ENDED' };
+
+      if (reserveMet && this.reserveStock(listingId, 1)) {
+        // The winner pays in the listing's currency; their preferred
+        // currency, when still supported, is shown alongside at today's rate
+        const currency = getListingCurrency(listing);
+        const preferredCurrency = this.getUserById(highestBid.userId)?.preferredCurrency;
+        const buyerCurrency = isSupportedCurrency(preferredCurrency) ? validateCurrency(preferredCurrency) : currency;
+        const exchangeRate = getExchangeRate(currency, buyerCurrency);
+
+        const order = this.createOrder({
+          userId: highestBid.userId,
+          items: [{ listingId, quantity: 1, unitPrice: highestBid.amount, category: listing.category ?? null }],
+          totalPrice: highestBid.amount,
+          currency,
+          buyerCurrency,
+          exchangeRate,
+          buyerTotalPrice: roundToCurrency(highestBid.amount * exchangeRate, buyerCurrency),
+          shippingAddress: null,
+          buyerNotes: null,
+        }, { actorId: null, note: 'Auction won' });
+        updates.winningBidId = highestBid.id;
+        updates.winningOrderId = order.id;
+      }
+
+      return this.updateListing(listingId, updates);
+    });
+  }
+
+  getExpiredAuctions(now = new Date()) {
+    return this.backend
+      .findMany(TABLES.LISTINGS, { listingType: 'AUCTION', auctionStatus: 'ACTIVE' })
+      .filter(listing => new Date(listing.endTime) <= now);
+  }
+
+  // Offer methods
+  createOffer(offerData) {
+    return this.backend.insert(TABLES.OFFERS, {
+      ...offerData,
+      status: 'PENDING',
+      createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-    };
-    return this.orders[orderIndex];
+    });
+  }
+
+  getOfferById(id) {
+    return this.backend.findById(TABLES.OFFERS, id);
   }
 
-  updateOrderStatus(id, status) {
-    const orderIndex = this.orders.findIndex(order => order.id === id);
-    if (orderIndex === -1) return null;
-    
-    this.orders[orderIndex] = {
-      ...this.orders[orderIndex],
-      status,
+  getOffers(filter = {}) {
+    const where = {};
+
+    if (filter.listingId) {
+      where.listingId = filter.listingId;
+    }
+
+    if (filter.status) {
+      where.status = filter.status;
+    }
+
+    let filteredOffers = this.backend.findMany(TABLES.OFFERS, where);
+
+    if (filter.participantId) {
+      filteredOffers = filteredOffers.filter(offer =>
+        offer.buyerId === filter.participantId || offer.sellerId === filter.participantId
+      );
+    }
+
+    return filteredOffers;
+  }
+
+  updateOffer(id, updates) {
+    return this.backend.update(TABLES.OFFERS, id, {
+      ...updates,
       updatedAt: new Date().toISOString(),
-    };
-    return this.orders[orderIndex];
+    });
+  }
+
+  // Mark open offers whose response window has passed as expired
+  expireOffers(now = new Date()) {
+    return this.backend
+      .findMany(TABLES.OFFERS)
+      .filter(offer =>
+        (offer.status === 'PENDING' || offer.status === 'COUNTERED') &&
+        new Date(offer.expiresAt) <= now
+      )
+      .map(offer => this.updateOffer(offer.id, { status: 'EXPIRED' }));
+  }
+
+  // Feedback methods
+  createFeedback(feedbackData) {
+    return this.backend.insert(TABLES.FEEDBACK, {
+      ...feedbackData,
+      reply: null,
+      repliedAt: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  getFeedbackById(id) {
+    return this.backend.findById(TABLES.FEEDBACK, id);
+  }
+
+  getFeedback(filter = {}) {
+    const where = {};
+
+    if (filter.orderId) {
+      where.orderId = filter.orderId;
+    }
+
+    if (filter.authorId) {
+      where.authorId = filter.authorId;
+    }
+
+    if (filter.recipientId) {
+      where.recipientId = filter.recipientId;
+    }
+
+    if (filter.rating) {
+      where.rating = filter.rating;
+    }
+
+    return this.backend.findMany(TABLES.FEEDBACK, where);
+  }
+
+  updateFeedback(id, updates) {
+    return this.backend.update(TABLES.FEEDBACK, id, {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  // Rating counts for the feedback a user has received
+  getFeedbackSummary(userId) {
+    return this.getFeedback({ recipientId: userId }).reduce((summary, feedback) => {
+      summary[feedback.rating] += 1;
+      return summary;
+    }, { POSITIVE: 0, NEUTRAL: 0, NEGATIVE: 0 });
+  }
+
+  // Watchlist methods
+  // Watching a listing twice keeps the original entry
+  addToWatchlist(userId, listingId) {
+    return this.backend.transaction(() => {
+      const existing = this.getWatchlistEntry(userId, listingId);
+      if (existing) return existing;
+
+      return this.backend.insert(TABLES.WATCHLIST, {
+        userId,
+        listingId,
+        createdAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  removeFromWatchlist(userId, listingId) {
+    const entry = this.getWatchlistEntry(userId, listingId);
+    return entry ? this.backend.remove(TABLES.WATCHLIST, entry.id) : false;
+  }
+
+  getWatchlistEntry(userId, listingId) {
+    return this.backend.findOne(TABLES.WATCHLIST, { userId, listingId });
+  }
+
+  getWatchlist(userId) {
+    return this.backend.findMany(TABLES.WATCHLIST, { userId });
+  }
+
+  getWatchers(listingId) {
+    return this.backend.findMany(TABLES.WATCHLIST, { listingId });
+  }
+
+  // Saved search methods
+  createSavedSearch(savedSearchData) {
+    return this.backend.insert(TABLES.SAVED_SEARCHES, {
+      ...savedSearchData,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  getSavedSearchById(id) {
+    return this.backend.findById(TABLES.SAVED_SEARCHES, id);
+  }
+
+  getSavedSearches(filter = {}) {
+    const where = {};
+
+    if (filter.userId) {
+      where.userId = filter.userId;
+    }
+
+    if (filter.name) {
+      where.name = filter.name;
+    }
+
+    return this.backend.findMany(TABLES.SAVED_SEARCHES, where);
+  }
+
+  // Its alerts go with it
+  deleteSavedSearch(id) {
+    return this.backend.transaction(() => {
+      if (!this.backend.remove(TABLES.SAVED_SEARCHES, id)) return false;
+
+      this.getSavedSearchAlerts({ savedSearchId: id })
+        .forEach(alert => this.backend.remove(TABLES.SAVED_SEARCH_ALERTS, alert.id));
+      return true;
+    });
+  }
+
+  createSavedSearchAlert(alertData) {
+    return this.backend.insert(TABLES.SAVED_SEARCH_ALERTS, {
+      ...alertData,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  getSavedSearchAlerts(filter = {}) {
+    const where = {};
+
+    if (filter.userId) {
+      where.userId = filter.userId;
+    }
+
+    if (filter.savedSearchId) {
+      where.savedSearchId = filter.savedSearchId;
+    }
+
+    return this.backend.findMany(TABLES.SAVED_SEARCH_ALERTS, where);
+  }
+
+  // Messaging methods
+  // A thread about a listing or an order between its buyer and seller. A
+  // thread with the same subject and participants is reused.
+  findOrCreateThread({ listingId, orderId = null, buyerId, sellerId }) {
+    return this.backend.transaction(() => {
+      const existing = this.backend.findOne(TABLES.MESSAGE_THREADS, { listingId, orderId, buyerId, sellerId });
+      if (existing) return existing;
+
+      const now = new Date().toISOString();
+      return this.backend.insert(TABLES.MESSAGE_THREADS, {
+        listingId,
+        orderId,
+        buyerId,
+        sellerId,
+        lastMessageAt: now,
+        createdAt: now,
+      });
+    });
+  }
+
+  getThreadById(id) {
+    return this.backend.findById(TABLES.MESSAGE_THREADS, id);
+  }
+
+  // Threads the user takes part in as either buyer or seller
+  getThreadsForUser(userId) {
+    return [
+      ...this.backend.findMany(TABLES.MESSAGE_THREADS, { buyerId: userId }),
+      ...this.backend.findMany(TABLES.MESSAGE_THREADS, { sellerId: userId }),
+    ];
+  }
+
+  // Add a message and move its thread to the top of both inboxes
+  createMessage(messageData) {
+    return this.backend.transaction(() => {
+      const now = new Date().toISOString();
+      const message = this.backend.insert(TABLES.MESSAGES, {
+        ...messageData,
+        readAt: null,
+        createdAt: now,
+      });
+
+      this.backend.update(TABLES.MESSAGE_THREADS, messageData.threadId, { lastMessageAt: now });
+      return message;
+    });
+  }
+
+  getMessages(filter = {}) {
+    const where = {};
+
+    if (filter.threadId) {
+      where.threadId = filter.threadId;
+    }
+
+    if (filter.recipientId) {
+      where.recipientId = filter.recipientId;
+    }
+
+    if (filter.unread) {
+      where.readAt = null;
+    }
+
+    return this.backend.findMany(TABLES.MESSAGES, where);
+  }
+
+  // Mark every message the user has received in the thread as read
+  markThreadRead(threadId, userId) {
+    return this.backend.transaction(() => {
+      const readAt = new Date().toISOString();
+      const unread = this.getMessages({ threadId, recipientId: userId, unread: true });
+      unread.forEach(message => this.backend.update(TABLES.MESSAGES, message.id, { readAt }));
+      return unread.length;
+    });
+  }
+
+  // Cart methods
+  // Adding a listing already in the cart increases its quantity
+  addToCart(userId, listing, quantity) {
+    return this.backend.transaction(() => {
+      const existing = this.getCartItem(userId, listing.id);
+      if (existing) {
+        return this.updateCartItem(existing.id, { quantity: existing.quantity + quantity });
+      }
+
+      return this.backend.insert(TABLES.CART_ITEMS, {
+        userId,
+        listingId: listing.id,
+        quantity,
+        priceWhenAdded: listing.price,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  getCartItem(userId, listingId) {
+    return this.backend.findOne(TABLES.CART_ITEMS, { userId, listingId });
+  }
+
+  // In the order they were added
+  getCartItems(userId) {
+    return this.backend.findMany(TABLES.CART_ITEMS, { userId });
+  }
+
+  updateCartItem(id, updates) {
+    return this.backend.update(TABLES.CART_ITEMS, id, {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  removeCartItem(id) {
+    return this.backend.remove(TABLES.CART_ITEMS, id);
+  }
+
+  clearCart(userId) {
+    return this.backend.transaction(() => {
+      this.getCartItems(userId).forEach(item => this.backend.remove(TABLES.CART_ITEMS, item.id));
+    });
+  }
+
+  // Payment methods
+  createPayment(paymentData) {
+    return this.backend.insert(TABLES.PAYMENTS, {
+      refundedAmount: 0,
+      transactions: [],
+      ...paymentData,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  getPaymentByOrderId(orderId) {
+    return this.backend.findOne(TABLES.PAYMENTS, { orderId });
+  }
+
+  // Append a gateway transaction to the payment's history along with any
+  // other changes it causes, e.g. a new status
+  recordPaymentTransaction(id, transaction, updates = {}) {
+    return this.backend.transaction(() => {
+      const payment = this.backend.findById(TABLES.PAYMENTS, id);
+      if (!payment) return null;
+
+      const now = new Date().toISOString();
+
+      return this.backend.update(TABLES.PAYMENTS, id, {
+        ...updates,
+        transactions: [...payment.transactions, { ...transaction, createdAt: now }],
+        updatedAt: now,
+      });
+    });
+  }
+
+  updatePayment(id, updates) {
+    return this.backend.update(TABLES.PAYMENTS, id, {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  // Return request methods
+  createReturnRequest(returnData, actorId) {
+    const now = new Date().toISOString();
+
+    return this.backend.insert(TABLES.RETURN_REQUESTS, {
+      ...returnData,
+      status: 'REQUESTED',
+      shipmentStatus: null,
+      trackingNumber: null,
+      refundedAmount: 0,
+      history: [{ type: 'REQUESTED', actorId, note: returnData.reason, amount: null, timestamp: now }],
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  getReturnRequestById(id) {
+    return this.backend.findById(TABLES.RETURN_REQUESTS, id);
+  }
+
+  // Oldest first
+  getReturnRequests(where = {}) {
+    return this.backend.findMany(TABLES.RETURN_REQUESTS, where);
+  }
+
+  // Apply changes to a return and add the step to its history. Without an
+  // event the change is not a step of its own, e.g. a refund in progress.
+  updateReturnRequest(id, updates, event = null) {
+    return this.backend.transaction(() => {
+      const existing = this.getReturnRequestById(id);
+      if (!existing) return null;
+
+      const now = new Date().toISOString();
+      const history = event
+        ? [...existing.history, { actorId: null, note: null, amount: null, ...event, timestamp: now }]
+        : existing.history;
+
+      return this.backend.update(TABLES.RETURN_REQUESTS, id, {
+        ...updates,
+        history,
+        updatedAt: now,
+      });
+    });
   }
 
   // Session methods
   addSession(token) {
-    this.sessions.add(token);
+    this.backend.insert(TABLES.SESSIONS, {
+      token,
+      createdAt: new Date().toISOString(),
+    });
   }
 
   removeSession(token) {
-    this.sessions.delete(token);
+    const session = this.backend.findOne(TABLES.SESSIONS, { token });
+    if (session) {
+      this.backend.remove(TABLES.SESSIONS, session.id);
+    }
   }
 
   isValidSession(token) {
-    return this.sessions.has(token);
+    return Boolean(this.backend.findOne(TABLES.SESSIONS, { token }));
   }
 }
 
-// Export singleton instance
-module.exports = new DataStore();
+// Export singleton instance backed by the configured storage backend
+const dataStore = new DataStore(createBackend());
+
+module.exports = dataStore;
+module.exports.DataStore = DataStore;
+module.exports.TABLES = TABLES;
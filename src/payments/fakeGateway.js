@@ -0,0 +1,86 @@
+// Local stand-in for a card processor, so orders can be paid for without a
+// network connection. State lives in memory and is lost on restart.
+//
+// Payment methods are test tokens:
+//   tok_declined            - every authorization is declined
+//   tok_insufficient_funds  - declined for lack of funds
+//   anything else           - approved
+
+const PaymentProvider = require('./paymentProvider');
+const { DEFAULT_CURRENCY, roundToCurrency } = require('../utils/currency');
+
+const DECLINED_PAYMENT_METHODS = {
+  tok_declined: 'Card declined',
+  tok_insufficient_funds: 'Insufficient funds',
+};
+
+class FakeGateway extends PaymentProvider {
+  constructor() {
+    super();
+    this.authorizations = new Map(); // authorizationId -> { amount, currency, status }
+    this.captures = new Map(); // captureId -> { amount, currency, refunded }
+    this.nextId = 1;
+  }
+
+  createTransactionId(prefix) {
+    return `fake_${prefix}_${this.nextId++}`;
+  }
+
+  async authorize({ amount, currency, paymentMethod }) {
+    const failureReason = DECLINED_PAYMENT_METHODS[paymentMethod];
+    if (failureReason) {
+      return { success: false, failureReason };
+    }
+
+    const authorizationId = this.createTransactionId('auth');
+    this.authorizations.set(authorizationId, { amount, currency, status: 'AUTHORIZED' });
+    return { success: true, transactionId: authorizationId };
+  }
+
+  // Up to the authorized amount can be captured, once
+  async capture({ authorizationId, amount }) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization || authorization.status !== 'AUTHORIZED') {
+      return { success: false, failureReason: 'Authorization is no longer valid' };
+    }
+    if (amount > authorization.amount) {
+      return { success: false, failureReason: 'Amount exceeds the authorized amount' };
+    }
+
+    authorization.status = 'CAPTURED';
+    const captureId = this.createTransactionId('capture');
+    this.captures.set(captureId, { amount, currency: authorization.currency || DEFAULT_CURRENCY, refunded: 0 });
+    return { success: true, transactionId: captureId };
+  }
+
+  // Refunds on one capture can add up to at most the captured amount
+  async refund({ captureId, amount }) {
+    const capture = this.captures.get(captureId);
+    if (!capture) {
+      return { success: false, failureReason: 'Capture not found' };
+    }
+    const refunded = roundToCurrency(capture.refunded + amount, capture.currency);
+    if (refunded > capture.amount) {
+      return { success: false, failureReason: 'Amount exceeds the captured amount' };
+    }
+
+    capture.refunded = refunded;
+    return { success: true, transactionId: this.createTransactionId('refund') };
+  }
+
+  async void({ authorizationId }) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization || authorization.status !== 'AUTHORIZED') {
+      return { success: false, failureReason: 'Authorization is no longer valid' };
+    }
+
+    authorization.status = 'VOIDED';
+    return { success: true, transactionId: this.createTransactionId('void') };
+  }
+
+  async payout() {
+    return { success: true, transactionId: this.createTransactionId('payout') };
+  }
+}
+
+module.exports = FakeGateway;
@@ -0,0 +1,22 @@
+// Payment provider selection. PAYMENT_PROVIDER picks the implementation:
+//   fake (default) - the local gateway in ./fakeGateway, no real money moves
+//
+// A real gateway extends PaymentProvider (./paymentProvider) and is
+// registered here.
+
+function createPaymentProvider(type = process.env.PAYMENT_PROVIDER || 'fake') {
+  switch (type) {
+    case 'fake': {
+      const FakeGateway = require('./fakeGateway');
+      return new FakeGateway();
+    }
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${type}" (expected "fake")`);
+  }
+}
+
+// Shared by every request, like the data store
+const paymentProvider = createPaymentProvider();
+
+module.exports = paymentProvider;
+module.exports.createPaymentProvider = createPaymentProvider;
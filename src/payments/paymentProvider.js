@@ -0,0 +1,36 @@
+// The interface every payment gateway implements. Each call resolves to a
+// result instead of throwing when the gateway declines:
+//   { success: true, transactionId }
+//   { success: false, failureReason }
+// Errors are only thrown for faults such as a gateway that cannot be reached.
+
+class PaymentProvider {
+  // Hold `amount` of `currency` (an ISO 4217 code) on the buyer's payment
+  // method without taking it yet. Captures and refunds are in the same
+  // currency.
+  async authorize({ amount, currency, paymentMethod, reference }) {
+    throw new Error(`${this.constructor.name} does not implement authorize`);
+  }
+
+  // Take the funds held by an authorization
+  async capture({ authorizationId, amount }) {
+    throw new Error(`${this.constructor.name} does not implement capture`);
+  }
+
+  // Release an authorization that will never be captured
+  async void({ authorizationId }) {
+    throw new Error(`${this.constructor.name} does not implement void`);
+  }
+
+  // Return some or all of a capture to the buyer
+  async refund({ captureId, amount }) {
+    throw new Error(`${this.constructor.name} does not implement refund`);
+  }
+
+  // Send captured funds on to the seller
+  async payout({ sellerId, amount, currency, reference }) {
+    throw new Error(`${this.constructor.name} does not implement payout`);
+  }
+}
+
+module.exports = PaymentProvider;
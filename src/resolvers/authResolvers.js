@@ -1,7 +1,7 @@
 const bcrypt = require('bcryptjs');
 const { GraphQLError } = require('graphql');
 const dataStore = require('../data/store');
-const { generateToken, requireAuth } = require('../utils/auth');
+const { generateToken, requireAuth, sanitizeUser } = require('../utils/auth');
 const { validateEmail, validateRequired } = require('../utils/validation');
 
 const authResolvers = {
@@ -43,11 +43,9 @@ const authResolvers = {
       dataStore.addSession(token);
 
       // Return user without password
-      const { password: _, ...userWithoutPassword } = user;
-      
       return {
         token,
-        user: userWithoutPassword,
+        user: sanitizeUser(user),
       };
     },
 
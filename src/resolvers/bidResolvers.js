@@ -0,0 +1,118 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const { requireAuth } = require('../utils/auth');
+const { validateAmount, validateRequired } = require('../utils/validation');
+const { isAuction, isAuctionEnded, getMinimumNextBid } = require('../utils/auction');
+const { notifyWatchersOfPriceChange } = require('../utils/watchlist');
+const { closeAuction } = require('../utils/auctionClosing');
+const { getListingCurrency, roundToCurrency } = require('../utils/currency');
+
+const bidResolvers = {
+  Mutation: {
+    placeBid: async (parent, { listingId, amount: requestedAmount }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      // Validation
+      validateRequired(listingId, 'listingId');
+      validateRequired(requestedAmount, 'amount');
+      validateAmount(requestedAmount, 'amount');
+
+      // Check if listing exists
+      const listing = dataStore.getListingById(listingId);
+      if (!listing) {
+        throw new GraphQLError('Listing not found', {
+          extensions: {
+            code: 'NOT_FOUND',
+            details: `Listing with ID ${listingId} does not exist`,
+          },
+        });
+      }
+
+      if (!isAuction(listing)) {
+        throw new GraphQLError('Listing is not an auction', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: 'Only auction listings accept bids',
+          },
+        });
+      }
+
+      // Bids are kept to the listing currency's minor unit, e.g. whole yen
+      const amount = roundToCurrency(requestedAmount, getListingCurrency(listing));
+
+      if (listing.userId === user.id) {
+        throw new GraphQLError('Cannot bid on your own listing', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: 'Sellers cannot bid on their own auctions',
+          },
+        });
+      }
+
+      if (isAuctionEnded(listing)) {
+        closeAuction(listing.id);
+        throw new GraphQLError('Auction has ended', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: `Bidding on listing ${listingId} closed at ${listing.endTime}`,
+          },
+        });
+      }
+
+      const highestBid = dataStore.getHighestBid(listingId);
+
+      if (highestBid && highestBid.userId === user.id) {
+        // The leading bidder can only raise their hidden maximum
+        const currentMaxBid = dataStore.getMaxBid(listingId, user.id);
+        if (amount <= currentMaxBid.maxAmount) {
+          throw new GraphQLError('Maximum bid must be higher than your current maximum', {
+            extensions: {
+              code: 'VALIDATION_ERROR',
+              details: {
+                field: 'amount',
+                message: `Your current maximum bid is ${currentMaxBid.maxAmount.toFixed(2)}`,
+              },
+            },
+          });
+        }
+      } else {
+        // Bids must beat the current high bid by at least the minimum increment
+        const minimumBid = getMinimumNextBid(listing, highestBid);
+        if (amount < minimumBid) {
+          throw new GraphQLError('Bid amount is too low', {
+            extensions: {
+              code: 'VALIDATION_ERROR',
+              details: {
+                field: 'amount',
+                message: `Bid must be at least ${minimumBid.toFixed(2)}`,
+                minimumBid,
+              },
+            },
+          });
+        }
+      }
+
+      // The amount is treated as the bidder's maximum; the server bids on
+      // their behalf up to it
+      const bid = dataStore.placeProxyBid(listingId, user.id, amount);
+
+      // Bids move the listing's displayed price, which watchers follow
+      notifyWatchersOfPriceChange(dataStore.getListingById(listingId), listing.price);
+
+      return bid;
+    },
+  },
+
+  Bid: {
+    user: async (parent, args, context) => {
+      return context.loaders.user.load(parent.userId);
+    },
+
+    listing: async (parent, args, context) => {
+      return context.loaders.listing.load(parent.listingId);
+    },
+  },
+};
+
+module.exports = bidResolvers;
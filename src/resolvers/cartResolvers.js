@@ -0,0 +1,247 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const { requireAuth } = require('../utils/auth');
+const { validateQuantity, validateRequired } = require('../utils/validation');
+const { placeOrder, validatePurchasable, throwInsufficientStock } = require('../utils/orders');
+const { authorizeOrderPayment } = require('../utils/payments');
+const { quoteShipping } = require('../utils/shipping');
+const {
+  DEFAULT_CURRENCY,
+  getListingCurrency,
+  convertAmount,
+  roundToCurrency,
+} = require('../utils/currency');
+
+function getListingOrThrow(id) {
+  const listing = dataStore.getListingById(id);
+  if (!listing) {
+    throw new GraphQLError('Listing not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Listing with ID ${id} does not exist`,
+      },
+    });
+  }
+  return listing;
+}
+
+function getCartItemOrThrow(userId, listingId) {
+  const item = dataStore.getCartItem(userId, listingId);
+  if (!item) {
+    throw new GraphQLError('Listing is not in your cart', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Listing with ID ${listingId} is not in your cart`,
+      },
+    });
+  }
+  return item;
+}
+
+// A cart line checked against the listing as it is now: current price,
+// subtotal and anything that would stop it being bought
+function describeCartItem(item) {
+  const listing = dataStore.getListingById(item.listingId);
+  if (!listing) {
+    return {
+      ...item,
+      listing: null,
+      sellerId: null,
+      currency: null,
+      unitPrice: null,
+      subtotal: 0,
+      priceChanged: false,
+      issue: 'LISTING_UNAVAILABLE',
+    };
+  }
+
+  let issue = null;
+  if (listing.quantityAvailable === 0) {
+    issue = 'SOLD_OUT';
+  } else if (listing.quantityAvailable < item.quantity) {
+    issue = 'INSUFFICIENT_STOCK';
+  }
+
+  return {
+    ...item,
+    listing,
+    sellerId: listing.userId,
+    currency: getListingCurrency(listing),
+    unitPrice: listing.price,
+    subtotal: roundToCurrency(listing.price * item.quantity, getListingCurrency(listing)),
+    priceChanged: listing.price !== item.priceWhenAdded,
+    issue,
+  };
+}
+
+// The currency a user's cart is totalled in
+function getCartCurrency(userId) {
+  return dataStore.getUserById(userId)?.preferredCurrency || DEFAULT_CURRENCY;
+}
+
+// The user's cart with its lines grouped by seller and currency, in the
+// order each group's first line was added. The total is converted to the
+// user's preferred currency.
+function buildCart(userId) {
+  const items = dataStore.getCartItems(userId).map(describeCartItem);
+  const currency = getCartCurrency(userId);
+
+  const sellers = new Map();
+  items.filter(item => item.sellerId !== null).forEach(item => {
+    const key = `${item.sellerId}:${item.currency}`;
+    if (!sellers.has(key)) {
+      sellers.set(key, { sellerId: item.sellerId, currency: item.currency, items: [], subtotal: 0 });
+    }
+    const group = sellers.get(key);
+    group.items.push(item);
+    group.subtotal = roundToCurrency(group.subtotal + item.subtotal, item.currency);
+  });
+
+  const total = items
+    .filter(item => item.currency !== null)
+    .reduce((sum, item) => sum + convertAmount(item.subtotal, item.currency, currency), 0);
+
+  return {
+    items,
+    sellers: [...sellers.values()],
+    totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+    currency,
+    total: roundToCurrency(total, currency),
+    hasIssues: items.some(item => item.issue !== null),
+  };
+}
+
+const cartResolvers = {
+  Query: {
+    myCart: async (parent, args, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      return buildCart(user.id);
+    },
+  },
+
+  Mutation: {
+    addToCart: async (parent, { listingId, quantity = 1 }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      validateQuantity(quantity);
+
+      const listing = getListingOrThrow(listingId);
+      validatePurchasable(listing, user.id);
+
+      const inCart = dataStore.getCartItem(user.id, listingId)?.quantity || 0;
+      if (listing.quantityAvailable < inCart + quantity) {
+        throwInsufficientStock(listingId, inCart + quantity);
+      }
+
+      dataStore.addToCart(user.id, listing, quantity);
+      return buildCart(user.id);
+    },
+
+    updateCartItem: async (parent, { listingId, quantity }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      validateRequired(quantity, 'quantity');
+      validateQuantity(quantity);
+
+      const item = getCartItemOrThrow(user.id, listingId);
+      const listing = getListingOrThrow(listingId);
+      if (listing.quantityAvailable < quantity) {
+        throwInsufficientStock(listingId, quantity);
+      }
+
+      dataStore.updateCartItem(item.id, { quantity });
+      return buildCart(user.id);
+    },
+
+    removeFromCart: async (parent, { listingId }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const item = getCartItemOrThrow(user.id, listingId);
+      dataStore.removeCartItem(item.id);
+
+      return buildCart(user.id);
+    },
+
+    // One order per seller and currency, at the listings' current prices.
+    // Every line is checked before any stock is taken, and the whole checkout
+    // runs in one transaction, so either every order is created or none is.
+    // Payments are authorized afterwards, order by order, and a decline
+    // leaves just that order's payment FAILED.
+    checkout: async (parent, { shippingAddress, paymentMethod, shippingService }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      validateRequired(shippingAddress, 'shippingAddress');
+
+      const result = dataStore.transaction(() => {
+        const cart = buildCart(user.id);
+        if (cart.items.length === 0) {
+          throw new GraphQLError('Cart is empty', {
+            extensions: {
+              code: 'INVALID_OPERATION',
+              details: 'Add items to your cart before checking out',
+            },
+          });
+        }
+
+        const problems = cart.items.filter(item => item.issue !== null);
+        if (problems.length > 0) {
+          throw new GraphQLError('Some cart items cannot be purchased', {
+            extensions: {
+              code: 'VALIDATION_ERROR',
+              details: {
+                field: 'cart',
+                message: 'Update or remove the listed items and try again',
+                items: problems.map(({ listingId, issue }) => ({ listingId, issue })),
+              },
+            },
+          });
+        }
+
+        // Every seller must ship with the chosen service before any order is
+        // placed, as the in-memory backend cannot undo orders
+        cart.sellers.forEach(group => quoteShipping(group.items, shippingAddress, shippingService));
+
+        const orders = cart.sellers.map(group => placeOrder({
+          userId: user.id,
+          items: group.items.map(({ listing, quantity }) => ({ listing, quantity })),
+          shippingAddress,
+          shippingService,
+          buyerCurrency: dataStore.getUserById(user.id)?.preferredCurrency,
+        }));
+
+        dataStore.clearCart(user.id);
+
+        const total = orders.reduce((sum, order) => sum + convertAmount(order.totalPrice, order.currency, cart.currency), 0);
+        return { orders, currency: cart.currency, total: roundToCurrency(total, cart.currency) };
+      });
+
+      if (paymentMethod) {
+        for (const order of result.orders) {
+          await authorizeOrderPayment(order, paymentMethod);
+        }
+      }
+
+      return result;
+    },
+  },
+
+  CartItem: {
+    seller: async (parent, args, context) => {
+      return parent.sellerId === null ? null : context.loaders.user.load(parent.sellerId);
+    },
+  },
+
+  CartSellerGroup: {
+    seller: async (parent, args, context) => {
+      return context.loaders.user.load(parent.sellerId);
+    },
+  },
+};
+
+module.exports = cartResolvers;
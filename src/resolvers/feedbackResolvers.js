@@ -0,0 +1,184 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const { requireAuth, requireOwnership, requireParticipant } = require('../utils/auth');
+const {
+  validateRequired,
+  validateMaxLength,
+  validateDetailedRatings,
+} = require('../utils/validation');
+
+// Authors can revise their feedback for this long after leaving it
+const FEEDBACK_EDIT_WINDOW_DAYS = 30;
+
+const MAX_COMMENT_LENGTH = 500;
+
+function getEditableUntil(createdAt) {
+  return new Date(new Date(createdAt).getTime() + FEEDBACK_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function getFeedbackOrThrow(id) {
+  const feedback = dataStore.getFeedbackById(id);
+  if (!feedback) {
+    throw new GraphQLError('Feedback not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Feedback with ID ${id} does not exist`,
+      },
+    });
+  }
+  return feedback;
+}
+
+function validateFeedbackInput({ rating, detailedRatings, comment }) {
+  validateRequired(rating, 'rating');
+  validateRequired(comment?.trim(), 'comment');
+  validateMaxLength(comment, 'comment', MAX_COMMENT_LENGTH);
+  if (detailedRatings) {
+    validateDetailedRatings(detailedRatings);
+  }
+}
+
+const feedbackResolvers = {
+  Query: {
+    // Feedback is public, like the reputation scores built from it
+    feedback: async (parent, { id }) => {
+      return dataStore.getFeedbackById(id);
+    },
+  },
+
+  Mutation: {
+    leaveFeedback: async (parent, { input }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      const { orderId, rating, comment } = input;
+      const detailedRatings = input.detailedRatings ?? [];
+
+      const order = dataStore.getOrderById(orderId);
+      if (!order) {
+        throw new GraphQLError('Order not found', {
+          extensions: {
+            code: 'NOT_FOUND',
+            details: `Order with ID ${orderId} does not exist`,
+          },
+        });
+      }
+
+      // Only the buyer and the seller can rate each other
+      const user = requireParticipant(context, [order.userId, order.sellerId]);
+
+      if (order.status !== 'DELIVERED') {
+        throw new GraphQLError('Feedback can only be left on delivered orders', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: `This order is ${order.status.toLowerCase()}`,
+          },
+        });
+      }
+
+      validateFeedbackInput({ rating, detailedRatings, comment });
+
+      const existing = dataStore.getFeedback({ orderId, authorId: user.id });
+      if (existing.length > 0) {
+        throw new GraphQLError('Feedback already left for this order', {
+          extensions: {
+            code: 'CONFLICT',
+            details: `Use updateFeedback to change feedback ${existing[0].id}`,
+          },
+        });
+      }
+
+      const isBuyer = user.id === order.userId;
+
+      return dataStore.createFeedback({
+        orderId,
+        listingId: order.items[0].listingId,
+        authorId: user.id,
+        recipientId: isBuyer ? order.sellerId : order.userId,
+        role: isBuyer ? 'BUYER' : 'SELLER',
+        rating,
+        detailedRatings,
+        comment: comment.trim(),
+      });
+    },
+
+    updateFeedback: async (parent, { id, input }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      const feedback = getFeedbackOrThrow(id);
+      requireOwnership(context, feedback.authorId);
+
+      if (new Date(getEditableUntil(feedback.createdAt)) <= new Date()) {
+        throw new GraphQLError('Feedback can no longer be edited', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: `Feedback can only be edited within ${FEEDBACK_EDIT_WINDOW_DAYS} days of being left`,
+          },
+        });
+      }
+
+      const updates = {
+        rating: input.rating ?? feedback.rating,
+        detailedRatings: input.detailedRatings ?? feedback.detailedRatings,
+        comment: input.comment ?? feedback.comment,
+      };
+      validateFeedbackInput(updates);
+
+      return dataStore.updateFeedback(id, { ...updates, comment: updates.comment.trim() });
+    },
+
+    replyToFeedback: async (parent, { id, reply }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      const feedback = getFeedbackOrThrow(id);
+
+      // Sellers answer the feedback their buyers leave them
+      requireOwnership(context, feedback.recipientId);
+      if (feedback.role !== 'BUYER') {
+        throw new GraphQLError('Only sellers can reply to feedback', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: 'Replies can only be posted on feedback left by a buyer',
+          },
+        });
+      }
+
+      if (feedback.reply) {
+        throw new GraphQLError('Feedback already has a reply', {
+          extensions: {
+            code: 'CONFLICT',
+            details: 'Each feedback item can only be replied to once',
+          },
+        });
+      }
+
+      validateRequired(reply?.trim(), 'reply');
+      validateMaxLength(reply, 'reply', MAX_COMMENT_LENGTH);
+
+      return dataStore.updateFeedback(id, {
+        reply: reply.trim(),
+        repliedAt: new Date().toISOString(),
+      });
+    },
+  },
+
+  Feedback: {
+    editableUntil: (parent) => getEditableUntil(parent.createdAt),
+
+    author: async (parent, args, context) => {
+      return context.loaders.user.load(parent.authorId);
+    },
+
+    recipient: async (parent, args, context) => {
+      return context.loaders.user.load(parent.recipientId);
+    },
+
+    listing: async (parent, args, context) => {
+      return context.loaders.listing.load(parent.listingId);
+    },
+  },
+};
+
+module.exports = feedbackResolvers;
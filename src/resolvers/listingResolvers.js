@@ -1,11 +1,92 @@
 const { GraphQLError } = require('graphql');
 const dataStore = require('../data/store');
 const { requireAuth, requireOwnership } = require('../utils/auth');
-const { validatePrice, validateRequired } = require('../utils/validation');
+const {
+  validatePrice,
+  validateAmount,
+  validateFutureDate,
+  validateOfferThresholds,
+  validateQuantity,
+  validateStockLevel,
+  validateRequired,
+} = require('../utils/validation');
+const { isAuction, getMinimumNextBid } = require('../utils/auction');
+const { pubsub, EVENTS } = require('../utils/pubsub');
+const { connectionFromRecords, sortRecords, DEFAULT_ORDER } = require('../utils/pagination');
+const { toListingOrderBy, LISTING_SORT_KEYS } = require('../utils/sorting');
+const { highlightListing } = require('../data/searchIndex');
+const { alertSavedSearches } = require('../utils/savedSearches');
+const { notifyWatchersOfPriceChange } = require('../utils/watchlist');
+const { closeExpiredAuctions } = require('../utils/auctionClosing');
+const { validateShippingPolicy, getShippingQuotes } = require('../utils/shipping');
+const {
+  DEFAULT_CURRENCY,
+  validateCurrency,
+  getListingCurrency,
+  roundToCurrency,
+  convertAmount,
+  toMoney,
+  getViewerCurrency,
+} = require('../utils/currency');
+const {
+  validateImageCount,
+  saveImages,
+  deleteImageFiles,
+  normalizeImage,
+  getImageUrl,
+} = require('../utils/images');
+
+// Search results are paginated best match first unless sorted otherwise
+const RELEVANCE_ORDER = [{ ...LISTING_SORT_KEYS.RELEVANCE, direction: 'DESC' }];
+
+// Listing amounts, stored to the currency's minor unit (whole yen for JPY)
+const LISTING_AMOUNT_FIELDS = ['price', 'startingBid', 'reservePrice', 'autoAcceptPrice', 'autoDeclinePrice'];
+
+function roundListingAmounts(input, currency) {
+  const rounded = { ...input };
+  LISTING_AMOUNT_FIELDS
+    .filter(field => typeof input[field] === 'number')
+    .forEach(field => {
+      rounded[field] = roundToCurrency(input[field], currency);
+    });
+  return rounded;
+}
+
+// Listings matching a filter. With a search term each listing carries its
+// relevance score and matched terms, so results can be sorted by relevance.
+function findListings(filter) {
+  if (!filter.search) {
+    return dataStore.getListings(filter);
+  }
+
+  return dataStore.searchListings(filter.search, filter)
+    .map(({ listing, score, matchedTerms }) => ({ ...listing, score, matchedTerms }));
+}
+
+// Load a listing the current user owns, for image management
+function getOwnListing(context, id) {
+  requireAuth(context);
+
+  const listing = dataStore.getListingById(id);
+  if (!listing) {
+    throw new GraphQLError('Listing not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Listing with ID ${id} does not exist`,
+      },
+    });
+  }
+
+  requireOwnership(context, listing.userId);
+  return listing;
+}
 
 const listingResolvers = {
   Query: {
     listing: async (parent, { id }, context) => {
+      // Settle any auctions whose end time has passed before reading
+      closeExpiredAuctions();
+
       const listing = dataStore.getListingById(id);
       if (!listing) {
         throw new GraphQLError('Listing not found', {
@@ -18,8 +99,47 @@ const listingResolvers = {
       return listing;
     },
 
-    listings: async (parent, { filter }, context) => {
-      return dataStore.getListings(filter || {});
+    listings: async (parent, { filter, sort }, context) => {
+      const orderBy = toListingOrderBy(sort);
+
+      closeExpiredAuctions();
+      if (!orderBy) {
+        return dataStore.getListings(filter || {});
+      }
+      return sortRecords(findListings(filter || {}), orderBy);
+    },
+
+    listingsConnection: async (parent, { filter, sort, ...paginationArgs }, context) => {
+      const orderBy = toListingOrderBy(sort) || DEFAULT_ORDER;
+
+      closeExpiredAuctions();
+      return connectionFromRecords(findListings(filter || {}), paginationArgs, orderBy);
+    },
+
+    listingFacets: async (parent, { filter, priceInterval }, context) => {
+      validateAmount(priceInterval, 'priceInterval');
+
+      closeExpiredAuctions();
+      return dataStore.getListingFacets(filter || {}, { priceInterval });
+    },
+
+    searchListings: async (parent, { query, filter, sort, ...paginationArgs }, context) => {
+      validateRequired(query, 'query');
+      const orderBy = toListingOrderBy(sort) || RELEVANCE_ORDER;
+
+      closeExpiredAuctions();
+      const hits = findListings({ ...filter, search: query });
+
+      const connection = connectionFromRecords(hits, paginationArgs, orderBy);
+      return {
+        ...connection,
+        edges: connection.edges.map(({ cursor, node }) => ({
+          cursor,
+          node,
+          score: node.score,
+          matchedTerms: node.matchedTerms,
+        })),
+      };
     },
   },
 
@@ -28,34 +148,119 @@ const listingResolvers = {
       // Require authentication
       const user = requireAuth(context);
 
-      const { title, description, price, category, condition, location, images } = input;
+      const listingCurrency = validateCurrency(input.currency || DEFAULT_CURRENCY);
+      const {
+        title,
+        description,
+        price,
+        category,
+        condition,
+        location,
+        images,
+        quantity = 1,
+        listingType = 'FIXED_PRICE',
+        startingBid,
+        reservePrice,
+        endTime,
+        acceptsOffers = false,
+        autoAcceptPrice,
+        autoDeclinePrice,
+        shippingPolicy,
+      } = roundListingAmounts(input, listingCurrency);
 
       // Validation
       validateRequired(title, 'title');
       validateRequired(description, 'description');
-      validateRequired(price, 'price');
-      validatePrice(price);
 
-      // Handle image uploads (simplified for demo)
-      let imageUrls = [];
+      let listingFields;
+      if (listingType === 'AUCTION') {
+        if (acceptsOffers) {
+          throw new GraphQLError('Auction listings cannot accept offers', {
+            extensions: {
+              code: 'VALIDATION_ERROR',
+              details: { field: 'acceptsOffers', message: 'Best Offer is only available on fixed-price listings' },
+            },
+          });
+        }
+
+        if (quantity !== 1) {
+          throw new GraphQLError('Auctions sell a single item', {
+            extensions: {
+              code: 'VALIDATION_ERROR',
+              details: { field: 'quantity', message: 'Auction listings must have a quantity of 1' },
+            },
+          });
+        }
+
+        validateRequired(startingBid, 'startingBid');
+        validateAmount(startingBid, 'startingBid');
+        validateRequired(endTime, 'endTime');
+        validateFutureDate(endTime, 'endTime');
+
+        if (reservePrice !== undefined && reservePrice !== null) {
+          validateAmount(reservePrice, 'reservePrice');
+          if (reservePrice < startingBid) {
+            throw new GraphQLError('Reserve price cannot be lower than the starting bid', {
+              extensions: {
+                code: 'VALIDATION_ERROR',
+                details: { field: 'reservePrice', message: 'Reserve price cannot be lower than the starting bid' },
+              },
+            });
+          }
+        }
+
+        // The displayed price of an auction tracks its current high bid
+        listingFields = {
+          price: startingBid,
+          listingType,
+          startingBid,
+          reservePrice: reservePrice ?? null,
+          endTime: new Date(endTime).toISOString(),
+          auctionStatus: 'ACTIVE',
+        };
+      } else {
+        validateRequired(price, 'price');
+        validatePrice(price);
+        validateQuantity(quantity);
+
+        listingFields = { price, listingType, acceptsOffers };
+
+        if (acceptsOffers) {
+          validateOfferThresholds(price, autoAcceptPrice, autoDeclinePrice);
+          listingFields.autoAcceptPrice = autoAcceptPrice ?? null;
+          listingFields.autoDeclinePrice = autoDeclinePrice ?? null;
+        }
+      }
+
+      const storedShippingPolicy = shippingPolicy ? validateShippingPolicy(shippingPolicy, listingCurrency) : null;
+
+      // Store the uploaded images once everything else has been validated
+      let savedImages = [];
       if (images && images.length > 0) {
-        // In a real implementation, you would process the uploads
-        // For now, we'll simulate with placeholder URLs
-        imageUrls = images.map((_, index) => `listing_${Date.now()}_${index}.jpg`);
+        validateImageCount(images.length);
+        savedImages = await saveImages(images);
       }
 
       // Create listing
       const newListing = dataStore.createListing({
         title,
         description,
-        price,
+        ...listingFields,
+        currency: listingCurrency,
+        quantityAvailable: quantity,
+        quantitySold: 0,
+        soldOut: false,
         category,
         condition,
         location,
-        images: imageUrls,
+        images: savedImages,
+        shippingPolicy: storedShippingPolicy,
         userId: user.id,
       });
 
+      pubsub.publish(EVENTS.NEW_LISTING, { newListing });
+      alertSavedSearches(newListing);
+
       return newListing;
     },
 
@@ -76,15 +281,62 @@ const listingResolvers = {
       // Check ownership
       requireOwnership(context, existingListing.userId);
 
-      const updates = { ...input };
+      const updates = roundListingAmounts(input, getListingCurrency(existingListing));
 
       // Validate updates
-      if (input.price !== undefined) {
-        validatePrice(input.price);
+      if (updates.price !== undefined) {
+        if (isAuction(existingListing)) {
+          throw new GraphQLError('Cannot change the price of an auction', {
+            extensions: {
+              code: 'INVALID_OPERATION',
+              details: 'Auction prices are set by bidding',
+            },
+          });
+        }
+        validatePrice(updates.price);
+      }
+
+      if (input.quantityAvailable !== undefined) {
+        if (isAuction(existingListing)) {
+          throw new GraphQLError('Cannot change the quantity of an auction', {
+            extensions: {
+              code: 'INVALID_OPERATION',
+              details: 'Auctions sell a single item',
+            },
+          });
+        }
+        validateStockLevel(input.quantityAvailable, 'quantityAvailable');
+        updates.soldOut = input.quantityAvailable === 0;
+      }
+
+      if (input.shippingPolicy) {
+        updates.shippingPolicy = validateShippingPolicy(input.shippingPolicy, getListingCurrency(existingListing));
+      }
+
+      // Offer thresholds are checked against the listing as it will be after the update
+      const offerSettingsChanged = ['price', 'acceptsOffers', 'autoAcceptPrice', 'autoDeclinePrice']
+        .some(field => input[field] !== undefined);
+      if (offerSettingsChanged) {
+        const merged = { ...existingListing, ...updates };
+        if (merged.acceptsOffers) {
+          if (isAuction(existingListing)) {
+            throw new GraphQLError('Auction listings cannot accept offers', {
+              extensions: {
+                code: 'VALIDATION_ERROR',
+                details: { field: 'acceptsOffers', message: 'Best Offer is only available on fixed-price listings' },
+              },
+            });
+          }
+          validateOfferThresholds(merged.price, merged.autoAcceptPrice, merged.autoDeclinePrice);
+        }
       }
 
       // Update listing
       const updatedListing = dataStore.updateListing(id, updates);
+
+      // Let watchers know about price changes
+      notifyWatchersOfPriceChange(updatedListing, existingListing.price);
+
       return updatedListing;
     },
 
@@ -116,35 +368,196 @@ const listingResolvers = {
         });
       }
 
+      await Promise.all((existingListing.images || []).map(deleteImageFiles));
+
       return { message: 'Listing deleted successfully' };
     },
+
+    addListingImages: async (parent, { listingId, images }, context) => {
+      const listing = getOwnListing(context, listingId);
+
+      validateRequired(images && images.length > 0 ? images : null, 'images');
+      validateImageCount((listing.images || []).length + images.length);
+
+      const savedImages = await saveImages(images);
+
+      // Re-check the listing: other changes may have landed during the upload
+      try {
+        const current = getOwnListing(context, listingId);
+        validateImageCount((current.images || []).length + savedImages.length);
+
+        return dataStore.updateListing(listingId, {
+          images: [...(current.images || []), ...savedImages],
+        });
+      } catch (error) {
+        await Promise.all(savedImages.map(deleteImageFiles));
+        throw error;
+      }
+    },
+
+    removeListingImage: async (parent, { listingId, imageId }, context) => {
+      const listing = getOwnListing(context, listingId);
+
+      const images = listing.images || [];
+      const image = images.find(candidate => normalizeImage(candidate).id === imageId);
+      if (!image) {
+        throw new GraphQLError('Image not found', {
+          extensions: {
+            code: 'NOT_FOUND',
+            details: `Listing ${listingId} has no image ${imageId}`,
+          },
+        });
+      }
+
+      const updatedListing = dataStore.updateListing(listingId, {
+        images: images.filter(candidate => candidate !== image),
+      });
+      await deleteImageFiles(image);
+
+      return updatedListing;
+    },
+
+    reorderListingImages: async (parent, { listingId, imageIds }, context) => {
+      const listing = getOwnListing(context, listingId);
+
+      const imagesById = new Map((listing.images || []).map(image => [normalizeImage(image).id, image]));
+      const isPermutation = imageIds.length === imagesById.size &&
+        new Set(imageIds).size === imageIds.length &&
+        imageIds.every(id => imagesById.has(id));
+
+      if (!isPermutation) {
+        throw new GraphQLError('imageIds must list every image of the listing exactly once', {
+          extensions: {
+            code: 'VALIDATION_ERROR',
+            details: { field: 'imageIds', message: 'imageIds must list every image of the listing exactly once' },
+          },
+        });
+      }
+
+      return dataStore.updateListing(listingId, {
+        images: imageIds.map(id => imagesById.get(id)),
+      });
+    },
   },
 
   Subscription: {
     newListing: {
-      // Placeholder for subscription implementation
-      subscribe: () => {
-        // In a real implementation, you would use a pub/sub system
-        // For now, return a simple async iterator
-        return {
-          [Symbol.asyncIterator]: async function* () {
-            // This is a placeholder - real implementation would use Redis/PubSub
-            yield { newListing: null };
-          }
-        };
-      },
+      subscribe: () => pubsub.asyncIterator(EVENTS.NEW_LISTING),
     },
   },
 
   Listing: {
     user: async (parent, args, context) => {
-      const user = dataStore.getUserById(parent.userId);
-      if (user) {
-        const { password, ...userWithoutPassword } = user;
-        return userWithoutPassword;
+      return context.loaders.user.load(parent.userId);
+    },
+
+    listingType: (parent) => parent.listingType || 'FIXED_PRICE',
+
+    currency: (parent) => getListingCurrency(parent),
+
+    // The price in the requested currency, else the viewer's preferred one,
+    // else the listing's own
+    displayPrice: async (parent, { currency }, context) => {
+      const target = currency ? validateCurrency(currency) : await getViewerCurrency(context);
+      const listingCurrency = getListingCurrency(parent);
+
+      return toMoney(
+        convertAmount(parent.price, listingCurrency, target || listingCurrency),
+        target || listingCurrency
+      );
+    },
+
+    watchCount: (parent) => dataStore.getWatchers(parent.id).length,
+
+    shippingPolicy: (parent) => parent.shippingPolicy || null,
+
+    shippingRates: (parent, { destination, quantity }) => {
+      validateQuantity(quantity);
+
+      return getShippingQuotes([{ listing: parent, quantity }], destination);
+    },
+
+    // False for anonymous viewers
+    isWatchedByMe: (parent, args, context) => {
+      if (!context.user) return false;
+      return Boolean(dataStore.getWatchlistEntry(context.user.id, parent.id));
+    },
+
+    images: (parent) => (parent.images || []).map(normalizeImage),
+
+    // The reserve amount is private to the seller
+    reservePrice: (parent, args, context) => {
+      if (context.user && context.user.id === parent.userId) {
+        return parent.reservePrice ?? null;
+      }
+      return null;
+    },
+
+    acceptsOffers: (parent) => Boolean(parent.acceptsOffers),
+
+    // Offer thresholds are private to the seller, like the reserve price
+    autoAcceptPrice: (parent, args, context) => {
+      if (context.user && context.user.id === parent.userId) {
+        return parent.autoAcceptPrice ?? null;
       }
       return null;
     },
+
+    autoDeclinePrice: (parent, args, context) => {
+      if (context.user && context.user.id === parent.userId) {
+        return parent.autoDeclinePrice ?? null;
+      }
+      return null;
+    },
+
+    hasReserve: (parent) => parent.reservePrice !== undefined && parent.reservePrice !== null,
+
+    reserveMet: (parent) => {
+      if (!isAuction(parent)) return null;
+      if (parent.reservePrice === undefined || parent.reservePrice === null) return true;
+
+      const highestBid = dataStore.getHighestBid(parent.id);
+      return Boolean(highestBid) && highestBid.amount >= parent.reservePrice;
+    },
+
+    currentBid: (parent) => {
+      if (!isAuction(parent)) return null;
+      const highestBid = dataStore.getHighestBid(parent.id);
+      return highestBid ? highestBid.amount : null;
+    },
+
+    minimumNextBid: (parent) => {
+      if (!isAuction(parent) || parent.auctionStatus !== 'ACTIVE') return null;
+      return getMinimumNextBid(parent, dataStore.getHighestBid(parent.id));
+    },
+
+    // The viewer's hidden proxy maximum; never exposed to other users
+    myMaxBid: (parent, args, context) => {
+      if (!context.user || !isAuction(parent)) return null;
+
+      const maxBid = dataStore.getMaxBid(parent.id, context.user.id);
+      if (!maxBid) return null;
+
+      requireOwnership(context, maxBid.userId);
+      return maxBid.maxAmount;
+    },
+
+    bidCount: (parent) => dataStore.getBidsByListingId(parent.id).length,
+
+    bids: (parent) => dataStore.getBidsByListingId(parent.id),
+
+    winningBid: (parent) => {
+      return parent.winningBidId ? dataStore.getBidById(parent.winningBidId) : null;
+    },
+  },
+
+  ListingImage: {
+    url: (parent) => getImageUrl(parent.filename),
+    thumbnailUrl: (parent) => getImageUrl(parent.thumbnailFilename),
+  },
+
+  ListingSearchEdge: {
+    highlights: (parent) => highlightListing(parent.node, parent.matchedTerms),
   },
 };
 
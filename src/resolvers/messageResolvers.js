@@ -0,0 +1,231 @@
+const { GraphQLError } = require('graphql');
+const { withFilter } = require('graphql-subscriptions');
+const dataStore = require('../data/store');
+const { requireAuth, requireParticipant } = require('../utils/auth');
+const { validateRequired, validateMaxLength } = require('../utils/validation');
+const { pubsub, EVENTS } = require('../utils/pubsub');
+const { connectionFromRecords } = require('../utils/pagination');
+const { maskContactInfo } = require('../utils/contactFilter');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Inbox threads with the latest message first; messages oldest first
+const THREAD_ORDER = [{ field: 'lastMessageAt', direction: 'DESC' }];
+const MESSAGE_ORDER = [{ field: 'createdAt', direction: 'ASC' }];
+
+function getThreadOrThrow(id) {
+  const thread = dataStore.getThreadById(id);
+  if (!thread) {
+    throw new GraphQLError('Thread not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Thread with ID ${id} does not exist`,
+      },
+    });
+  }
+  return thread;
+}
+
+// Load a thread the current user takes part in
+function getOwnThread(context, id) {
+  const thread = getThreadOrThrow(id);
+  requireParticipant(context, [thread.buyerId, thread.sellerId]);
+  return thread;
+}
+
+// The thread a new message goes to: an existing thread, the thread for an
+// order, or the current user's thread with the seller of a listing
+function resolveThread(context, user, { threadId, listingId, orderId }) {
+  const targets = [threadId, listingId, orderId].filter(value => value !== undefined && value !== null);
+  if (targets.length !== 1) {
+    throw new GraphQLError('Provide exactly one of threadId, listingId or orderId', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'input', message: 'Provide exactly one of threadId, listingId or orderId' },
+      },
+    });
+  }
+
+  if (threadId) {
+    return getOwnThread(context, threadId);
+  }
+
+  if (orderId) {
+    const order = dataStore.getOrderById(orderId);
+    if (!order) {
+      throw new GraphQLError('Order not found', {
+        extensions: {
+          code: 'NOT_FOUND',
+          details: `Order with ID ${orderId} does not exist`,
+        },
+      });
+    }
+
+    requireParticipant(context, [order.userId, order.sellerId]);
+    return dataStore.findOrCreateThread({
+      listingId: order.items[0].listingId,
+      orderId,
+      buyerId: order.userId,
+      sellerId: order.sellerId,
+    });
+  }
+
+  const listing = dataStore.getListingById(listingId);
+  if (!listing) {
+    throw new GraphQLError('Listing not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Listing with ID ${listingId} does not exist`,
+      },
+    });
+  }
+
+  // Sellers answer questions about their listings in the buyer's thread
+  if (listing.userId === user.id) {
+    throw new GraphQLError('Cannot message yourself about your own listing', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: 'Reply with the threadId of the buyer\'s thread instead',
+      },
+    });
+  }
+
+  return dataStore.findOrCreateThread({
+    listingId,
+    buyerId: user.id,
+    sellerId: listing.userId,
+  });
+}
+
+function getUnreadCount(threadId, userId) {
+  return dataStore.getMessages({ threadId, recipientId: userId, unread: true }).length;
+}
+
+const messageResolvers = {
+  Query: {
+    thread: async (parent, { id }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      return getOwnThread(context, id);
+    },
+
+    // Latest activity first
+    myThreads: async (parent, { first, after, last, before }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const connection = connectionFromRecords(
+        dataStore.getThreadsForUser(user.id),
+        { first, after, last, before },
+        THREAD_ORDER
+      );
+
+      return {
+        ...connection,
+        totalUnreadCount: dataStore.getMessages({ recipientId: user.id, unread: true }).length,
+      };
+    },
+  },
+
+  Mutation: {
+    sendMessage: async (parent, { input }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const body = input.body?.trim();
+      validateRequired(body, 'body');
+      validateMaxLength(body, 'body', MAX_MESSAGE_LENGTH);
+
+      const thread = resolveThread(context, user, input);
+      const { text, masked } = maskContactInfo(body);
+
+      const message = dataStore.createMessage({
+        threadId: thread.id,
+        senderId: user.id,
+        recipientId: user.id === thread.buyerId ? thread.sellerId : thread.buyerId,
+        body: text,
+        contactInfoMasked: masked,
+      });
+
+      pubsub.publish(EVENTS.MESSAGE_RECEIVED, { messageReceived: message });
+
+      return message;
+    },
+
+    markThreadRead: async (parent, { threadId }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const thread = getOwnThread(context, threadId);
+      dataStore.markThreadRead(thread.id, user.id);
+
+      return thread;
+    },
+  },
+
+  Subscription: {
+    messageReceived: {
+      // Requires authentication; messages only reach their recipient
+      subscribe: (parent, args, context, info) => {
+        requireAuth(context);
+
+        return withFilter(
+          () => pubsub.asyncIterator(EVENTS.MESSAGE_RECEIVED),
+          ({ messageReceived: message }, { threadId }, { user }) => {
+            if (threadId && message.threadId !== threadId) return false;
+            return message.recipientId === user.id;
+          }
+        )(parent, args, context, info);
+      },
+    },
+  },
+
+  MessageThread: {
+    // Unread messages sent to the current user
+    unreadCount: (parent, args, context) => getUnreadCount(parent.id, context.user.id),
+
+    lastMessage: (parent) => {
+      const messages = dataStore.getMessages({ threadId: parent.id });
+      return messages[messages.length - 1] || null;
+    },
+
+    messages: (parent, { first, after, last, before }) => {
+      return connectionFromRecords(
+        dataStore.getMessages({ threadId: parent.id }),
+        { first, after, last, before },
+        MESSAGE_ORDER
+      );
+    },
+
+    listing: async (parent, args, context) => {
+      return context.loaders.listing.load(parent.listingId);
+    },
+
+    order: async (parent, args, context) => {
+      return parent.orderId ? context.loaders.order.load(parent.orderId) : null;
+    },
+
+    buyer: async (parent, args, context) => {
+      return context.loaders.user.load(parent.buyerId);
+    },
+
+    seller: async (parent, args, context) => {
+      return context.loaders.user.load(parent.sellerId);
+    },
+  },
+
+  Message: {
+    isRead: (parent) => Boolean(parent.readAt),
+
+    sender: async (parent, args, context) => {
+      return context.loaders.user.load(parent.senderId);
+    },
+
+    recipient: async (parent, args, context) => {
+      return context.loaders.user.load(parent.recipientId);
+    },
+  },
+};
+
+module.exports = messageResolvers;
@@ -0,0 +1,296 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const { requireAuth, requireOwnership } = require('../utils/auth');
+const { validateAmount, validateQuantity, validateRequired } = require('../utils/validation');
+const { placeOrder, throwInsufficientStock } = require('../utils/orders');
+
+// Offers and counter-offers lapse if not answered within this window
+const OFFER_EXPIRY_HOURS = 48;
+
+function getExpiryTime() {
+  return new Date(Date.now() + OFFER_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+function getOfferOrThrow(id) {
+  const offer = dataStore.getOfferById(id);
+  if (!offer) {
+    throw new GraphQLError('Offer not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Offer with ID ${id} does not exist`,
+      },
+    });
+  }
+  return offer;
+}
+
+function requireOpenOffer(offer) {
+  if (offer.status !== 'PENDING' && offer.status !== 'COUNTERED') {
+    throw new GraphQLError(`Offer is ${offer.status.toLowerCase()}`, {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: 'Only pending or countered offers can be acted on',
+      },
+    });
+  }
+}
+
+// A pending offer waits on the seller, a countered one on the buyer
+function getRespondingUserId(offer) {
+  return offer.status === 'PENDING' ? offer.sellerId : offer.buyerId;
+}
+
+// Place the order for an offer at the agreed price
+function placeOfferOrder(offer) {
+  const listing = dataStore.getListingById(offer.listingId);
+  if (!listing) {
+    throw new GraphQLError('Listing not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Listing with ID ${offer.listingId} does not exist`,
+      },
+    });
+  }
+
+  return placeOrder({
+    userId: offer.buyerId,
+    items: [{ listing, quantity: offer.quantity, unitPrice: offer.amount }],
+    shippingAddress: offer.shippingAddress,
+    buyerCurrency: dataStore.getUserById(offer.buyerId)?.preferredCurrency,
+    buyerNotes: offer.message,
+  });
+}
+
+// Turn an open offer into an order at the agreed price
+function acceptOpenOffer(offer) {
+  const order = placeOfferOrder(offer);
+  return dataStore.updateOffer(offer.id, { status: 'ACCEPTED', orderId: order.id });
+}
+
+function meetsAutoAcceptPrice(listing, amount) {
+  return listing.autoAcceptPrice != null && amount >= listing.autoAcceptPrice;
+}
+
+// Apply the seller's auto-accept and auto-decline thresholds to an offer
+// that is waiting on the seller
+function applyAutoResponse(offer, listing) {
+  if (listing.autoDeclinePrice != null && offer.amount < listing.autoDeclinePrice) {
+    return dataStore.updateOffer(offer.id, {
+      status: 'DECLINED',
+      declineReason: 'Automatically declined by the seller',
+    });
+  }
+
+  if (meetsAutoAcceptPrice(listing, offer.amount)) {
+    return acceptOpenOffer(offer);
+  }
+
+  return offer;
+}
+
+const offerResolvers = {
+  Query: {
+    offer: async (parent, { id }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      dataStore.expireOffers();
+      const offer = getOfferOrThrow(id);
+
+      // Only the buyer and seller can see an offer
+      if (offer.buyerId !== user.id && offer.sellerId !== user.id) {
+        throw new GraphQLError('Access denied', {
+          extensions: {
+            code: 'FORBIDDEN',
+            details: 'You can only access offers you are part of',
+          },
+        });
+      }
+
+      return offer;
+    },
+
+    offers: async (parent, { filter }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      dataStore.expireOffers();
+      return dataStore.getOffers({ ...filter, participantId: user.id });
+    },
+  },
+
+  Mutation: {
+    makeOffer: async (parent, { input }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const { listingId, amount, quantity = 1, message, shippingAddress } = input;
+
+      // Validation
+      validateRequired(listingId, 'listingId');
+      validateRequired(amount, 'amount');
+      validateRequired(shippingAddress, 'shippingAddress');
+      validateAmount(amount, 'amount');
+      validateQuantity(quantity);
+
+      // Check if listing exists
+      const listing = dataStore.getListingById(listingId);
+      if (!listing) {
+        throw new GraphQLError('Listing not found', {
+          extensions: {
+            code: 'NOT_FOUND',
+            details: `Listing with ID ${listingId} does not exist`,
+          },
+        });
+      }
+
+      if (!listing.acceptsOffers) {
+        throw new GraphQLError('Listing does not accept offers', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: 'The seller has not enabled Best Offer on this listing',
+          },
+        });
+      }
+
+      if (listing.userId === user.id) {
+        throw new GraphQLError('Cannot make an offer on your own listing', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: 'Sellers cannot make offers on their own listings',
+          },
+        });
+      }
+
+      // Stock is only reserved on acceptance, but an offer that could never
+      // be filled is rejected up front
+      if (listing.quantityAvailable < quantity) {
+        throwInsufficientStock(listing.id, quantity);
+      }
+
+      const offerData = {
+        listingId,
+        buyerId: user.id,
+        sellerId: listing.userId,
+        amount,
+        quantity,
+        message,
+        shippingAddress,
+        expiresAt: getExpiryTime(),
+      };
+
+      // An offer the seller accepts automatically is only stored once its
+      // order is placed, so a failed auto-accept leaves no offer behind
+      if (meetsAutoAcceptPrice(listing, amount)) {
+        return dataStore.transaction(() => {
+          const order = placeOfferOrder(offerData);
+          const offer = dataStore.createOffer(offerData);
+          return dataStore.updateOffer(offer.id, { status: 'ACCEPTED', orderId: order.id });
+        });
+      }
+
+      return applyAutoResponse(dataStore.createOffer(offerData), listing);
+    },
+
+    counterOffer: async (parent, { id, amount, message }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      dataStore.expireOffers();
+      const offer = getOfferOrThrow(id);
+      requireOpenOffer(offer);
+
+      // Only the party the offer is waiting on can counter it
+      requireOwnership(context, getRespondingUserId(offer));
+
+      validateRequired(amount, 'amount');
+      validateAmount(amount, 'amount');
+
+      const counteredBySeller = offer.status === 'PENDING';
+      const updatedOffer = dataStore.updateOffer(id, {
+        amount,
+        message: message ?? offer.message,
+        status: counteredBySeller ? 'COUNTERED' : 'PENDING',
+        expiresAt: getExpiryTime(),
+      });
+
+      // A buyer's counter goes back to the seller, so thresholds apply again
+      if (!counteredBySeller) {
+        const listing = dataStore.getListingById(offer.listingId);
+        if (listing) {
+          return applyAutoResponse(updatedOffer, listing);
+        }
+      }
+
+      return updatedOffer;
+    },
+
+    acceptOffer: async (parent, { id }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      dataStore.expireOffers();
+      const offer = getOfferOrThrow(id);
+      requireOpenOffer(offer);
+      requireOwnership(context, getRespondingUserId(offer));
+
+      return acceptOpenOffer(offer);
+    },
+
+    declineOffer: async (parent, { id, reason }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      dataStore.expireOffers();
+      const offer = getOfferOrThrow(id);
+      requireOpenOffer(offer);
+      requireOwnership(context, getRespondingUserId(offer));
+
+      return dataStore.updateOffer(id, {
+        status: 'DECLINED',
+        declineReason: reason || 'No reason provided',
+      });
+    },
+
+    withdrawOffer: async (parent, { id }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      dataStore.expireOffers();
+      const offer = getOfferOrThrow(id);
+
+      // Buyers can take back an offer while the seller has not answered it
+      requireOwnership(context, offer.buyerId);
+      if (offer.status !== 'PENDING') {
+        throw new GraphQLError('Only pending offers can be withdrawn', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: `This offer is ${offer.status.toLowerCase()}`,
+          },
+        });
+      }
+
+      return dataStore.updateOffer(id, { status: 'WITHDRAWN' });
+    },
+  },
+
+  Offer: {
+    listing: async (parent, args, context) => {
+      return context.loaders.listing.load(parent.listingId);
+    },
+
+    buyer: async (parent, args, context) => {
+      return context.loaders.user.load(parent.buyerId);
+    },
+
+    seller: async (parent, args, context) => {
+      return context.loaders.user.load(parent.sellerId);
+    },
+
+    order: async (parent, args, context) => {
+      return parent.orderId ? context.loaders.order.load(parent.orderId) : null;
+    },
+  },
+};
+
+module.exports = offerResolvers;
@@ -1,13 +1,243 @@
 const { GraphQLError } = require('graphql');
+const { withFilter } = require('graphql-subscriptions');
 const dataStore = require('../data/store');
-const { requireAuth, requireOwnership } = require('../utils/auth');
+const { requireAuth, requireOwnership, requireParticipant } = require('../utils/auth');
 const { validateQuantity, validateOrderStatus, validateRequired } = require('../utils/validation');
+const {
+  getItemsSubtotal,
+  getShippingCost,
+  getTaxAmount,
+  priceOrderItems,
+  priceOrder,
+  quoteOrderShipping,
+  placeOrder,
+  adjustOrderItems,
+  releaseOrderStock,
+  validateStatusTransition,
+  validateOrderEditable,
+  validateOrderDeletable,
+  validateNoDuplicateItems,
+  validatePurchasable,
+  getReturnableUntil,
+} = require('../utils/orders');
+const {
+  getOrderPayment,
+  authorizeOrderPayment,
+  validatePaymentAuthorized,
+  captureOrderPayment,
+  releaseOrderPayout,
+  voidOrderPayment,
+  validatePaymentUnchanged,
+  validatePaymentNotProcessing,
+  validatePaymentDeletable,
+} = require('../utils/payments');
+const {
+  getListingCurrency,
+  getOrderCurrency,
+  getViewerCurrency,
+  toMoney,
+} = require('../utils/currency');
+const { isSameCountry } = require('../utils/countries');
+const { CARRIER_CODES, getCarrier } = require('../shipping');
+const { pubsub, EVENTS } = require('../utils/pubsub');
+const { connectionFromRecords, DEFAULT_ORDER } = require('../utils/pagination');
+const { toOrderOrderBy } = require('../utils/sorting');
+
+// Which side of an order may move it into each status: sellers confirm and
+// ship, buyers confirm delivery, and either side can cancel
+const STATUS_UPDATE_PARTIES = {
+  PENDING: ['seller'],
+  CONFIRMED: ['seller'],
+  SHIPPED: ['seller'],
+  DELIVERED: ['buyer'],
+  CANCELLED: ['buyer', 'seller'],
+};
+
+function getPartyUserId(order, party) {
+  return party === 'buyer' ? order.userId : order.sellerId;
+}
+
+// Filter for the current user's own orders as a buyer
+function getBuyerOrderFilter(filter, user) {
+  // If trying to access another user's orders, check permissions
+  if (filter?.userId && filter.userId !== user.id) {
+    throw new GraphQLError('Access denied', {
+      extensions: {
+        code: 'FORBIDDEN',
+        details: 'You can only access your own orders',
+      },
+    });
+  }
+
+  // If no userId filter is provided, default to current user's orders
+  return {
+    ...filter,
+    userId: filter?.userId || user.id,
+  };
+}
+
+// The items of a new order, from input.items or the single-listing
+// listingId and quantity, with their listings loaded and checked as
+// purchasable by the buyer
+function getRequestedItems({ listingId, quantity, items }, buyerId) {
+  if (items && (listingId != null || quantity != null)) {
+    throw new GraphQLError('Provide either items or listingId and quantity', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'items', message: 'Provide either items or listingId and quantity' },
+      },
+    });
+  }
+
+  if (!items) {
+    validateRequired(listingId, 'listingId');
+    validateRequired(quantity, 'quantity');
+  }
+
+  const requested = items || [{ listingId, quantity }];
+  validateRequired(requested.length > 0 ? requested : null, 'items');
+  validateNoDuplicateItems(requested);
+
+  const resolved = requested.map(item => {
+    validateQuantity(item.quantity);
+
+    // Check if listing exists
+    const listing = dataStore.getListingById(item.listingId);
+    if (!listing) {
+      throw new GraphQLError('Listing not found', {
+        extensions: {
+          code: 'NOT_FOUND',
+          details: `Listing with ID ${item.listingId} does not exist`,
+        },
+      });
+    }
+
+    return { listing, quantity: item.quantity };
+  });
+
+  // One order ships from one seller; the cart splits purchases across sellers
+  if (new Set(resolved.map(({ listing }) => listing.userId)).size > 1) {
+    throw new GraphQLError('All items in an order must come from the same seller', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'items', message: 'Use the cart to buy from several sellers at once' },
+      },
+    });
+  }
+
+  // An order's prices are all in one currency
+  if (new Set(resolved.map(({ listing }) => getListingCurrency(listing))).size > 1) {
+    throw new GraphQLError('All items in an order must be priced in the same currency', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'items', message: 'Order items priced in different currencies separately' },
+      },
+    });
+  }
+
+  resolved.forEach(({ listing }) => validatePurchasable(listing, buyerId));
+
+  return resolved;
+}
+
+function getBuyerCurrency(order) {
+  return order.buyerCurrency || getOrderCurrency(order);
+}
+
+// Items are stored without a currency; they are resolved with their
+// order's, so that OrderItem amounts round like the order's
+function withItemCurrency(items, currency) {
+  return items.map(item => ({ ...item, currency }));
+}
+
+// Quantity changes for updateOrder. The deprecated single quantity only
+// applies to orders with one item.
+function getItemQuantityChanges(order, { quantity, items }) {
+  if (items) {
+    validateNoDuplicateItems(items);
+    items.forEach(item => {
+      validateQuantity(item.quantity);
+      if (!order.items.some(orderItem => orderItem.listingId === item.listingId)) {
+        throw new GraphQLError('Listing is not part of this order', {
+          extensions: {
+            code: 'VALIDATION_ERROR',
+            details: { field: 'items', message: `Listing ${item.listingId} is not an item of order ${order.id}` },
+          },
+        });
+      }
+    });
+    return items;
+  }
+
+  validateQuantity(quantity);
+  if (order.items.length > 1) {
+    throw new GraphQLError('Use items to change the quantities of a multi-item order', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'quantity', message: 'quantity only applies to orders with a single item' },
+      },
+    });
+  }
+  return [{ listingId: order.items[0].listingId, quantity }];
+}
+
+// Shipping is quoted for the destination country when the order is placed
+function validateShippingDestination(order, shippingAddress) {
+  if (!order.shippingService || !order.shippingAddress || !shippingAddress) return;
+
+  if (!isSameCountry(shippingAddress.country, order.shippingAddress.country)) {
+    throw new GraphQLError('Cannot change the destination country', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `Shipping was quoted for ${order.shippingAddress.country}; cancel and reorder to ship elsewhere`,
+      },
+    });
+  }
+}
+
+// Carrier and tracking number, which sellers can add when they ship
+function getTrackingUpdates(status, carrier, trackingNumber) {
+  if (!carrier && !trackingNumber) return {};
+
+  if (status !== 'SHIPPED') {
+    throw new GraphQLError('Tracking details can only be added when shipping', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'trackingNumber', message: 'Pass carrier and trackingNumber with status SHIPPED' },
+      },
+    });
+  }
+
+  validateRequired(carrier, 'carrier');
+  validateRequired(trackingNumber, 'trackingNumber');
+
+  const adapter = getCarrier(carrier);
+  if (!adapter) {
+    throw new GraphQLError('Unknown carrier', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'carrier', message: `Available carriers: ${CARRIER_CODES.join(', ')}` },
+      },
+    });
+  }
+
+  if (!adapter.isValidTrackingNumber(trackingNumber)) {
+    throw new GraphQLError('Invalid tracking number', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'trackingNumber', message: `Not a valid ${carrier} tracking number` },
+      },
+    });
+  }
+
+  return { carrier, trackingNumber };
+}
 
 const orderResolvers = {
   Query: {
     order: async (parent, { id }, context) => {
       // Require authentication
-      const user = requireAuth(context);
+      requireAuth(context);
 
       const order = dataStore.getOrderById(id);
       if (!order) {
@@ -19,40 +249,55 @@ const orderResolvers = {
         });
       }
 
-      // Check if user owns this order
-      if (order.userId !== user.id) {
-        throw new GraphQLError('Access denied', {
-          extensions: {
-            code: 'FORBIDDEN',
-            details: 'You can only access your own orders',
-          },
-        });
-      }
+      // Both the buyer and the seller can read an order
+      requireParticipant(context, [order.userId, order.sellerId]);
 
       return order;
     },
 
-    orders: async (parent, { filter, pagination }, context) => {
+    orders: async (parent, { filter, pagination, sort }, context) => {
       // Require authentication
       const user = requireAuth(context);
 
-      // If no userId filter is provided, default to current user's orders
+      const orderFilter = getBuyerOrderFilter(filter, user);
+      return dataStore.getOrders(orderFilter, pagination || { page: 1, limit: 10 }, toOrderOrderBy(sort));
+    },
+
+    ordersConnection: async (parent, { filter, sort, ...paginationArgs }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const orderFilter = getBuyerOrderFilter(filter, user);
+      const orderBy = toOrderOrderBy(sort) || DEFAULT_ORDER;
+      return connectionFromRecords(dataStore.findOrders(orderFilter), paginationArgs, orderBy);
+    },
+
+    sellerOrders: async (parent, { filter, pagination, sort }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      // Orders placed on the current user's listings; userId narrows by buyer
       const orderFilter = {
         ...filter,
-        userId: filter?.userId || user.id,
+        sellerId: user.id,
       };
 
-      // If trying to access another user's orders, check permissions
-      if (filter?.userId && filter.userId !== user.id) {
-        throw new GraphQLError('Access denied', {
-          extensions: {
-            code: 'FORBIDDEN',
-            details: 'You can only access your own orders',
-          },
-        });
-      }
+      return dataStore.getOrders(orderFilter, pagination || { page: 1, limit: 10 }, toOrderOrderBy(sort));
+    },
 
-      return dataStore.getOrders(orderFilter, pagination || { page: 1, limit: 10 });
+    // Prices an order the way createOrder would, without placing it or
+    // reserving stock
+    quoteOrder: async (parent, { input }, context) => {
+      const { items, shippingAddress, shippingService } = input;
+
+      validateRequired(shippingAddress, 'shippingAddress');
+
+      return priceOrder({
+        items: getRequestedItems({ items }, context.user?.id),
+        shippingAddress,
+        shippingService,
+        buyerCurrency: await getViewerCurrency(context),
+      });
     },
   },
 
@@ -61,38 +306,27 @@ const orderResolvers = {
       // Require authentication
       const user = requireAuth(context);
 
-      const { listingId, quantity, shippingAddress, buyerNotes } = input;
+      const { shippingAddress, shippingService, buyerNotes, paymentMethod } = input;
 
       // Validation
-      validateRequired(listingId, 'listingId');
-      validateRequired(quantity, 'quantity');
       validateRequired(shippingAddress, 'shippingAddress');
-      validateQuantity(quantity);
-
-      // Check if listing exists
-      const listing = dataStore.getListingById(listingId);
-      if (!listing) {
-        throw new GraphQLError('Listing not found', {
-          extensions: {
-            code: 'NOT_FOUND',
-            details: `Listing with ID ${listingId} does not exist`,
-          },
-        });
-      }
-
-      // Calculate total price
-      const totalPrice = listing.price * quantity;
+      const items = getRequestedItems(input, user.id);
 
       // Create order
-      const newOrder = dataStore.createOrder({
+      const newOrder = placeOrder({
         userId: user.id,
-        listingId,
-        quantity,
-        totalPrice,
+        items,
         shippingAddress,
+        shippingService,
+        buyerCurrency: await getViewerCurrency(context),
         buyerNotes,
       });
 
+      // A declined payment is left FAILED for the buyer to retry
+      if (paymentMethod) {
+        await authorizeOrderPayment(newOrder, paymentMethod);
+      }
+
       return newOrder;
     },
 
@@ -113,16 +347,41 @@ const orderResolvers = {
       // Check ownership
       requireOwnership(context, existingOrder.userId);
 
-      const updates = { ...input };
+      // Orders are frozen once shipped, delivered or cancelled
+      validateOrderEditable(existingOrder);
 
-      // Validate updates
-      if (input.quantity !== undefined) {
-        validateQuantity(input.quantity);
-        
-        // Recalculate total price if quantity changed
-        const listing = dataStore.getListingById(existingOrder.listingId);
-        if (listing) {
-          updates.totalPrice = listing.price * input.quantity;
+      const { quantity, items, ...updates } = input;
+      validateShippingDestination(existingOrder, updates.shippingAddress);
+
+      // Quantity changes keep the unit prices paid, whatever the listings cost now
+      if (quantity != null || items) {
+        validatePaymentUnchanged(existingOrder);
+        const changes = getItemQuantityChanges(existingOrder, { quantity, items });
+        updates.items = adjustOrderItems(existingOrder, changes);
+      }
+
+      // Orders from won auctions have no address until the winner gives
+      // one, and are quoted shipping then
+      if (!existingOrder.shippingAddress && updates.shippingAddress) {
+        Object.assign(updates, quoteOrderShipping(updates.items || existingOrder.items, updates.shippingAddress));
+      }
+
+      // Tax depends on the items and where they are going, so a change to
+      // either prices the order again
+      if (updates.items || updates.shippingAddress) {
+        Object.assign(updates, priceOrderItems(
+          updates.items || existingOrder.items,
+          updates.shippingAddress || existingOrder.shippingAddress,
+          {
+            currency: getOrderCurrency(existingOrder),
+            exchangeRate: existingOrder.exchangeRate,
+            buyerCurrency: getBuyerCurrency(existingOrder),
+          }
+        ));
+
+        // A new address can change the tax, and paid totals are fixed
+        if (updates.totalPrice !== existingOrder.totalPrice) {
+          validatePaymentUnchanged(existingOrder);
         }
       }
 
@@ -148,6 +407,11 @@ const orderResolvers = {
       // Check ownership
       requireOwnership(context, existingOrder.userId);
 
+      // Goods that have shipped stay sold, and held money must be voided or
+      // refunded first
+      validateOrderDeletable(existingOrder);
+      validatePaymentDeletable(existingOrder);
+
       // Delete order
       const deleted = dataStore.deleteOrder(id);
       if (!deleted) {
@@ -159,12 +423,18 @@ const orderResolvers = {
         });
       }
 
+      // Pending and confirmed orders give their stock back; cancelled ones
+      // already have
+      if (existingOrder.status !== 'CANCELLED') {
+        releaseOrderStock(existingOrder);
+      }
+
       return { message: 'Order deleted successfully' };
     },
 
     cancelOrder: async (parent, { id, cancelReason }, context) => {
       // Require authentication
-      const user = requireAuth(context);
+      requireAuth(context);
 
       const existingOrder = dataStore.getOrderById(id);
       if (!existingOrder) {
@@ -176,30 +446,19 @@ const orderResolvers = {
         });
       }
 
-      // Check ownership
-      requireOwnership(context, existingOrder.userId);
+      // Either the buyer or the seller can cancel
+      const user = requireParticipant(context, [existingOrder.userId, existingOrder.sellerId]);
 
-      // Check if order can be cancelled
-      if (existingOrder.status === 'CANCELLED') {
-        throw new GraphQLError('Order is already cancelled', {
-          extensions: {
-            code: 'INVALID_OPERATION',
-            details: 'This order has already been cancelled',
-          },
-        });
-      }
+      // Check if order can be cancelled (only before shipment)
+      validateStatusTransition(existingOrder, 'CANCELLED');
+      validatePaymentNotProcessing(existingOrder);
 
-      if (existingOrder.status === 'DELIVERED') {
-        throw new GraphQLError('Cannot cancel delivered order', {
-          extensions: {
-            code: 'INVALID_OPERATION',
-            details: 'Delivered orders cannot be cancelled',
-          },
-        });
-      }
+      // Cancel order and return its stock to the listing
+      const cancelledOrder = dataStore.cancelOrder(id, cancelReason, user.id);
+      releaseOrderStock(existingOrder);
+      await voidOrderPayment(existingOrder);
 
-      // Cancel order
-      const cancelledOrder = dataStore.cancelOrder(id, cancelReason);
+      pubsub.publish(EVENTS.ORDER_STATUS_CHANGED, { orderStatusChanged: cancelledOrder });
 
       return {
         message: 'Order cancelled successfully',
@@ -207,9 +466,9 @@ const orderResolvers = {
       };
     },
 
-    updateOrderStatus: async (parent, { id, status }, context) => {
+    updateOrderStatus: async (parent, { id, status, note, carrier, trackingNumber }, context) => {
       // Require authentication
-      const user = requireAuth(context);
+      requireAuth(context);
 
       const existingOrder = dataStore.getOrderById(id);
       if (!existingOrder) {
@@ -221,44 +480,194 @@ const orderResolvers = {
         });
       }
 
-      // Check ownership (or in real app, check if user is seller)
-      requireOwnership(context, existingOrder.userId);
-
       // Validate status
       validateOrderStatus(status);
 
+      // Only the buyer or seller can touch the order, and each status
+      // belongs to one side of it
+      const user = requireParticipant(context, [existingOrder.userId, existingOrder.sellerId]);
+      const allowedParties = STATUS_UPDATE_PARTIES[status];
+      const isAllowed = allowedParties.some(party => getPartyUserId(existingOrder, party) === user.id);
+      if (!isAllowed) {
+        throw new GraphQLError('Access denied', {
+          extensions: {
+            code: 'FORBIDDEN',
+            details: `Only the ${allowedParties.join(' or ')} can mark an order as ${status}`,
+          },
+        });
+      }
+
+      // The move must be allowed from the current status
+      validateStatusTransition(existingOrder, status);
+      const trackingUpdates = getTrackingUpdates(status, carrier, trackingNumber);
+
+      // Payment follows the order: confirmed orders are paid for, shipping
+      // takes the money into escrow, and delivery pays the seller
+      if (status === 'CONFIRMED') {
+        validatePaymentAuthorized(existingOrder);
+      } else if (status === 'SHIPPED') {
+        await captureOrderPayment(existingOrder);
+
+        // The payment was locked during the capture, so nothing should have
+        // moved the order meanwhile; check before writing SHIPPED over it
+        validateStatusTransition(dataStore.getOrderById(id), status);
+      } else if (status === 'CANCELLED') {
+        validatePaymentNotProcessing(existingOrder);
+      }
+
+      // Cancelling returns the order's stock to the listing
+      if (status === 'CANCELLED') {
+        releaseOrderStock(existingOrder);
+      }
+
       // Update order status
-      const updatedOrder = dataStore.updateOrderStatus(id, status);
+      const updatedOrder = dataStore.updateOrderStatus(id, status, user.id, note, trackingUpdates);
+
+      if (status === 'CANCELLED') {
+        await voidOrderPayment(existingOrder);
+      } else if (status === 'DELIVERED') {
+        await releaseOrderPayout(existingOrder);
+      }
+
+      pubsub.publish(EVENTS.ORDER_STATUS_CHANGED, { orderStatusChanged: updatedOrder });
+
       return updatedOrder;
     },
   },
 
   Subscription: {
     orderStatusChanged: {
-      // Placeholder for subscription implementation
-      subscribe: () => {
-        return {
-          [Symbol.asyncIterator]: async function* () {
-            // This is a placeholder - real implementation would use Redis/PubSub
-            yield { orderStatusChanged: null };
+      // Requires authentication; events only reach the order's buyer and seller
+      subscribe: (parent, args, context, info) => {
+        requireAuth(context);
+
+        return withFilter(
+          () => pubsub.asyncIterator(EVENTS.ORDER_STATUS_CHANGED),
+          ({ orderStatusChanged: order }, { orderId }, { user }) => {
+            if (orderId && order.id !== orderId) return false;
+            return order.userId === user.id || order.sellerId === user.id;
           }
-        };
+        )(parent, args, context, info);
       },
     },
   },
 
   Order: {
     user: async (parent, args, context) => {
-      const user = dataStore.getUserById(parent.userId);
-      if (user) {
-        const { password, ...userWithoutPassword } = user;
-        return userWithoutPassword;
-      }
-      return null;
+      return context.loaders.user.load(parent.userId);
+    },
+
+    buyer: async (parent, args, context) => {
+      return context.loaders.user.load(parent.userId);
+    },
+
+    // The owner of the listing the order was placed on
+    seller: async (parent, args, context) => {
+      return context.loaders.user.load(parent.sellerId);
+    },
+
+    // Deprecated single-listing fields, taken from the first item
+    listingId: (parent) => parent.items[0].listingId,
+
+    quantity: (parent) => parent.items[0].quantity,
+
+    listing: async (parent, args, context) => {
+      return context.loaders.listing.load(parent.items[0].listingId);
+    },
+
+    items: (parent) => withItemCurrency(parent.items, getOrderCurrency(parent)),
+
+    statusHistory: (parent) => parent.statusHistory || [],
+
+    feedback: (parent) => dataStore.getFeedback({ orderId: parent.id }),
+
+    subtotal: (parent) => getItemsSubtotal(parent.items, getOrderCurrency(parent)),
+
+    shippingCost: (parent) => getShippingCost(parent.items, getOrderCurrency(parent)),
+
+    taxAmount: (parent) => getTaxAmount(parent.items, getOrderCurrency(parent)),
+
+    total: (parent) => parent.totalPrice,
+
+    currency: (parent) => getOrderCurrency(parent),
+
+    buyerCurrency: (parent) => getBuyerCurrency(parent),
+
+    exchangeRate: (parent) => parent.exchangeRate ?? 1,
+
+    listingTotal: (parent) => toMoney(parent.totalPrice, getOrderCurrency(parent)),
+
+    buyerTotal: (parent) => toMoney(parent.buyerTotalPrice ?? parent.totalPrice, getBuyerCurrency(parent)),
+
+    // The seller's promised dispatch date
+    shipBy: (parent) => {
+      if (parent.handlingTimeDays === null || parent.handlingTimeDays === undefined) return null;
+
+      return new Date(new Date(parent.createdAt).getTime() + parent.handlingTimeDays * 24 * 60 * 60 * 1000).toISOString();
     },
 
+    // Fetched from the carrier on every read
+    trackingEvents: async (parent) => {
+      if (!parent.trackingNumber) return [];
+
+      const shipment = (parent.statusHistory || []).find(event => event.toStatus === 'SHIPPED');
+      return getCarrier(parent.carrier).getTrackingEvents({
+        trackingNumber: parent.trackingNumber,
+        shippedAt: shipment.timestamp,
+        destination: parent.shippingAddress,
+      });
+    },
+
+    payment: (parent) => getOrderPayment(parent),
+
+    returns: (parent) => dataStore.getReturnRequests({ orderId: parent.id }),
+
+    returnableUntil: (parent) => getReturnableUntil(parent),
+  },
+
+  OrderQuote: {
+    items: (parent) => withItemCurrency(parent.items, getOrderCurrency(parent)),
+
+    subtotal: (parent) => getItemsSubtotal(parent.items, getOrderCurrency(parent)),
+
+    shippingCost: (parent) => getShippingCost(parent.items, getOrderCurrency(parent)),
+
+    taxAmount: (parent) => getTaxAmount(parent.items, getOrderCurrency(parent)),
+
+    total: (parent) => parent.totalPrice,
+
+    currency: (parent) => getOrderCurrency(parent),
+
+    buyerCurrency: (parent) => getBuyerCurrency(parent),
+
+    exchangeRate: (parent) => parent.exchangeRate ?? 1,
+
+    listingTotal: (parent) => toMoney(parent.totalPrice, getOrderCurrency(parent)),
+
+    buyerTotal: (parent) => toMoney(parent.buyerTotalPrice ?? parent.totalPrice, getBuyerCurrency(parent)),
+  },
+
+  OrderItem: {
+    unitShippingCost: (parent) => parent.unitShippingCost || 0,
+
+    taxRate: (parent) => parent.taxRate || 0,
+
+    taxAmount: (parent) => parent.taxAmount || 0,
+
+    taxExempt: (parent) => parent.taxExempt || false,
+
+    subtotal: (parent) => getItemsSubtotal([parent], parent.currency),
+
     listing: async (parent, args, context) => {
-      return dataStore.getListingById(parent.listingId);
+      return context.loaders.listing.load(parent.listingId);
+    },
+  },
+
+  OrderStatusEvent: {
+    actor: async (parent, args, context) => {
+      if (parent.actorId === null || parent.actorId === undefined) return null;
+
+      return context.loaders.user.load(parent.actorId);
     },
   },
 };
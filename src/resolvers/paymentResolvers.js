@@ -0,0 +1,72 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const { requireAuth, requireOwnership } = require('../utils/auth');
+const { validateRequired } = require('../utils/validation');
+const { authorizeOrderPayment, getOrderPayment } = require('../utils/payments');
+const { getOrderCurrency } = require('../utils/currency');
+
+// Orders can be paid for until they ship
+const PAYABLE_ORDER_STATUSES = ['PENDING', 'CONFIRMED'];
+
+// Load an open order belonging to the current user
+function getPayableOrder(context, orderId) {
+  const order = dataStore.getOrderById(orderId);
+  if (!order) {
+    throw new GraphQLError('Order not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Order with ID ${orderId} does not exist`,
+      },
+    });
+  }
+
+  // Only the buyer pays
+  requireOwnership(context, order.userId);
+
+  if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new GraphQLError('Order cannot be paid', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `${order.status} orders cannot be paid`,
+      },
+    });
+  }
+
+  return order;
+}
+
+const paymentResolvers = {
+  Mutation: {
+    payOrder: async (parent, { orderId, paymentMethod }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      validateRequired(paymentMethod, 'paymentMethod');
+
+      const order = getPayableOrder(context, orderId);
+      await authorizeOrderPayment(order, paymentMethod);
+
+      return dataStore.getOrderById(orderId);
+    },
+
+    retryPayment: async (parent, { orderId, paymentMethod }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      const order = getPayableOrder(context, orderId);
+      const previousMethod = getOrderPayment(order).paymentMethod;
+      await authorizeOrderPayment(order, paymentMethod || previousMethod, { retry: true });
+
+      return dataStore.getOrderById(orderId);
+    },
+  },
+
+  Payment: {
+    // Payments recorded before they kept a currency are in their order's
+    currency: async (parent, args, context) => {
+      return parent.currency || getOrderCurrency(await context.loaders.order.load(parent.orderId));
+    },
+  },
+};
+
+module.exports = paymentResolvers;
@@ -0,0 +1,375 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const { requireAuth, requireOwnership, requireParticipant } = require('../utils/auth');
+const {
+  validateRequired,
+  validateMaxLength,
+  validateQuantity,
+  validateAmount,
+} = require('../utils/validation');
+const {
+  RETURN_WINDOW_DAYS,
+  getReturnableUntil,
+  getOrderTotal,
+  validateNoDuplicateItems,
+} = require('../utils/orders');
+const { refundOrderPayment } = require('../utils/payments');
+const { getOrderCurrency, roundToCurrency } = require('../utils/currency');
+
+const MAX_REASON_LENGTH = 500;
+
+// Allowed moves of the item on its way back. The buyer reports it shipped
+// and the seller reports it received, which puts it back in stock.
+const RETURN_SHIPMENT_TRANSITIONS = {
+  AWAITING_SHIPMENT: ['IN_TRANSIT', 'RECEIVED'],
+  IN_TRANSIT: ['RECEIVED'],
+  RECEIVED: [],
+};
+
+const RETURN_SHIPMENT_PARTIES = {
+  IN_TRANSIT: 'buyer',
+  RECEIVED: 'seller',
+};
+
+function getReturnRequestOrThrow(id) {
+  const returnRequest = dataStore.getReturnRequestById(id);
+  if (!returnRequest) {
+    throw new GraphQLError('Return request not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Return request with ID ${id} does not exist`,
+      },
+    });
+  }
+  return returnRequest;
+}
+
+function validateReturnStatus(returnRequest, expectedStatus, action) {
+  if (returnRequest.status !== expectedStatus) {
+    throw new GraphQLError(`Return request cannot be ${action}`, {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `Only ${expectedStatus} returns can be ${action}; this one is ${returnRequest.status}`,
+      },
+    });
+  }
+}
+
+// Units of each listing on the order not already covered by a return.
+// Rejected returns give their units back.
+function getReturnableQuantities(order) {
+  const quantities = new Map(order.items.map(item => [item.listingId, item.quantity]));
+
+  dataStore.getReturnRequests({ orderId: order.id })
+    .filter(returnRequest => returnRequest.status !== 'REJECTED')
+    .forEach(returnRequest => returnRequest.items.forEach(item => {
+      quantities.set(item.listingId, quantities.get(item.listingId) - item.quantity);
+    }));
+
+  return quantities;
+}
+
+// Returns are valued and refunded in their order's currency
+async function getReturnCurrency(returnRequest, context) {
+  const order = await context.loaders.order.load(returnRequest.orderId);
+  return getOrderCurrency(order || {});
+}
+
+// A share of an order item, at the price paid and with its part of the
+// line's tax
+function toReturnItem(orderItem, quantity, currency) {
+  return {
+    listingId: orderItem.listingId,
+    quantity,
+    unitPrice: orderItem.unitPrice,
+    taxRate: orderItem.taxRate || 0,
+    taxExempt: orderItem.taxExempt || false,
+    taxAmount: roundToCurrency((orderItem.taxAmount || 0) * quantity / orderItem.quantity, currency),
+  };
+}
+
+// The items being returned, at the prices paid for them. Without items,
+// everything still returnable on the order is.
+function getReturnItems(order, items) {
+  const currency = getOrderCurrency(order);
+  const returnable = getReturnableQuantities(order);
+  const orderItems = new Map(order.items.map(item => [item.listingId, item]));
+
+  if (!items) {
+    const remaining = order.items
+      .filter(item => returnable.get(item.listingId) > 0)
+      .map(item => toReturnItem(item, returnable.get(item.listingId), currency));
+
+    if (remaining.length === 0) {
+      throw new GraphQLError('Every item on this order is already being returned', {
+        extensions: {
+          code: 'CONFLICT',
+          details: `Order ${order.id} has no items left to return`,
+        },
+      });
+    }
+    return remaining;
+  }
+
+  validateRequired(items.length > 0 ? items : null, 'items');
+  validateNoDuplicateItems(items);
+
+  return items.map(({ listingId, quantity }) => {
+    validateQuantity(quantity);
+
+    if (!returnable.has(listingId)) {
+      throw new GraphQLError('Listing is not part of this order', {
+        extensions: {
+          code: 'VALIDATION_ERROR',
+          details: { field: 'items', message: `Listing ${listingId} is not an item of order ${order.id}` },
+        },
+      });
+    }
+
+    if (quantity > returnable.get(listingId)) {
+      throw new GraphQLError('Cannot return more than was bought', {
+        extensions: {
+          code: 'VALIDATION_ERROR',
+          details: {
+            field: 'items',
+            message: `Only ${returnable.get(listingId)} of listing ${listingId} can still be returned`,
+          },
+        },
+      });
+    }
+
+    return toReturnItem(orderItems.get(listingId), quantity, currency);
+  });
+}
+
+// What is left to refund on a return: the price paid for its items, tax
+// included, less any refunds already issued
+function getRefundableAmount(returnRequest, currency) {
+  return roundToCurrency(getOrderTotal(returnRequest.items, currency) - returnRequest.refundedAmount, currency);
+}
+
+const returnResolvers = {
+  Query: {
+    returnRequest: async (parent, { id }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      const returnRequest = getReturnRequestOrThrow(id);
+      requireParticipant(context, [returnRequest.buyerId, returnRequest.sellerId]);
+
+      return returnRequest;
+    },
+  },
+
+  Mutation: {
+    requestReturn: async (parent, { orderId, reason, items }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const order = dataStore.getOrderById(orderId);
+      if (!order) {
+        throw new GraphQLError('Order not found', {
+          extensions: {
+            code: 'NOT_FOUND',
+            details: `Order with ID ${orderId} does not exist`,
+          },
+        });
+      }
+
+      // Only the buyer can send an order back
+      requireOwnership(context, order.userId);
+
+      if (order.status !== 'DELIVERED') {
+        throw new GraphQLError('Only delivered orders can be returned', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: `This order is ${order.status.toLowerCase()}; cancel it instead`,
+          },
+        });
+      }
+
+      if (new Date(getReturnableUntil(order)) <= new Date()) {
+        throw new GraphQLError('Return window has closed', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`,
+          },
+        });
+      }
+
+      validateRequired(reason?.trim(), 'reason');
+      validateMaxLength(reason, 'reason', MAX_REASON_LENGTH);
+
+      return dataStore.createReturnRequest({
+        orderId,
+        buyerId: order.userId,
+        sellerId: order.sellerId,
+        reason: reason.trim(),
+        items: getReturnItems(order, items),
+      }, user.id);
+    },
+
+    approveReturn: async (parent, { id, note }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const returnRequest = getReturnRequestOrThrow(id);
+      requireOwnership(context, returnRequest.sellerId);
+      validateReturnStatus(returnRequest, 'REQUESTED', 'approved');
+
+      return dataStore.updateReturnRequest(id, {
+        status: 'APPROVED',
+        shipmentStatus: 'AWAITING_SHIPMENT',
+      }, { type: 'APPROVED', actorId: user.id, note });
+    },
+
+    rejectReturn: async (parent, { id, reason }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const returnRequest = getReturnRequestOrThrow(id);
+      requireOwnership(context, returnRequest.sellerId);
+      validateReturnStatus(returnRequest, 'REQUESTED', 'rejected');
+
+      validateRequired(reason?.trim(), 'reason');
+      validateMaxLength(reason, 'reason', MAX_REASON_LENGTH);
+
+      return dataStore.updateReturnRequest(id, { status: 'REJECTED' }, {
+        type: 'REJECTED',
+        actorId: user.id,
+        note: reason.trim(),
+      });
+    },
+
+    updateReturnShipment: async (parent, { id, status, trackingNumber }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const returnRequest = getReturnRequestOrThrow(id);
+      requireParticipant(context, [returnRequest.buyerId, returnRequest.sellerId]);
+
+      const party = RETURN_SHIPMENT_PARTIES[status];
+      const partyUserId = party === 'buyer' ? returnRequest.buyerId : returnRequest.sellerId;
+      if (partyUserId !== user.id) {
+        throw new GraphQLError('Access denied', {
+          extensions: {
+            code: 'FORBIDDEN',
+            details: `Only the ${party} can mark a return as ${status}`,
+          },
+        });
+      }
+
+      // Nothing ships back until the seller approves the return
+      const allowedTransitions = RETURN_SHIPMENT_TRANSITIONS[returnRequest.shipmentStatus] || [];
+      if (!allowedTransitions.includes(status)) {
+        throw new GraphQLError(`Invalid return shipment transition from ${returnRequest.shipmentStatus} to ${status}`, {
+          extensions: {
+            code: 'INVALID_TRANSITION',
+            details: {
+              from: returnRequest.shipmentStatus,
+              to: status,
+              allowedTransitions,
+              message: returnRequest.shipmentStatus
+                ? `Allowed next statuses: ${allowedTransitions.join(', ') || 'none'}`
+                : 'The return has not been approved',
+            },
+          },
+        });
+      }
+
+      if (status === 'IN_TRANSIT') {
+        return dataStore.updateReturnRequest(id, {
+          shipmentStatus: status,
+          trackingNumber: trackingNumber || null,
+        }, { type: 'SHIPPED', actorId: user.id, note: trackingNumber || null });
+      }
+
+      // The seller has the items back, so they can be sold again
+      return dataStore.transaction(() => {
+        returnRequest.items.forEach(item => dataStore.releaseStock(item.listingId, item.quantity));
+        return dataStore.updateReturnRequest(id, { shipmentStatus: status }, { type: 'RECEIVED', actorId: user.id });
+      });
+    },
+
+    // Full refund by default; partial refunds can be issued until the
+    // price paid for the returned items is used up
+    issueRefund: async (parent, { returnId, amount }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const returnRequest = getReturnRequestOrThrow(returnId);
+      requireOwnership(context, returnRequest.sellerId);
+      validateReturnStatus(returnRequest, 'APPROVED', 'refunded');
+
+      const order = dataStore.getOrderById(returnRequest.orderId);
+      const currency = getOrderCurrency(order);
+      const refundableAmount = getRefundableAmount(returnRequest, currency);
+      const refund = amount === undefined || amount === null ? refundableAmount : roundToCurrency(amount, currency);
+      validateAmount(refund, 'amount');
+      if (refund > refundableAmount) {
+        throw new GraphQLError('Refund exceeds the refundable amount', {
+          extensions: {
+            code: 'VALIDATION_ERROR',
+            details: { field: 'amount', message: `At most ${refundableAmount} can still be refunded` },
+          },
+        });
+      }
+
+      // Count the refund before calling the gateway, so a second refund
+      // issued meanwhile cannot go over the limit
+      dataStore.updateReturnRequest(returnId, {
+        refundedAmount: roundToCurrency(returnRequest.refundedAmount + refund, currency),
+      });
+
+      try {
+        await refundOrderPayment(order, refund);
+      } catch (error) {
+        const current = dataStore.getReturnRequestById(returnId);
+        dataStore.updateReturnRequest(returnId, { refundedAmount: roundToCurrency(current.refundedAmount - refund, currency) });
+        throw error;
+      }
+
+      const updated = dataStore.getReturnRequestById(returnId);
+      return dataStore.updateReturnRequest(returnId, {
+        status: getRefundableAmount(updated, currency) === 0 ? 'REFUNDED' : updated.status,
+      }, { type: 'REFUNDED', actorId: user.id, amount: refund });
+    },
+  },
+
+  ReturnRequest: {
+    // In the order's currency, like the order's items
+    items: async (parent, args, context) => {
+      const currency = await getReturnCurrency(parent, context);
+      return parent.items.map(item => ({ ...item, currency }));
+    },
+
+    // The price paid for the items being returned, tax included
+    value: async (parent, args, context) => {
+      return getOrderTotal(parent.items, await getReturnCurrency(parent, context));
+    },
+
+    refundableAmount: async (parent, args, context) => {
+      return getRefundableAmount(parent, await getReturnCurrency(parent, context));
+    },
+
+    order: async (parent, args, context) => {
+      return context.loaders.order.load(parent.orderId);
+    },
+
+    buyer: async (parent, args, context) => {
+      return context.loaders.user.load(parent.buyerId);
+    },
+
+    seller: async (parent, args, context) => {
+      return context.loaders.user.load(parent.sellerId);
+    },
+  },
+
+  ReturnEvent: {
+    actor: async (parent, args, context) => {
+      return context.loaders.user.load(parent.actorId);
+    },
+  },
+};
+
+module.exports = returnResolvers;
@@ -0,0 +1,121 @@
+const { GraphQLError } = require('graphql');
+const { withFilter } = require('graphql-subscriptions');
+const dataStore = require('../data/store');
+const { requireAuth, requireOwnership } = require('../utils/auth');
+const { validateRequired, validateMaxLength } = require('../utils/validation');
+const { pubsub, EVENTS } = require('../utils/pubsub');
+const { connectionFromRecords } = require('../utils/pagination');
+const { normalizeSavedFilter } = require('../utils/savedSearches');
+const { validateCurrency } = require('../utils/currency');
+
+const MAX_NAME_LENGTH = 100;
+
+function getSavedSearchOrThrow(id) {
+  const savedSearch = dataStore.getSavedSearchById(id);
+  if (!savedSearch) {
+    throw new GraphQLError('Saved search not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Saved search with ID ${id} does not exist`,
+      },
+    });
+  }
+  return savedSearch;
+}
+
+const savedSearchResolvers = {
+  Query: {
+    mySavedSearches: async (parent, args, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      return dataStore.getSavedSearches({ userId: user.id });
+    },
+
+    // Newest first
+    savedSearchAlerts: async (parent, { savedSearchId, first, after, last, before }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      if (savedSearchId) {
+        requireOwnership(context, getSavedSearchOrThrow(savedSearchId).userId);
+      }
+
+      const alerts = dataStore.getSavedSearchAlerts({ userId: user.id, savedSearchId });
+      return connectionFromRecords(alerts, { first, after, last, before });
+    },
+  },
+
+  Mutation: {
+    saveSearch: async (parent, { name, filter }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const trimmedName = name?.trim();
+      validateRequired(trimmedName, 'name');
+      validateMaxLength(trimmedName, 'name', MAX_NAME_LENGTH);
+
+      // Alerts compare new listings against the saved price range
+      if (filter?.currency) {
+        validateCurrency(filter.currency);
+      }
+
+      if (dataStore.getSavedSearches({ userId: user.id, name: trimmedName }).length > 0) {
+        throw new GraphQLError('A saved search with this name already exists', {
+          extensions: {
+            code: 'CONFLICT',
+            details: { field: 'name', message: `You already have a saved search named "${trimmedName}"` },
+          },
+        });
+      }
+
+      return dataStore.createSavedSearch({
+        userId: user.id,
+        name: trimmedName,
+        filter: normalizeSavedFilter(filter),
+      });
+    },
+
+    deleteSavedSearch: async (parent, { id }, context) => {
+      // Require authentication
+      requireAuth(context);
+
+      const savedSearch = getSavedSearchOrThrow(id);
+      requireOwnership(context, savedSearch.userId);
+
+      dataStore.deleteSavedSearch(id);
+
+      return { message: 'Saved search deleted successfully' };
+    },
+  },
+
+  Subscription: {
+    savedSearchAlert: {
+      // Requires authentication; alerts only reach the owner of the saved search
+      subscribe: (parent, args, context, info) => {
+        requireAuth(context);
+
+        return withFilter(
+          () => pubsub.asyncIterator(EVENTS.SAVED_SEARCH_ALERT),
+          ({ savedSearchAlert }, variables, { user }) => savedSearchAlert.userId === user.id
+        )(parent, args, context, info);
+      },
+    },
+  },
+
+  SavedSearch: {
+    filter: (parent) => ({ includeSoldOut: false, ...parent.filter }),
+
+    alertCount: (parent) => dataStore.getSavedSearchAlerts({ savedSearchId: parent.id }).length,
+  },
+
+  SavedSearchAlert: {
+    savedSearch: (parent) => dataStore.getSavedSearchById(parent.savedSearchId),
+
+    listing: async (parent, args, context) => {
+      return context.loaders.listing.load(parent.listingId);
+    },
+  },
+};
+
+module.exports = savedSearchResolvers;
@@ -1,8 +1,10 @@
 const bcrypt = require('bcryptjs');
 const { GraphQLError } = require('graphql');
 const dataStore = require('../data/store');
-const { requireAuth, requireOwnership } = require('../utils/auth');
+const { requireAuth, requireOwnership, sanitizeUser } = require('../utils/auth');
 const { validateEmail, validatePassword, validateUsername, validateRequired } = require('../utils/validation');
+const { connectionFromRecords } = require('../utils/pagination');
+const { validateCurrency } = require('../utils/currency');
 
 const userResolvers = {
   Query: {
@@ -18,8 +20,7 @@ const userResolvers = {
       }
       
       // Return user without password
-      const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
+      return sanitizeUser(user);
     },
   },
 
@@ -57,8 +58,7 @@ const userResolvers = {
       });
 
       // Return user without password
-      const { password: _, ...userWithoutPassword } = newUser;
-      return userWithoutPassword;
+      return sanitizeUser(newUser);
     },
 
     updateUser: async (parent, { id, input }, context) => {
@@ -97,6 +97,10 @@ const userResolvers = {
         }
       }
 
+      if (input.preferredCurrency) {
+        updates.preferredCurrency = validateCurrency(input.preferredCurrency, 'preferredCurrency');
+      }
+
       if (input.password) {
         validatePassword(input.password);
         updates.password = await bcrypt.hash(input.password, 10);
@@ -106,8 +110,7 @@ const userResolvers = {
       const updatedUser = dataStore.updateUser(id, updates);
 
       // Return user without password
-      const { password, ...userWithoutPassword } = updatedUser;
-      return userWithoutPassword;
+      return sanitizeUser(updatedUser);
     },
 
     deleteUser: async (parent, { id }, context) => {
@@ -140,8 +143,35 @@ const userResolvers = {
   },
 
   User: {
-    // User type resolvers for nested fields if needed
-    // Currently all fields are directly available from the data store
+    // Only shown to the user themselves
+    preferredCurrency: (parent, args, context) => {
+      if (context.user && context.user.id === parent.id) {
+        return parent.preferredCurrency || null;
+      }
+      return null;
+    },
+
+    // Positive ratings minus negative ones; neutral ratings do not count
+    feedbackScore: (parent) => {
+      const summary = dataStore.getFeedbackSummary(parent.id);
+      return summary.POSITIVE - summary.NEGATIVE;
+    },
+
+    // Share of positive ratings among positive and negative ones, or null
+    // before the user has any
+    positivePercentage: (parent) => {
+      const summary = dataStore.getFeedbackSummary(parent.id);
+      const rated = summary.POSITIVE + summary.NEGATIVE;
+      if (rated === 0) return null;
+
+      return Math.round((summary.POSITIVE / rated) * 1000) / 10;
+    },
+
+    // Newest first
+    feedbackReceived: (parent, { rating, first, after, last, before }) => {
+      const feedback = dataStore.getFeedback({ recipientId: parent.id, rating });
+      return connectionFromRecords(feedback, { first, after, last, before });
+    },
   },
 };
 
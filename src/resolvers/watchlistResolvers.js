@@ -0,0 +1,90 @@
+const { GraphQLError } = require('graphql');
+const { withFilter } = require('graphql-subscriptions');
+const dataStore = require('../data/store');
+const { requireAuth } = require('../utils/auth');
+const { pubsub, EVENTS } = require('../utils/pubsub');
+const { connectionFromRecords } = require('../utils/pagination');
+
+function getListingOrThrow(id) {
+  const listing = dataStore.getListingById(id);
+  if (!listing) {
+    throw new GraphQLError('Listing not found', {
+      extensions: {
+        code: 'NOT_FOUND',
+        details: `Listing with ID ${id} does not exist`,
+      },
+    });
+  }
+  return listing;
+}
+
+const watchlistResolvers = {
+  Query: {
+    // Most recently watched first
+    myWatchlist: async (parent, { first, after, last, before }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      return connectionFromRecords(dataStore.getWatchlist(user.id), { first, after, last, before });
+    },
+  },
+
+  Mutation: {
+    watchListing: async (parent, { listingId }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      const listing = getListingOrThrow(listingId);
+      if (listing.userId === user.id) {
+        throw new GraphQLError('Cannot watch your own listing', {
+          extensions: {
+            code: 'INVALID_OPERATION',
+            details: 'Sellers cannot add their own listings to their watchlist',
+          },
+        });
+      }
+
+      return dataStore.addToWatchlist(user.id, listingId);
+    },
+
+    unwatchListing: async (parent, { listingId }, context) => {
+      // Require authentication
+      const user = requireAuth(context);
+
+      if (!dataStore.removeFromWatchlist(user.id, listingId)) {
+        throw new GraphQLError('Listing is not on your watchlist', {
+          extensions: {
+            code: 'NOT_FOUND',
+            details: `Listing with ID ${listingId} is not on your watchlist`,
+          },
+        });
+      }
+
+      return { message: 'Listing removed from watchlist' };
+    },
+  },
+
+  Subscription: {
+    watchedListingPriceChanged: {
+      // Requires authentication; events only reach users watching the listing
+      subscribe: (parent, args, context, info) => {
+        requireAuth(context);
+
+        return withFilter(
+          () => pubsub.asyncIterator(EVENTS.WATCHED_LISTING_PRICE_CHANGED),
+          ({ watcherIds }, variables, { user }) => watcherIds.includes(user.id)
+        )(parent, args, context, info);
+      },
+    },
+  },
+
+  WatchlistEntry: {
+    watchedAt: (parent) => parent.createdAt,
+
+    listing: async (parent, args, context) => {
+      return context.loaders.listing.load(parent.listingId);
+    },
+  },
+};
+
+module.exports = watchlistResolvers;
@@ -1,6 +1,9 @@
 const { ApolloServer } = require('@apollo/server');
 const { expressMiddleware } = require('@apollo/server/express4');
 const { ApolloServerPluginDrainHttpServer } = require('@apollo/server/plugin/drainHttpServer');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const express = require('express');
 const http = require('http');
 const cors = require('cors');
@@ -13,6 +16,21 @@ const userResolvers = require('./resolvers/userResolvers');
 const authResolvers = require('./resolvers/authResolvers');
 const listingResolvers = require('./resolvers/listingResolvers');
 const orderResolvers = require('./resolvers/orderResolvers');
+const bidResolvers = require('./resolvers/bidResolvers');
+const offerResolvers = require('./resolvers/offerResolvers');
+const feedbackResolvers = require('./resolvers/feedbackResolvers');
+const watchlistResolvers = require('./resolvers/watchlistResolvers');
+const savedSearchResolvers = require('./resolvers/savedSearchResolvers');
+const messageResolvers = require('./resolvers/messageResolvers');
+const cartResolvers = require('./resolvers/cartResolvers');
+const paymentResolvers = require('./resolvers/paymentResolvers');
+const returnResolvers = require('./resolvers/returnResolvers');
+const dataStore = require('./data/store');
+const { seedSampleData } = require('./data/seed');
+const { createLoaders } = require('./utils/loaders');
+const { loadExchangeRates } = require('./utils/currency');
+const { closeExpiredAuctions } = require('./utils/auctionClosing');
+const { UPLOAD_DIR, UPLOAD_URL_PATH, MAX_IMAGE_SIZE_BYTES, MAX_IMAGES_PER_LISTING } = require('./utils/images');
 
 // Load GraphQL schema
 const typeDefs = fs.readFileSync(
@@ -26,32 +44,72 @@ const resolvers = {
     ...userResolvers.Query,
     ...listingResolvers.Query,
     ...orderResolvers.Query,
+    ...offerResolvers.Query,
+    ...feedbackResolvers.Query,
+    ...watchlistResolvers.Query,
+    ...savedSearchResolvers.Query,
+    ...messageResolvers.Query,
+    ...cartResolvers.Query,
+    ...returnResolvers.Query,
   },
   Mutation: {
     ...userResolvers.Mutation,
     ...authResolvers.Mutation,
     ...listingResolvers.Mutation,
     ...orderResolvers.Mutation,
+    ...bidResolvers.Mutation,
+    ...offerResolvers.Mutation,
+    ...feedbackResolvers.Mutation,
+    ...watchlistResolvers.Mutation,
+    ...savedSearchResolvers.Mutation,
+    ...messageResolvers.Mutation,
+    ...cartResolvers.Mutation,
+    ...paymentResolvers.Mutation,
+    ...returnResolvers.Mutation,
   },
   Subscription: {
     ...orderResolvers.Subscription,
     ...listingResolvers.Subscription,
+    ...watchlistResolvers.Subscription,
+    ...savedSearchResolvers.Subscription,
+    ...messageResolvers.Subscription,
   },
   // Type resolvers for nested fields
   User: userResolvers.User,
   Listing: listingResolvers.Listing,
+  ListingImage: listingResolvers.ListingImage,
+  ListingSearchEdge: listingResolvers.ListingSearchEdge,
   Order: orderResolvers.Order,
+  OrderQuote: orderResolvers.OrderQuote,
+  OrderItem: orderResolvers.OrderItem,
+  OrderStatusEvent: orderResolvers.OrderStatusEvent,
+  Bid: bidResolvers.Bid,
+  Offer: offerResolvers.Offer,
+  Feedback: feedbackResolvers.Feedback,
+  WatchlistEntry: watchlistResolvers.WatchlistEntry,
+  SavedSearch: savedSearchResolvers.SavedSearch,
+  SavedSearchAlert: savedSearchResolvers.SavedSearchAlert,
+  MessageThread: messageResolvers.MessageThread,
+  Message: messageResolvers.Message,
+  CartItem: cartResolvers.CartItem,
+  CartSellerGroup: cartResolvers.CartSellerGroup,
+  ReturnRequest: returnResolvers.ReturnRequest,
+  ReturnEvent: returnResolvers.ReturnEvent,
 };
 
 // JWT secret (in production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
-// Context function for authentication
-async function createContext({ req }) {
+// How often ended auctions are closed and their winning orders created
+const AUCTION_SWEEP_INTERVAL_MS = parseInt(process.env.AUCTION_SWEEP_INTERVAL_MS, 10) || 1000;
+
+// Build the resolver context from an Authorization value, shared by HTTP requests
+// and WebSocket connections
+function buildContext(authorization, loaderOptions) {
   let user = null;
-  
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
+
+  const token = authorization?.replace('Bearer ', '');
+
   if (token) {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
@@ -66,17 +124,57 @@ async function createContext({ req }) {
     user,
     token,
     JWT_SECRET,
+    loaders: createLoaders(loaderOptions),
   };
 }
 
+// Context function for authentication
+async function createContext({ req }) {
+  return buildContext(req.headers.authorization);
+}
+
+// Context function for subscriptions: the token is sent in the graphql-ws
+// connection params as { authorization: 'Bearer <token>' }. A subscription
+// lives across many events, so its loaders batch but do not cache.
+async function createSubscriptionContext(ctx) {
+  const params = ctx.connectionParams || {};
+  return buildContext(params.authorization || params.Authorization, { cache: false });
+}
+
 async function startServer() {
   const app = express();
   const httpServer = http.createServer(app);
+  // graphql-upload only ships as ES modules
+  const { default: GraphQLUpload } = await import('graphql-upload/GraphQLUpload.mjs');
+  const { default: graphqlUploadExpress } = await import('graphql-upload/graphqlUploadExpress.mjs');
 
-  const server = new ApolloServer({
+  const schema = makeExecutableSchema({
     typeDefs,
-    resolvers,
-    plugins: [ApolloServerPluginDrainHttpServer({ httpServer })],
+    resolvers: { ...resolvers, Upload: GraphQLUpload },
+  });
+
+  // WebSocket endpoint for subscriptions, on the same server and path as HTTP
+  const wsServer = new WebSocketServer({
+    server: httpServer,
+    path: '/graphql',
+  });
+  const wsServerCleanup = useServer({ schema, context: createSubscriptionContext }, wsServer);
+
+  const server = new ApolloServer({
+    schema,
+    plugins: [
+      ApolloServerPluginDrainHttpServer({ httpServer }),
+      // Close WebSocket connections when the server shuts down
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await wsServerCleanup.dispose();
+            },
+          };
+        },
+      },
+    ],
     csrfPrevention: false, // Disable CSRF for development
     introspection: true,   // Enable introspection
     formatError: (error) => {
@@ -94,23 +192,53 @@ async function startServer() {
   app.use(
     '/graphql',
     cors(),
+    // Multipart requests carry file uploads; the size limit is checked again per image
+    graphqlUploadExpress({ maxFileSize: MAX_IMAGE_SIZE_BYTES, maxFiles: MAX_IMAGES_PER_LISTING }),
     express.json({ limit: '50mb' }),
     expressMiddleware(server, {
       context: createContext,
     })
   );
 
+  // Uploaded listing images and their thumbnails. File names are random and
+  // never reused, so they can be cached for good.
+  app.use(UPLOAD_URL_PATH, express.static(UPLOAD_DIR, { immutable: true, maxAge: '365d' }));
+
   // Health check endpoint
   app.get('/health', (req, res) => {
     res.json({ status: 'OK', service: 'eBayClone GraphQL API' });
   });
 
+  // A broken exchange rate file stops the server here rather than on the
+  // first price conversion
+  loadExchangeRates();
+
+  // Sample data is loaded by default only for the in-memory store
+  const seedData = process.env.SEED_DATA
+    ? process.env.SEED_DATA === 'true'
+    : (process.env.STORAGE_BACKEND || 'memory') === 'memory';
+  if (seedData && seedSampleData(dataStore)) {
+    console.log('🌱 Sample data seeded');
+  }
+
+  // Close auctions in the background so winners get their orders on time
+  // Errors are logged rather than thrown, since nothing above the timer
+  // would catch them and the process would exit
+  setInterval(() => {
+    try {
+      closeExpiredAuctions();
+    } catch (error) {
+      console.error('Auction sweep failed:', error);
+    }
+  }, AUCTION_SWEEP_INTERVAL_MS).unref();
+
   const PORT = process.env.PORT || 4000;
   
   await new Promise((resolve) => httpServer.listen({ port: PORT }, resolve));
   
   console.log(`🚀 Server ready at http://localhost:${PORT}/graphql`);
   console.log(`📊 GraphQL Playground available at http://localhost:${PORT}/graphql`);
+  console.log(`📡 Subscriptions available at ws://localhost:${PORT}/graphql`);
 }
 
 // Start the server
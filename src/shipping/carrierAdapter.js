@@ -0,0 +1,20 @@
+// The interface every shipping carrier implements. Sellers name the carrier
+// when they mark an order SHIPPED, and tracking events are fetched from it
+// whenever an order's trackingEvents are read.
+
+class CarrierAdapter {
+  // Whether a tracking number has this carrier's format
+  isValidTrackingNumber(trackingNumber) {
+    throw new Error(`${this.constructor.name} does not implement isValidTrackingNumber`);
+  }
+
+  // Scan events for a shipment, oldest first:
+  //   [{ status, description, location, timestamp }]
+  // status is one of LABEL_CREATED, PICKED_UP, IN_TRANSIT,
+  // OUT_FOR_DELIVERY and DELIVERED.
+  async getTrackingEvents({ trackingNumber, shippedAt, destination }) {
+    throw new Error(`${this.constructor.name} does not implement getTrackingEvents`);
+  }
+}
+
+module.exports = CarrierAdapter;
@@ -0,0 +1,39 @@
+// Local stand-in for a carrier's tracking API. It makes up a shipment's
+// journey from the time it shipped: one more scan every
+// SHIPPING_SIMULATOR_STEP_MS, ending with delivery.
+
+const CarrierAdapter = require('./carrierAdapter');
+
+const STEP_MS = parseInt(process.env.SHIPPING_SIMULATOR_STEP_MS, 10) || 12 * 60 * 60 * 1000;
+
+const TRACKING_NUMBER_PATTERN = /^[A-Z0-9]{8,30}$/i;
+
+const JOURNEY = [
+  { status: 'LABEL_CREATED', description: 'Shipping label created' },
+  { status: 'PICKED_UP', description: 'Picked up by carrier' },
+  { status: 'IN_TRANSIT', description: 'Arrived at sorting facility' },
+  { status: 'OUT_FOR_DELIVERY', description: 'Out for delivery', atDestination: true },
+  { status: 'DELIVERED', description: 'Delivered', atDestination: true },
+];
+
+class CarrierSimulator extends CarrierAdapter {
+  isValidTrackingNumber(trackingNumber) {
+    return TRACKING_NUMBER_PATTERN.test(trackingNumber);
+  }
+
+  async getTrackingEvents({ shippedAt, destination }) {
+    const start = new Date(shippedAt).getTime();
+    const now = Date.now();
+
+    return JOURNEY
+      .map((step, index) => ({
+        status: step.status,
+        description: step.description,
+        location: step.atDestination && destination ? destination.city : null,
+        timestamp: new Date(start + index * STEP_MS).toISOString(),
+      }))
+      .filter(event => new Date(event.timestamp).getTime() <= now);
+  }
+}
+
+module.exports = CarrierSimulator;
@@ -0,0 +1,23 @@
+// Shipping carriers by the code sellers give when shipping an order:
+//   SIMULATOR - the local stand-in in ./carrierSimulator
+//
+// A real carrier extends CarrierAdapter (./carrierAdapter) and is
+// registered here.
+
+const CarrierSimulator = require('./carrierSimulator');
+
+const CARRIERS = {
+  SIMULATOR: new CarrierSimulator(),
+};
+
+const CARRIER_CODES = Object.keys(CARRIERS);
+
+// The adapter for a carrier code, or null if there is none
+function getCarrier(code) {
+  return Object.prototype.hasOwnProperty.call(CARRIERS, code) ? CARRIERS[code] : null;
+}
+
+module.exports = {
+  CARRIER_CODES,
+  getCarrier,
+};
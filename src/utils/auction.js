@@ -0,0 +1,85 @@
+// Auction helpers shared by the listing and bid resolvers
+
+const { getListingCurrency, getExchangeRate, roundToCurrency, getMinorUnit } = require('./currency');
+
+// Bid increments by price band: a new bid must beat the current high bid
+// by the increment of the band that high bid falls in. The bands are in
+// BID_INCREMENTS_CURRENCY and scaled to a listing's currency at the current
+// rate, so a yen auction steps in yen-sized amounts.
+const BID_INCREMENTS_CURRENCY = 'USD';
+const BID_INCREMENTS = [
+  { upTo: 1.00, increment: 0.05 },
+  { upTo: 5.00, increment: 0.25 },
+  { upTo: 25.00, increment: 0.50 },
+  { upTo: 100.00, increment: 1.00 },
+  { upTo: 250.00, increment: 2.50 },
+  { upTo: 500.00, increment: 5.00 },
+  { upTo: 1000.00, increment: 10.00 },
+  { upTo: 2500.00, increment: 25.00 },
+  { upTo: 5000.00, increment: 50.00 },
+  { upTo: Infinity, increment: 100.00 },
+];
+
+// Increments are at least one minor unit of the currency, e.g. one yen
+function getBidIncrement(amount, currency = BID_INCREMENTS_CURRENCY) {
+  const rate = getExchangeRate(BID_INCREMENTS_CURRENCY, currency);
+  const band = BID_INCREMENTS.find(candidate => amount < candidate.upTo * rate);
+  return Math.max(roundToCurrency(band.increment * rate, currency), getMinorUnit(currency));
+}
+
+// One increment over `amount`, rounded to the listing's currency to avoid
+// floating point drift in bid amounts
+function addBidIncrement(listing, amount) {
+  const currency = getListingCurrency(listing);
+  return roundToCurrency(amount + getBidIncrement(amount, currency), currency);
+}
+
+function isAuction(listing) {
+  return listing.listingType === 'AUCTION';
+}
+
+// An auction is over once it has been closed or its end time has passed
+function isAuctionEnded(listing, now = new Date()) {
+  return listing.auctionStatus === 'ENDED' || new Date(listing.endTime) <= now;
+}
+
+// Lowest amount the next bid may be: the starting bid until someone bids,
+// then the current high bid plus the increment for its price band
+function getMinimumNextBid(listing, highestBid) {
+  if (!highestBid) {
+    return listing.startingBid;
+  }
+  return addBidIncrement(listing, highestBid.amount);
+}
+
+// Work out who leads an auction and at what visible price from the hidden
+// maximum bids. maxBids must be ordered highest first, earliest first on ties.
+// The leader pays one increment over the runner-up's maximum, capped at their
+// own maximum, and is lifted to the reserve as soon as their maximum meets it.
+function resolveProxyBids(listing, maxBids) {
+  const [leader = null, runnerUp = null] = maxBids;
+  if (!leader) {
+    return { leader, runnerUp, price: listing.startingBid };
+  }
+
+  let price = listing.startingBid;
+  if (runnerUp) {
+    price = Math.min(leader.maxAmount, addBidIncrement(listing, runnerUp.maxAmount));
+  }
+
+  const hasReserve = listing.reservePrice !== undefined && listing.reservePrice !== null;
+  if (hasReserve && leader.maxAmount >= listing.reservePrice) {
+    price = Math.max(price, listing.reservePrice);
+  }
+
+  return { leader, runnerUp, price };
+}
+
+module.exports = {
+  BID_INCREMENTS,
+  getBidIncrement,
+  isAuction,
+  isAuctionEnded,
+  getMinimumNextBid,
+  resolveProxyBids,
+};
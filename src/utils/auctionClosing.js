@@ -0,0 +1,34 @@
+const dataStore = require('../data/store');
+const { pubsub, EVENTS } = require('./pubsub');
+
+// Close an auction and publish the winner's new order, if any, as an order
+// status change so the buyer and seller hear about it like any other order.
+function closeAuction(listingId) {
+  const listing = dataStore.closeAuction(listingId);
+
+  if (listing?.winningOrderId) {
+    pubsub.publish(EVENTS.ORDER_STATUS_CHANGED, {
+      orderStatusChanged: dataStore.getOrderById(listing.winningOrderId),
+    });
+  }
+
+  return listing;
+}
+
+// Close every auction whose end time has passed. An auction that fails to
+// close is logged and skipped so the rest still settle.
+function closeExpiredAuctions(now = new Date()) {
+  return dataStore.getExpiredAuctions(now).map(listing => {
+    try {
+      return closeAuction(listing.id);
+    } catch (error) {
+      console.error(`Failed to close auction ${listing.id}:`, error);
+      return null;
+    }
+  });
+}
+
+module.exports = {
+  closeAuction,
+  closeExpiredAuctions,
+};
@@ -57,10 +57,35 @@ function requireOwnership(context, resourceUserId) {
   return user;
 }
 
+// Check if user is one of the users taking part in a resource (e.g. the
+// buyer and seller of an order)
+function requireParticipant(context, participantUserIds) {
+  const user = requireAuth(context);
+  if (!participantUserIds.includes(user.id)) {
+    throw new GraphQLError('Access denied', {
+      extensions: {
+        code: 'FORBIDDEN',
+        details: 'You can only access resources you are a party to',
+      },
+    });
+  }
+  return user;
+}
+
+// Strip the password hash before a user record leaves the server
+function sanitizeUser(user) {
+  if (!user) return null;
+
+  const { password, ...userWithoutPassword } = user;
+  return userWithoutPassword;
+}
+
 module.exports = {
   generateToken,
   verifyToken,
   requireAuth,
   requireOwnership,
+  requireParticipant,
+  sanitizeUser,
   JWT_SECRET,
 };
@@ -0,0 +1,40 @@
+// Off-platform contact filter for messages. Email addresses and phone
+// numbers are masked so buyers and sellers keep their deals on the site.
+
+const EMAIL_MASK = '[email removed]';
+const PHONE_MASK = '[phone removed]';
+
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.[\p{L}]{2,}/gu;
+
+// Runs of digits broken up by spaces, dots, dashes or brackets, optionally
+// starting with a +
+const PHONE_CANDIDATE_PATTERN = /\+?\(?\d[\d\s().-]*\d/g;
+
+// Fewer digits than this are treated as prices, quantities or years
+const MIN_PHONE_DIGITS = 7;
+
+// Dates such as 2024-05-01 have enough digits but are left alone
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns the masked text and whether anything was masked
+function maskContactInfo(text) {
+  let masked = false;
+
+  const result = text
+    .replace(EMAIL_PATTERN, () => {
+      masked = true;
+      return EMAIL_MASK;
+    })
+    .replace(PHONE_CANDIDATE_PATTERN, match => {
+      if (match.replace(/\D/g, '').length < MIN_PHONE_DIGITS || DATE_PATTERN.test(match)) return match;
+
+      masked = true;
+      return PHONE_MASK;
+    });
+
+  return { text: result, masked };
+}
+
+module.exports = {
+  maskContactInfo,
+};
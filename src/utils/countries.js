@@ -0,0 +1,32 @@
+const COUNTRY_NAMES = require('../data/countries.json');
+
+// Addresses give their country as free text, so "US", "USA" and "United
+// States" all need to mean the same place. The names each country code is
+// known by come from the local table.
+
+function normalize(value) {
+  return (value || '').trim().toLowerCase();
+}
+
+// The country code an address's country names, or null if it is not in
+// the table
+function getCountryCode(country) {
+  const name = normalize(country);
+  return Object.keys(COUNTRY_NAMES).find(code => (
+    COUNTRY_NAMES[code].some(alias => normalize(alias) === name)
+  )) || null;
+}
+
+// Countries missing from the table are compared by name
+function isSameCountry(a, b) {
+  const codeA = getCountryCode(a);
+  const codeB = getCountryCode(b);
+  if (codeA || codeB) return codeA === codeB;
+
+  return normalize(a) === normalize(b);
+}
+
+module.exports = {
+  getCountryCode,
+  isSameCountry,
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { GraphQLError } = require('graphql');
+
+// Exchange rates come from a local JSON file giving each currency's rate
+// against a base currency:
+//   { "base": "USD", "rates": { "USD": 1, "EUR": 0.92, ... } }
+// EXCHANGE_RATES_FILE points at another file, e.g. one refreshed from a
+// rates feed. Only currencies in the file are accepted.
+const DEFAULT_EXCHANGE_RATES_FILE = path.join(__dirname, '../data/exchangeRates.json');
+
+// Listings created before prices had a currency are in this one
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+
+let exchangeRates = null;
+
+// Read the rate table, replacing the one in use
+function loadExchangeRates(file = process.env.EXCHANGE_RATES_FILE || DEFAULT_EXCHANGE_RATES_FILE) {
+  const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!table.rates || table.rates[table.base] !== 1) {
+    throw new Error(`Exchange rate file ${file} must give its base currency a rate of 1`);
+  }
+
+  exchangeRates = table;
+  return table;
+}
+
+function getExchangeRates() {
+  return exchangeRates || loadExchangeRates();
+}
+
+// Check a currency code against the rate table and return it upper-cased
+function isSupportedCurrency(currency) {
+  const code = (currency || '').trim().toUpperCase();
+  return Object.prototype.hasOwnProperty.call(getExchangeRates().rates, code);
+}
+
+function validateCurrency(currency, fieldName = 'currency') {
+  const code = (currency || '').trim().toUpperCase();
+  if (!isSupportedCurrency(code)) {
+    const { rates } = getExchangeRates();
+    throw new GraphQLError('Unsupported currency', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: fieldName, message: `Supported currencies: ${Object.keys(rates).join(', ')}` },
+      },
+    });
+  }
+  return code;
+}
+
+function getListingCurrency(listing) {
+  return listing.currency || DEFAULT_CURRENCY;
+}
+
+// Orders placed before prices had a currency are in the default one, and
+// paid in it
+function getOrderCurrency(order) {
+  return order.currency || DEFAULT_CURRENCY;
+}
+
+// Digits after the decimal point, e.g. 2 for USD and 0 for JPY
+function getMinorUnitDigits(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// The smallest amount of the currency, e.g. 0.01 for USD and 1 for JPY
+function getMinorUnit(currency) {
+  return 1 / 10 ** getMinorUnitDigits(currency);
+}
+
+function roundToCurrency(amount, currency) {
+  const factor = 10 ** getMinorUnitDigits(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+// Units of `to` per unit of `from`, to six decimal places
+function getExchangeRate(from, to) {
+  const fromCode = validateCurrency(from);
+  const toCode = validateCurrency(to);
+  if (fromCode === toCode) return 1;
+
+  const { rates } = getExchangeRates();
+  return Number((rates[toCode] / rates[fromCode]).toFixed(6));
+}
+
+function convertAmount(amount, from, to) {
+  return roundToCurrency(amount * getExchangeRate(from, to), to);
+}
+
+// A Money value: the amount in the currency's minor units
+function toMoney(amount, currency) {
+  return {
+    amount: Math.round(amount * 10 ** getMinorUnitDigits(currency)),
+    currency,
+  };
+}
+
+// The signed-in viewer's preferred currency, or null
+async function getViewerCurrency(context) {
+  if (!context.user) return null;
+
+  const viewer = await context.loaders.user.load(context.user.id);
+  return viewer?.preferredCurrency || null;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  loadExchangeRates,
+  isSupportedCurrency,
+  validateCurrency,
+  getListingCurrency,
+  getOrderCurrency,
+  getMinorUnit,
+  roundToCurrency,
+  getExchangeRate,
+  convertAmount,
+  toMoney,
+  getViewerCurrency,
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { GraphQLError } = require('graphql');
+
+// Listing image uploads: validation, storage on the local disk and
+// thumbnails. Files are served by the static route in server.js.
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+const UPLOAD_URL_PATH = process.env.UPLOAD_URL_PATH || '/uploads';
+const MAX_IMAGE_SIZE_BYTES = parseInt(process.env.MAX_IMAGE_SIZE_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_IMAGES_PER_LISTING = 12;
+const THUMBNAIL_SIZE = 320;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Accepted image types and the magic bytes their files must start with
+const IMAGE_TYPES = {
+  'image/jpeg': {
+    extension: 'jpg',
+    matches: buffer => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  'image/png': {
+    extension: 'png',
+    matches: buffer => buffer.subarray(0, 8).equals(PNG_SIGNATURE),
+  },
+  'image/gif': {
+    extension: 'gif',
+    matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)),
+  },
+  'image/webp': {
+    extension: 'webp',
+    matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+  },
+};
+
+function imageError(message, filename) {
+  return new GraphQLError(message, {
+    extensions: {
+      code: 'VALIDATION_ERROR',
+      details: { field: 'images', filename, message },
+    },
+  });
+}
+
+function validateImageCount(count) {
+  if (count > MAX_IMAGES_PER_LISTING) {
+    throw new GraphQLError(`A listing can have at most ${MAX_IMAGES_PER_LISTING} images`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'images', message: `A listing can have at most ${MAX_IMAGES_PER_LISTING} images` },
+      },
+    });
+  }
+}
+
+// Read an upload into memory, stopping as soon as it exceeds the size limit
+async function readUpload(upload) {
+  const { createReadStream, filename, mimetype } = await upload;
+  const chunks = [];
+  let size = 0;
+
+  try {
+    for await (const chunk of createReadStream()) {
+      size += chunk.length;
+      if (size > MAX_IMAGE_SIZE_BYTES) {
+        throw imageError(`Image exceeds the ${MAX_IMAGE_SIZE_BYTES} byte size limit`, filename);
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    if (error instanceof GraphQLError) throw error;
+    // graphql-upload truncates files over its maxFileSize
+    if (/exceeds/.test(error.message)) {
+      throw imageError(`Image exceeds the ${MAX_IMAGE_SIZE_BYTES} byte size limit`, filename);
+    }
+    throw error;
+  }
+
+  return { filename, mimetype, buffer: Buffer.concat(chunks) };
+}
+
+// Check the declared type against the accepted types and the file's magic
+// bytes, then make sure the image actually decodes
+async function inspectImage({ filename, mimetype, buffer }) {
+  const type = IMAGE_TYPES[mimetype];
+  if (!type) {
+    throw imageError(`Unsupported image type ${mimetype}; use JPEG, PNG, GIF or WebP`, filename);
+  }
+
+  if (!type.matches(buffer)) {
+    throw imageError(`File content does not match ${mimetype}`, filename);
+  }
+
+  try {
+    const metadata = await sharp(buffer).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = metadata.orientation >= 5;
+    return {
+      type,
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height,
+    };
+  } catch (error) {
+    throw imageError('Image could not be read', filename);
+  }
+}
+
+async function removeFile(filename) {
+  if (!filename) return;
+
+  try {
+    await fs.promises.unlink(path.join(UPLOAD_DIR, path.basename(filename)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Validate and store one upload with its thumbnail, returning the image
+// record kept on the listing
+async function saveImage(upload) {
+  const file = await readUpload(upload);
+  const { type, width, height } = await inspectImage(file);
+
+  const id = uuidv4();
+  const image = {
+    id,
+    filename: `${id}.${type.extension}`,
+    thumbnailFilename: `${id}_thumb.webp`,
+    originalName: file.filename,
+    mimeType: file.mimetype,
+    size: file.buffer.length,
+    width,
+    height,
+    uploadedAt: new Date().toISOString(),
+  };
+
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  try {
+    await fs.promises.writeFile(path.join(UPLOAD_DIR, image.filename), file.buffer);
+    await sharp(file.buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(path.join(UPLOAD_DIR, image.thumbnailFilename));
+  } catch (error) {
+    await deleteImageFiles(image);
+    throw error;
+  }
+
+  return image;
+}
+
+// Save several uploads; if any of them fails, none are kept
+async function saveImages(uploads) {
+  const saved = [];
+
+  try {
+    for (const upload of uploads) {
+      saved.push(await saveImage(upload));
+    }
+  } catch (error) {
+    await Promise.all(saved.map(deleteImageFiles));
+    throw error;
+  }
+
+  return saved;
+}
+
+async function deleteImageFiles(image) {
+  const { filename, thumbnailFilename } = normalizeImage(image);
+  await Promise.all([removeFile(filename), removeFile(thumbnailFilename)]);
+}
+
+// Listings created before uploads were processed store bare file names
+function normalizeImage(image) {
+  if (typeof image === 'string') {
+    return { id: image, filename: image, thumbnailFilename: null };
+  }
+  return image;
+}
+
+function getImageUrl(filename) {
+  return filename ? `${UPLOAD_URL_PATH}/${encodeURIComponent(filename)}` : null;
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL_PATH,
+  MAX_IMAGE_SIZE_BYTES,
+  MAX_IMAGES_PER_LISTING,
+  validateImageCount,
+  saveImages,
+  deleteImageFiles,
+  normalizeImage,
+  getImageUrl,
+};
@@ -0,0 +1,31 @@
+const DataLoader = require('dataloader');
+const dataStore = require('../data/store');
+const { sanitizeUser } = require('./auth');
+
+// Per-request DataLoaders for nested resolvers. Lookups made while resolving
+// one level of a query are collected into a single batched store call, and
+// each record is fetched at most once per request.
+//
+// Pass { cache: false } for long-lived contexts such as subscriptions, where
+// a cached record would go stale between events.
+function createLoaders({ cache = true } = {}) {
+  return {
+    // Users are always returned without their password
+    user: new DataLoader(
+      async (ids) => dataStore.getUsersByIds(ids).map(sanitizeUser),
+      { cache }
+    ),
+    listing: new DataLoader(
+      async (ids) => dataStore.getListingsByIds(ids),
+      { cache }
+    ),
+    order: new DataLoader(
+      async (ids) => dataStore.getOrdersByIds(ids),
+      { cache }
+    ),
+  };
+}
+
+module.exports = {
+  createLoaders,
+};
@@ -0,0 +1,300 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const { quoteShipping } = require('./shipping');
+const { calculateTax } = require('./tax');
+const { isAuction } = require('./auction');
+const {
+  DEFAULT_CURRENCY,
+  getListingCurrency,
+  getExchangeRate,
+  roundToCurrency,
+} = require('./currency');
+
+// Allowed order status transitions. Orders can only be cancelled before
+// they ship; DELIVERED and CANCELLED are final.
+const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+// Orders can still be edited by the buyer until they ship
+const EDITABLE_ORDER_STATUSES = ['PENDING', 'CONFIRMED'];
+
+// Shipped orders are part of the sale and cannot be deleted
+const SHIPPED_ORDER_STATUSES = ['SHIPPED', 'DELIVERED'];
+
+// Buyers can ask to return an order for this long after it is delivered
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+function getAllowedTransitions(status) {
+  return ORDER_STATUS_TRANSITIONS[status] || [];
+}
+
+function validateStatusTransition(order, nextStatus) {
+  const allowedTransitions = getAllowedTransitions(order.status);
+  if (!allowedTransitions.includes(nextStatus)) {
+    throw new GraphQLError(`Invalid status transition from ${order.status} to ${nextStatus}`, {
+      extensions: {
+        code: 'INVALID_TRANSITION',
+        details: {
+          from: order.status,
+          to: nextStatus,
+          allowedTransitions,
+          message: allowedTransitions.length > 0
+            ? `Allowed next statuses: ${allowedTransitions.join(', ')}`
+            : `${order.status} orders cannot change status`,
+        },
+      },
+    });
+  }
+}
+
+function validateOrderEditable(order) {
+  if (!EDITABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new GraphQLError('Order can no longer be modified', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `${order.status} orders cannot be edited`,
+      },
+    });
+  }
+}
+
+function validateOrderDeletable(order) {
+  if (SHIPPED_ORDER_STATUSES.includes(order.status)) {
+    throw new GraphQLError('Order can no longer be deleted', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `${order.status} orders cannot be deleted; cancel orders before they ship, or request a return`,
+      },
+    });
+  }
+}
+
+// Each listing appears at most once in a list of items
+function validateNoDuplicateItems(items) {
+  const listingIds = items.map(item => item.listingId);
+  if (new Set(listingIds).size !== listingIds.length) {
+    throw new GraphQLError('Each listing can only appear once in an order', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'items', message: 'Combine quantities for the same listing into one item' },
+      },
+    });
+  }
+}
+
+// Only fixed-price listings from other sellers can be bought, whether
+// through an order or the cart. Auctions are sold to the winning bidder.
+function validatePurchasable(listing, userId) {
+  if (isAuction(listing)) {
+    throw new GraphQLError('Auction listings cannot be ordered directly', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: 'Place a bid to buy an auction listing',
+      },
+    });
+  }
+
+  if (userId != null && listing.userId === userId) {
+    throw new GraphQLError('Cannot buy your own listing', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: 'Sellers cannot buy their own listings',
+      },
+    });
+  }
+}
+
+// The end of the return window, counted from when the buyer marked the
+// order DELIVERED. Null for orders that have not been delivered.
+function getReturnableUntil(order) {
+  const delivery = (order.statusHistory || []).find(event => event.toStatus === 'DELIVERED');
+  if (!delivery) return null;
+
+  return new Date(new Date(delivery.timestamp).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function throwInsufficientStock(listingId, quantity) {
+  const listing = dataStore.getListingById(listingId);
+  const available = listing ? listing.quantityAvailable : 0;
+
+  throw new GraphQLError('Insufficient stock', {
+    extensions: {
+      code: 'INSUFFICIENT_STOCK',
+      details: `Requested ${quantity} but only ${available} of listing ${listingId} available`,
+    },
+  });
+}
+
+// Order totals always come from the items' snapshotted unit prices,
+// shipping costs and tax, never from the listings as they are now. They
+// are rounded to the order currency's minor unit.
+function getItemsSubtotal(items, currency = DEFAULT_CURRENCY) {
+  return roundToCurrency(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0), currency);
+}
+
+function getShippingCost(items, currency = DEFAULT_CURRENCY) {
+  return roundToCurrency(items.reduce((sum, item) => sum + (item.unitShippingCost || 0) * item.quantity, 0), currency);
+}
+
+function getTaxAmount(items, currency = DEFAULT_CURRENCY) {
+  return roundToCurrency(items.reduce((sum, item) => sum + (item.taxAmount || 0), 0), currency);
+}
+
+function getOrderTotal(items, currency = DEFAULT_CURRENCY) {
+  return roundToCurrency(
+    getItemsSubtotal(items, currency) + getShippingCost(items, currency) + getTaxAmount(items, currency),
+    currency
+  );
+}
+
+// Tax the items for the address and total them again, as stored on the
+// order: in the order's currency and, at the exchange rate fixed when the
+// order was placed, in the buyer's
+function priceOrderItems(items, shippingAddress, options = {}) {
+  const { currency = DEFAULT_CURRENCY, exchangeRate = 1, buyerCurrency = currency } = options;
+  const tax = calculateTax(items, shippingAddress, currency);
+  const totalPrice = getOrderTotal(tax.items, currency);
+
+  return {
+    items: tax.items,
+    taxJurisdiction: tax.jurisdiction,
+    totalPrice,
+    buyerTotalPrice: roundToCurrency(totalPrice * exchangeRate, buyerCurrency),
+  };
+}
+
+// Price a purchase without placing it. items is [{ listing, quantity,
+// unitPrice }], all in one currency; unitPrice defaults to the listing's
+// asking price. Shipping is quoted for shippingService, or the cheapest
+// service the listings offer. buyerCurrency defaults to the listings'
+// currency. The category is kept on each item so that tax can be worked
+// out again if the order changes.
+function priceOrder({ items, shippingAddress, shippingService, buyerCurrency }) {
+  const shipping = quoteShipping(items, shippingAddress, shippingService);
+
+  const currency = getListingCurrency(items[0].listing);
+  const exchange = {
+    currency,
+    buyerCurrency: buyerCurrency || currency,
+    exchangeRate: getExchangeRate(currency, buyerCurrency || currency),
+  };
+
+  const orderItems = items.map(({ listing, quantity, unitPrice = listing.price }) => ({
+    listingId: listing.id,
+    quantity,
+    unitPrice,
+    unitShippingCost: shipping ? shipping.unitCosts.get(listing.id) : 0,
+    category: listing.category ?? null,
+  }));
+
+  return {
+    ...exchange,
+    ...priceOrderItems(orderItems, shippingAddress, exchange),
+    shippingService: shipping ? shipping.service : null,
+    handlingTimeDays: shipping ? shipping.handlingTimeDays : null,
+  };
+}
+
+// Shipping for an order placed before the buyer gave an address, such as a
+// won auction, quoted once they give one. The cheapest service offered for
+// every item is used, as for accepted offers. Returns the order fields to
+// update; none when no listing has a shipping policy.
+function quoteOrderShipping(items, shippingAddress) {
+  const purchases = items
+    .map(item => ({ listing: dataStore.getListingById(item.listingId), quantity: item.quantity }))
+    .filter(({ listing }) => listing);
+
+  const shipping = quoteShipping(purchases, shippingAddress);
+  if (!shipping) return {};
+
+  return {
+    items: items.map(item => ({ ...item, unitShippingCost: shipping.unitCosts.get(item.listingId) ?? 0 })),
+    shippingService: shipping.service,
+    handlingTimeDays: shipping.handlingTimeDays,
+  };
+}
+
+// Single path for turning a purchase into an order, shared by createOrder,
+// accepted offers and checkout, priced by priceOrder
+function placeOrder({ userId, items, shippingAddress, shippingService, buyerCurrency, buyerNotes }) {
+  const priced = priceOrder({ items, shippingAddress, shippingService, buyerCurrency });
+
+  // Reserve stock and create the order without yielding in between, so no
+  // other request can take the same stock
+  return dataStore.transaction(() => {
+    items.forEach(({ listing, quantity }, index) => {
+      if (!dataStore.reserveStock(listing.id, quantity)) {
+        // The in-memory backend cannot roll back, so return what was taken
+        items.slice(0, index).forEach(item => dataStore.releaseStock(item.listing.id, item.quantity));
+        throwInsufficientStock(listing.id, quantity);
+      }
+    });
+
+    return dataStore.createOrder({
+      userId,
+      ...priced,
+      shippingAddress,
+      buyerNotes,
+    });
+  });
+}
+
+// Apply new item quantities ([{ listingId, quantity }]) to an order, moving
+// stock to match, and return the updated items. Every increase is checked
+// before any stock moves.
+function adjustOrderItems(order, changes) {
+  const quantities = new Map(changes.map(change => [change.listingId, change.quantity]));
+
+  return dataStore.transaction(() => {
+    order.items.forEach(item => {
+      const difference = (quantities.get(item.listingId) ?? item.quantity) - item.quantity;
+      const listing = dataStore.getListingById(item.listingId);
+      if (difference > 0 && (!listing || listing.quantityAvailable < difference)) {
+        throwInsufficientStock(item.listingId, difference);
+      }
+    });
+
+    return order.items.map(item => {
+      const quantity = quantities.get(item.listingId) ?? item.quantity;
+      if (quantity > item.quantity) {
+        dataStore.reserveStock(item.listingId, quantity - item.quantity);
+      } else if (quantity < item.quantity) {
+        dataStore.releaseStock(item.listingId, item.quantity - quantity);
+      }
+      return { ...item, quantity };
+    });
+  });
+}
+
+// Put back the stock of every item, e.g. when an order is cancelled
+function releaseOrderStock(order) {
+  order.items.forEach(item => dataStore.releaseStock(item.listingId, item.quantity));
+}
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  RETURN_WINDOW_DAYS,
+  getAllowedTransitions,
+  validateStatusTransition,
+  validateOrderEditable,
+  validateOrderDeletable,
+  validateNoDuplicateItems,
+  validatePurchasable,
+  getReturnableUntil,
+  getItemsSubtotal,
+  getShippingCost,
+  getTaxAmount,
+  getOrderTotal,
+  priceOrderItems,
+  priceOrder,
+  quoteOrderShipping,
+  placeOrder,
+  adjustOrderItems,
+  releaseOrderStock,
+  throwInsufficientStock,
+};
@@ -0,0 +1,155 @@
+const { GraphQLError } = require('graphql');
+
+// Sorting and Relay-style cursor pagination over an in-memory result set.
+//
+// An order is a list of sort keys, each { field, direction } with an optional
+// value(record) for keys that are not plain record fields. The id always
+// breaks ties, so the order is total. A cursor encodes a record's sort key
+// rather than an offset, so rows added between page fetches never shift a page.
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Newest first
+const DEFAULT_ORDER = [{ field: 'createdAt', direction: 'DESC' }];
+
+// The values a record is sorted by, ending with its id
+function getSortKey(record, orderBy) {
+  return [
+    ...orderBy.map(({ field, value }) => (value ? value(record) : record[field]) ?? null),
+    record.id,
+  ];
+}
+
+// Strings compare case-insensitively; nulls sort last in ascending order
+function compareValues(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a < b ? -1 : 1;
+}
+
+// Ids break ties in the direction of the last sort key
+function compareSortKeys(a, b, orderBy) {
+  for (let i = 0; i < orderBy.length; i++) {
+    const result = compareValues(a[i], b[i]);
+    if (result !== 0) {
+      return orderBy[i].direction === 'DESC' ? -result : result;
+    }
+  }
+
+  const tiebreakDirection = orderBy.length > 0 ? orderBy[orderBy.length - 1].direction : 'ASC';
+  const idA = a[orderBy.length];
+  const idB = b[orderBy.length];
+  return tiebreakDirection === 'DESC' ? idB - idA : idA - idB;
+}
+
+// Sort a copy of the records
+function sortRecords(records, orderBy = DEFAULT_ORDER) {
+  return records
+    .map(record => ({ record, key: getSortKey(record, orderBy) }))
+    .sort((a, b) => compareSortKeys(a.key, b.key, orderBy))
+    .map(({ record }) => record);
+}
+
+function encodeCursor(record, orderBy = DEFAULT_ORDER) {
+  return Buffer.from(JSON.stringify(getSortKey(record, orderBy))).toString('base64');
+}
+
+// Returns the sort key the cursor points at
+function decodeCursor(cursor, argName, orderBy = DEFAULT_ORDER) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (Array.isArray(key) && key.length === orderBy.length + 1 && Number.isInteger(key[key.length - 1])) {
+      return key;
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+
+  throw new GraphQLError('Invalid cursor', {
+    extensions: {
+      code: 'VALIDATION_ERROR',
+      details: { field: argName, message: `${argName} is not a valid cursor` },
+    },
+  });
+}
+
+function validatePageSize(value, argName) {
+  if (value === undefined || value === null) return;
+
+  if (!Number.isInteger(value) || value < 0 || value > MAX_PAGE_SIZE) {
+    throw new GraphQLError(`${argName} must be between 0 and ${MAX_PAGE_SIZE}`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: argName, message: `${argName} must be between 0 and ${MAX_PAGE_SIZE}` },
+      },
+    });
+  }
+}
+
+// Build a connection ({ edges, pageInfo, totalCount }) from every record
+// matching the query's filter. With neither first nor last, the first
+// DEFAULT_PAGE_SIZE records are returned.
+function connectionFromRecords(records, { first, after, last, before } = {}, orderBy = DEFAULT_ORDER) {
+  validatePageSize(first, 'first');
+  validatePageSize(last, 'last');
+
+  const sorted = records
+    .map(record => ({ record, key: getSortKey(record, orderBy) }))
+    .sort((a, b) => compareSortKeys(a.key, b.key, orderBy));
+
+  let start = 0;
+  let end = sorted.length;
+
+  if (after) {
+    const cursorKey = decodeCursor(after, 'after', orderBy);
+    const index = sorted.findIndex(({ key }) => compareSortKeys(key, cursorKey, orderBy) > 0);
+    start = index === -1 ? sorted.length : index;
+  }
+
+  if (before) {
+    const cursorKey = decodeCursor(before, 'before', orderBy);
+    const index = sorted.findIndex(({ key }) => compareSortKeys(key, cursorKey, orderBy) >= 0);
+    end = Math.max(start, index === -1 ? sorted.length : index);
+  }
+
+  const pageSize = first ?? (last == null ? DEFAULT_PAGE_SIZE : null);
+  if (pageSize != null) {
+    end = Math.min(end, start + pageSize);
+  }
+  if (last != null) {
+    start = Math.max(start, end - last);
+  }
+
+  const edges = sorted.slice(start, end).map(({ record, key }) => ({
+    cursor: Buffer.from(JSON.stringify(key)).toString('base64'),
+    node: record,
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: end < sorted.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+    },
+    totalCount: sorted.length,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  DEFAULT_ORDER,
+  sortRecords,
+  encodeCursor,
+  decodeCursor,
+  connectionFromRecords,
+};
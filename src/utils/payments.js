@@ -0,0 +1,285 @@
+const { GraphQLError } = require('graphql');
+const dataStore = require('../data/store');
+const paymentProvider = require('../payments');
+const { getOrderCurrency, roundToCurrency } = require('./currency');
+
+// Payment lifecycle, driven by the order's status:
+//   authorize when the buyer pays, capture into escrow when the seller
+//   ships, pay the seller out once the buyer confirms delivery, and void
+//   the authorization if the order is cancelled before shipping. Captured
+//   payments can later be refunded, in full or in parts. Payments are in
+//   the order's currency, the one its listings are priced in.
+
+// Orders without a payment record have not been paid for yet
+function getOrderPayment(order) {
+  return dataStore.getPaymentByOrderId(order.id) || {
+    orderId: order.id,
+    status: 'UNPAID',
+    amount: order.totalPrice,
+    currency: getOrderCurrency(order),
+    refundedAmount: 0,
+    transactions: [],
+  };
+}
+
+function throwPaymentFailed(message, failureReason) {
+  throw new GraphQLError(message, {
+    extensions: {
+      code: 'PAYMENT_FAILED',
+      details: failureReason,
+    },
+  });
+}
+
+// Call the gateway and record the outcome as a transaction on the payment.
+// If the gateway itself fails, the payment is put back as it was.
+async function runTransaction(payment, type, amount, call, { onSuccess, onFailure = {} }) {
+  let result;
+  try {
+    result = await call();
+  } catch (error) {
+    dataStore.updatePayment(payment.id, { status: payment.status });
+    throw error;
+  }
+
+  const transaction = {
+    type,
+    status: result.success ? 'SUCCEEDED' : 'FAILED',
+    amount,
+    transactionId: result.transactionId || null,
+    failureReason: result.failureReason || null,
+  };
+
+  return dataStore.recordPaymentTransaction(
+    payment.id,
+    transaction,
+    result.success ? onSuccess(result) : onFailure
+  );
+}
+
+// Buyers pay while the payment is UNPAID and retry while it is FAILED
+function validatePayable(status, retry) {
+  const expected = retry ? 'FAILED' : 'UNPAID';
+  if (status === expected) return;
+
+  let message = 'Order has already been paid';
+  if (status === 'PROCESSING') {
+    message = 'Payment is already being processed';
+  } else if (status === 'FAILED') {
+    message = 'Payment failed; use retryPayment to try again';
+  } else if (status === 'UNPAID') {
+    message = 'Order has not been paid; use payOrder';
+  }
+
+  throw new GraphQLError(message, {
+    extensions: {
+      code: 'INVALID_OPERATION',
+      details: `Payment is ${status}`,
+    },
+  });
+}
+
+// Authorize the order total on the buyer's payment method. A decline is
+// not an error: the payment is left FAILED for the buyer to retry.
+async function authorizeOrderPayment(order, paymentMethod, { retry = false } = {}) {
+  const existing = dataStore.getPaymentByOrderId(order.id);
+  const status = existing ? existing.status : 'UNPAID';
+
+  validatePayable(status, retry);
+
+  // Claim the payment before calling the gateway, so a second request for
+  // the same order cannot authorize it again
+  const currency = getOrderCurrency(order);
+  const payment = existing
+    ? dataStore.updatePayment(existing.id, { status: 'PROCESSING', amount: order.totalPrice, currency, paymentMethod })
+    : dataStore.createPayment({
+      orderId: order.id,
+      buyerId: order.userId,
+      sellerId: order.sellerId,
+      amount: order.totalPrice,
+      currency,
+      status: 'PROCESSING',
+      paymentMethod,
+    });
+
+  const authorized = await runTransaction(
+    { ...payment, status },
+    'AUTHORIZATION',
+    order.totalPrice,
+    () => paymentProvider.authorize({ amount: order.totalPrice, currency, paymentMethod, reference: `order-${order.id}` }),
+    {
+      onSuccess: ({ transactionId }) => ({ status: 'AUTHORIZED', authorizationId: transactionId }),
+      onFailure: { status: 'FAILED' },
+    }
+  );
+
+  // The order may have been cancelled while the gateway was answering
+  if (authorized.status === 'AUTHORIZED' && dataStore.getOrderById(order.id)?.status === 'CANCELLED') {
+    return voidOrderPayment(order);
+  }
+
+  return authorized;
+}
+
+// Sellers can only confirm orders the buyer has paid for
+function validatePaymentAuthorized(order) {
+  const { status } = getOrderPayment(order);
+  if (status !== 'AUTHORIZED') {
+    throw new GraphQLError('Order has not been paid', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `Orders can only be confirmed once payment is authorized; this payment is ${status}`,
+      },
+    });
+  }
+}
+
+// Take the authorized funds into escrow when the order ships. A failed
+// capture stops the shipment.
+async function captureOrderPayment(order) {
+  const payment = getOrderPayment(order);
+  if (payment.status !== 'AUTHORIZED') {
+    throwPaymentFailed('Payment could not be captured', `Payment is ${payment.status}`);
+  }
+
+  // Claim the payment before calling the gateway, so the order cannot be
+  // cancelled while the funds are being captured
+  dataStore.updatePayment(payment.id, { status: 'PROCESSING' });
+
+  const captured = await runTransaction(
+    payment,
+    'CAPTURE',
+    payment.amount,
+    () => paymentProvider.capture({ authorizationId: payment.authorizationId, amount: payment.amount }),
+    {
+      onSuccess: ({ transactionId }) => ({ status: 'IN_ESCROW', captureId: transactionId }),
+      onFailure: { status: 'AUTHORIZED' },
+    }
+  );
+
+  if (captured.status !== 'IN_ESCROW') {
+    throwPaymentFailed('Payment could not be captured', captured.transactions[captured.transactions.length - 1].failureReason);
+  }
+
+  return captured;
+}
+
+// Release escrowed funds to the seller once the buyer has the order. A
+// failed payout is recorded and leaves the funds in escrow.
+async function releaseOrderPayout(order) {
+  const payment = getOrderPayment(order);
+  if (payment.status !== 'IN_ESCROW') return payment;
+
+  return runTransaction(
+    payment,
+    'PAYOUT',
+    payment.amount,
+    () => paymentProvider.payout({
+      sellerId: payment.sellerId,
+      amount: payment.amount,
+      currency: payment.currency || getOrderCurrency(order),
+      reference: `order-${order.id}`,
+    }),
+    { onSuccess: () => ({ status: 'RELEASED' }) }
+  );
+}
+
+// Give back an authorization that will never be captured, e.g. when the
+// order is cancelled. Unpaid and failed payments have nothing to void.
+async function voidOrderPayment(order) {
+  const payment = getOrderPayment(order);
+  if (payment.status !== 'AUTHORIZED') return payment;
+
+  return runTransaction(
+    payment,
+    'VOID',
+    payment.amount,
+    () => paymentProvider.void({ authorizationId: payment.authorizationId }),
+    { onSuccess: () => ({ status: 'VOIDED' }) }
+  );
+}
+
+// Give `amount` of a captured payment back to the buyer. Callers check the
+// amount against what is refundable; a declined refund is an error.
+async function refundOrderPayment(order, amount) {
+  const payment = getOrderPayment(order);
+  if (!payment.captureId) {
+    throwPaymentFailed('Payment could not be refunded', `Payment is ${payment.status}; only captured payments can be refunded`);
+  }
+
+  const refunded = await runTransaction(
+    payment,
+    'REFUND',
+    amount,
+    () => paymentProvider.refund({ captureId: payment.captureId, amount }),
+    {
+      // Read the total again, in case another refund finished meanwhile
+      onSuccess: () => ({
+        refundedAmount: roundToCurrency(dataStore.getPaymentByOrderId(order.id).refundedAmount + amount, getOrderCurrency(order)),
+      }),
+    }
+  );
+
+  const transaction = refunded.transactions[refunded.transactions.length - 1];
+  if (transaction.status !== 'SUCCEEDED') {
+    throwPaymentFailed('Payment could not be refunded', transaction.failureReason);
+  }
+
+  return refunded;
+}
+
+// Once money is held for an order, its total can no longer change
+function validatePaymentUnchanged(order) {
+  const { status } = getOrderPayment(order);
+  if (status !== 'UNPAID' && status !== 'FAILED') {
+    throw new GraphQLError('Paid orders cannot change their total', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `Item quantities and tax are fixed once payment is ${status}`,
+      },
+    });
+  }
+}
+
+// Orders cannot be cancelled while the gateway is authorizing or capturing
+// their payment
+function validatePaymentNotProcessing(order) {
+  if (getOrderPayment(order).status === 'PROCESSING') {
+    throw new GraphQLError('Payment is being processed', {
+      extensions: {
+        code: 'CONFLICT',
+        details: 'Try again once the payment gateway has answered',
+      },
+    });
+  }
+}
+
+// Orders can only be deleted while no money is held for them. Authorized
+// orders are cancelled instead, which voids the authorization, and captured
+// ones are refunded through a return.
+const DELETABLE_PAYMENT_STATUSES = ['UNPAID', 'FAILED', 'VOIDED'];
+
+function validatePaymentDeletable(order) {
+  const { status } = getOrderPayment(order);
+  if (!DELETABLE_PAYMENT_STATUSES.includes(status)) {
+    throw new GraphQLError('Order can no longer be deleted', {
+      extensions: {
+        code: 'INVALID_OPERATION',
+        details: `Orders with a ${status} payment cannot be deleted; cancel the order or request a return`,
+      },
+    });
+  }
+}
+
+module.exports = {
+  getOrderPayment,
+  authorizeOrderPayment,
+  validatePaymentAuthorized,
+  captureOrderPayment,
+  releaseOrderPayout,
+  voidOrderPayment,
+  refundOrderPayment,
+  validatePaymentUnchanged,
+  validatePaymentNotProcessing,
+  validatePaymentDeletable,
+};
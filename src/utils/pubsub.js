@@ -0,0 +1,19 @@
+const { PubSub } = require('graphql-subscriptions');
+
+// In-process pub/sub for GraphQL subscriptions. Events only reach clients
+// connected to this server instance.
+const pubsub = new PubSub();
+
+// Event names
+const EVENTS = {
+  NEW_LISTING: 'NEW_LISTING',
+  ORDER_STATUS_CHANGED: 'ORDER_STATUS_CHANGED',
+  WATCHED_LISTING_PRICE_CHANGED: 'WATCHED_LISTING_PRICE_CHANGED',
+  SAVED_SEARCH_ALERT: 'SAVED_SEARCH_ALERT',
+  MESSAGE_RECEIVED: 'MESSAGE_RECEIVED',
+};
+
+module.exports = {
+  pubsub,
+  EVENTS,
+};
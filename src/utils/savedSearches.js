@@ -0,0 +1,35 @@
+const dataStore = require('../data/store');
+const { pubsub, EVENTS } = require('./pubsub');
+
+// Saved search matching. A new listing matches a saved search when
+// listings(filter:) with the saved filter would return it.
+
+// Drop unset fields so the stored filter only holds what the user chose
+function normalizeSavedFilter(filter = {}) {
+  return Object.fromEntries(
+    Object.entries(filter).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+// Record and publish an alert for every other user's saved search the
+// listing matches. Returns the alerts created.
+function alertSavedSearches(listing) {
+  return dataStore.getSavedSearches()
+    .filter(savedSearch => savedSearch.userId !== listing.userId)
+    .filter(savedSearch => dataStore.listingMatchesFilter(listing, savedSearch.filter))
+    .map(savedSearch => {
+      const alert = dataStore.createSavedSearchAlert({
+        savedSearchId: savedSearch.id,
+        userId: savedSearch.userId,
+        listingId: listing.id,
+      });
+
+      pubsub.publish(EVENTS.SAVED_SEARCH_ALERT, { savedSearchAlert: alert });
+      return alert;
+    });
+}
+
+module.exports = {
+  normalizeSavedFilter,
+  alertSavedSearches,
+};
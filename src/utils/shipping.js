@@ -0,0 +1,182 @@
+const { GraphQLError } = require('graphql');
+const { validateAmount, validateRequired } = require('./validation');
+const {
+  DEFAULT_CURRENCY,
+  getListingCurrency,
+  convertAmount,
+  roundToCurrency,
+} = require('./currency');
+const { isSameCountry } = require('./countries');
+
+const MAX_HANDLING_TIME_DAYS = 30;
+
+// Calculated shipping, charged per unit: a base charge plus a charge per kg
+// of the listing's weight, by service and destination zone. The rates are
+// in CALCULATED_RATES_CURRENCY and converted to the listing's currency.
+const CALCULATED_RATES_CURRENCY = 'USD';
+const CALCULATED_RATES = {
+  STANDARD: {
+    DOMESTIC: { base: 4, perKg: 1.5 },
+    INTERNATIONAL: { base: 15, perKg: 6 },
+  },
+  EXPEDITED: {
+    DOMESTIC: { base: 8, perKg: 2.5 },
+    INTERNATIONAL: { base: 30, perKg: 9 },
+  },
+  OVERNIGHT: {
+    DOMESTIC: { base: 20, perKg: 4 },
+    INTERNATIONAL: { base: 60, perKg: 14 },
+  },
+};
+
+// Domestic when the address is in the country the listing ships from
+function getShippingZone(policy, address) {
+  return isSameCountry(policy.shipsFrom, address.country) ? 'DOMESTIC' : 'INTERNATIONAL';
+}
+
+function throwShippingPolicyError(message) {
+  throw new GraphQLError(message, {
+    extensions: {
+      code: 'VALIDATION_ERROR',
+      details: { field: 'shippingPolicy', message },
+    },
+  });
+}
+
+// Check a listing's shipping policy and return it as stored. Only flat
+// rates carry a cost, in the listing's currency, and calculated rates need
+// the listing's weight.
+function validateShippingPolicy({ options, handlingTimeDays, weightKg, shipsFrom }, currency = DEFAULT_CURRENCY) {
+  validateRequired(shipsFrom?.trim(), 'shipsFrom');
+
+  if (!options || options.length === 0) {
+    throwShippingPolicyError('A shipping policy needs at least one option');
+  }
+
+  const services = options.map(option => option.service);
+  if (new Set(services).size !== services.length) {
+    throwShippingPolicyError('Each shipping service can only be offered once');
+  }
+
+  if (!Number.isInteger(handlingTimeDays) || handlingTimeDays < 0 || handlingTimeDays > MAX_HANDLING_TIME_DAYS) {
+    throwShippingPolicyError(`Handling time must be a whole number of days from 0 to ${MAX_HANDLING_TIME_DAYS}`);
+  }
+
+  const storedOptions = options.map(({ service, rateType, cost }) => {
+    if (rateType === 'FLAT_RATE') {
+      validateRequired(cost, 'cost');
+      validateAmount(cost, 'cost');
+    } else if (cost !== undefined && cost !== null) {
+      throwShippingPolicyError(`Only flat rates have a cost; ${service} is ${rateType}`);
+    }
+
+    return { service, rateType, cost: rateType === 'FLAT_RATE' ? roundToCurrency(cost, currency) : null };
+  });
+
+  if (storedOptions.some(option => option.rateType === 'CALCULATED')) {
+    validateRequired(weightKg, 'weightKg');
+    validateAmount(weightKg, 'weightKg');
+  }
+
+  return {
+    options: storedOptions,
+    handlingTimeDays,
+    weightKg: weightKg ?? null,
+    shipsFrom: shipsFrom.trim(),
+  };
+}
+
+// What one unit costs to ship with an option of the listing's policy, in
+// the listing's currency
+function getUnitShippingCost(listing, option, address) {
+  const policy = listing.shippingPolicy;
+
+  switch (option.rateType) {
+    case 'FREE':
+      return 0;
+    case 'FLAT_RATE':
+      return option.cost;
+    default: {
+      const rate = CALCULATED_RATES[option.service][getShippingZone(policy, address)];
+      const cost = roundToCurrency(rate.base + rate.perKg * policy.weightKg, CALCULATED_RATES_CURRENCY);
+      return convertAmount(cost, CALCULATED_RATES_CURRENCY, getListingCurrency(listing));
+    }
+  }
+}
+
+// Every service that can ship all the items ([{ listing, quantity }]) to
+// the address, cheapest first:
+//   [{ service, cost, handlingTimeDays, unitCosts }]
+// unitCosts maps each listing to its per-unit cost. Listings without a
+// shipping policy ship for free, and if none has one, no service is quoted.
+function getShippingQuotes(items, address) {
+  const withPolicy = items.filter(({ listing }) => listing.shippingPolicy);
+  if (withPolicy.length === 0) return [];
+
+  const currency = getListingCurrency(items[0].listing);
+
+  const services = Object.keys(CALCULATED_RATES).filter(service => withPolicy.every(({ listing }) => (
+    listing.shippingPolicy.options.some(option => option.service === service)
+  )));
+
+  return services
+    .map(service => {
+      const unitCosts = new Map(items.map(({ listing }) => {
+        const policy = listing.shippingPolicy;
+        if (!policy) return [listing.id, 0];
+
+        const option = policy.options.find(candidate => candidate.service === service);
+        return [listing.id, getUnitShippingCost(listing, option, address)];
+      }));
+
+      return {
+        service,
+        cost: roundToCurrency(
+          items.reduce((sum, { listing, quantity }) => sum + unitCosts.get(listing.id) * quantity, 0),
+          currency
+        ),
+        handlingTimeDays: Math.max(...withPolicy.map(({ listing }) => listing.shippingPolicy.handlingTimeDays)),
+        unitCosts,
+      };
+    })
+    .sort((a, b) => a.cost - b.cost);
+}
+
+// The shipping for a new order: the chosen service, or the cheapest one
+// when none is given. Returns null when none of the listings has a policy.
+function quoteShipping(items, address, service) {
+  const quotes = getShippingQuotes(items, address);
+  if (quotes.length === 0) {
+    if (items.some(({ listing }) => listing.shippingPolicy)) {
+      throw new GraphQLError('No shipping service is offered for every item', {
+        extensions: {
+          code: 'VALIDATION_ERROR',
+          details: { field: 'shippingService', message: 'Order these items separately' },
+        },
+      });
+    }
+    return null;
+  }
+
+  if (!service) return quotes[0];
+
+  const quote = quotes.find(candidate => candidate.service === service);
+  if (!quote) {
+    throw new GraphQLError('Shipping service not offered', {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: {
+          field: 'shippingService',
+          message: `Available services: ${quotes.map(candidate => candidate.service).join(', ')}`,
+        },
+      },
+    });
+  }
+  return quote;
+}
+
+module.exports = {
+  validateShippingPolicy,
+  getShippingQuotes,
+  quoteShipping,
+};
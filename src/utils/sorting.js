@@ -0,0 +1,74 @@
+const { GraphQLError } = require('graphql');
+const { ORDER_STATUS_TRANSITIONS } = require('./orders');
+const {
+  DEFAULT_CURRENCY,
+  getListingCurrency,
+  getOrderCurrency,
+  convertAmount,
+} = require('./currency');
+
+// Sort keys for each sortable field of the GraphQL sort inputs. A key is a
+// record field, or a value(record) for derived keys. Results are ordered by
+// the first key, then the next, with the id as the final tiebreaker.
+
+const LISTING_SORT_KEYS = {
+  // Prices in different currencies compare in the default currency, at the
+  // current rates, as the price filter does
+  PRICE: {
+    field: 'price',
+    value: listing => convertAmount(listing.price, getListingCurrency(listing), DEFAULT_CURRENCY),
+  },
+  CREATED_AT: { field: 'createdAt' },
+  UPDATED_AT: { field: 'updatedAt' },
+  TITLE: { field: 'title' },
+  // Only search results have a score; other listings tie
+  RELEVANCE: { field: 'score' },
+};
+
+// Statuses sort in lifecycle order rather than alphabetically
+const ORDER_STATUS_RANKS = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+const ORDER_SORT_KEYS = {
+  // Totals in different currencies compare in the default currency, like
+  // listing prices
+  TOTAL_PRICE: {
+    field: 'totalPrice',
+    value: order => convertAmount(order.totalPrice, getOrderCurrency(order), DEFAULT_CURRENCY),
+  },
+  CREATED_AT: { field: 'createdAt' },
+  STATUS: { field: 'status', value: order => ORDER_STATUS_RANKS.indexOf(order.status) },
+};
+
+// Turn a [{ field, direction }] sort argument into an order for
+// utils/pagination. Returns null when no sort was given.
+function toOrderBy(sort, sortKeys) {
+  if (!sort || sort.length === 0) return null;
+
+  const fields = sort.map(({ field }) => field);
+  const duplicate = fields.find((field, index) => fields.indexOf(field) !== index);
+  if (duplicate) {
+    throw new GraphQLError(`Duplicate sort field ${duplicate}`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: 'sort', message: `${duplicate} may only appear once in sort` },
+      },
+    });
+  }
+
+  return sort.map(({ field, direction = 'ASC' }) => ({ ...sortKeys[field], direction }));
+}
+
+function toListingOrderBy(sort) {
+  return toOrderBy(sort, LISTING_SORT_KEYS);
+}
+
+function toOrderOrderBy(sort) {
+  return toOrderBy(sort, ORDER_SORT_KEYS);
+}
+
+module.exports = {
+  LISTING_SORT_KEYS,
+  ORDER_SORT_KEYS,
+  toListingOrderBy,
+  toOrderOrderBy,
+};
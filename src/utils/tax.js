@@ -0,0 +1,73 @@
+const { DEFAULT_CURRENCY, roundToCurrency } = require('./currency');
+const { getCountryCode } = require('./countries');
+const TAX_RATES = require('../data/taxRates.json');
+
+// Sales tax and VAT by destination, from the local rate table. Each country
+// has a rate, optionally overridden by state or province, and a state's rate
+// by the longest matching zip code prefix (city and county taxes). Listing
+// categories exempt in the country or the state are not taxed. Shipping is
+// not taxed.
+
+function normalize(value) {
+  return (value || '').trim().toLowerCase();
+}
+
+function findCountry(country) {
+  const code = getCountryCode(country);
+  return code && TAX_RATES[code] ? { code, ...TAX_RATES[code] } : null;
+}
+
+function findZipPrefix(region, zipCode) {
+  const zip = (zipCode || '').trim();
+  return Object.keys(region.zipPrefixes || {})
+    .filter(prefix => zip.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+// The tax rule for an address: { jurisdiction, rate, exemptCategories },
+// e.g. jurisdiction US-NY-100 for New York City. Null when the address is
+// missing or its country is not in the table, so no tax is charged.
+function getTaxRule(address) {
+  const country = address && findCountry(address.country);
+  if (!country) return null;
+
+  const regionCode = (address.state || '').trim().toUpperCase();
+  const region = country.regions?.[regionCode];
+  if (!region) {
+    return { jurisdiction: country.code, rate: country.rate, exemptCategories: country.exemptCategories || [] };
+  }
+
+  const zipPrefix = findZipPrefix(region, address.zipCode);
+  return {
+    jurisdiction: [country.code, regionCode, zipPrefix].filter(Boolean).join('-'),
+    rate: zipPrefix ? region.zipPrefixes[zipPrefix] : region.rate,
+    exemptCategories: [...(country.exemptCategories || []), ...(region.exemptCategories || [])],
+  };
+}
+
+// Tax order items ([{ unitPrice, quantity, category }]) priced in currency
+// for delivery to the address. Returns { jurisdiction, items }, each item
+// with taxRate, taxAmount (for the whole line) and taxExempt set.
+function calculateTax(items, address, currency = DEFAULT_CURRENCY) {
+  const rule = getTaxRule(address);
+
+  return {
+    jurisdiction: rule ? rule.jurisdiction : null,
+    items: items.map(item => {
+      const taxExempt = Boolean(rule) && rule.exemptCategories.includes(normalize(item.category));
+      const taxRate = rule && !taxExempt ? rule.rate : 0;
+
+      return {
+        ...item,
+        taxRate,
+        taxAmount: roundToCurrency(item.unitPrice * item.quantity * taxRate, currency),
+        taxExempt,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  getTaxRule,
+  calculateTax,
+};
@@ -0,0 +1,117 @@
+// Text analysis for full-text search: tokenizing, stop words, stemming and
+// edit distance. Indexing and querying must run text through the same
+// steps so their terms line up.
+
+// Common English words that carry no meaning for search
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+  'has', 'have', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so',
+  'than', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to',
+  'was', 'were', 'will', 'with',
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const VOWEL_PATTERN = /[aeiouy]/;
+
+// Words with their positions in the original text, lowercased
+function tokenize(text) {
+  if (!text) return [];
+
+  return Array.from(String(text).matchAll(WORD_PATTERN), match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+// A light suffix-stripping stemmer, enough to match plurals and simple verb
+// forms ("phones" and "phone", "scratched" and "scratch")
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let result = word;
+
+  if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  for (const suffix of ['ingly', 'edly', 'ing', 'ed', 'ly']) {
+    const base = result.slice(0, -suffix.length);
+    if (result.endsWith(suffix) && base.length >= 3 && VOWEL_PATTERN.test(base)) {
+      result = base;
+      // "shipped" -> "shipp" -> "ship"
+      if (/([^aeiouylsz])\1$/.test(result)) {
+        result = result.slice(0, -1);
+      }
+      break;
+    }
+  }
+
+  if (result.length > 4 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+// Search terms for a piece of text, in order, stop words removed
+function analyze(text) {
+  return tokenize(text)
+    .filter(({ word }) => !STOP_WORDS.has(word))
+    .map(({ word }) => stem(word));
+}
+
+// Edit distance counting insertions, deletions, substitutions and adjacent
+// transpositions. Gives up and returns maxDistance + 1 once the distance is
+// known to exceed maxDistance.
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+// Typos tolerated for a query term: none for short terms, where a single
+// edit already changes the meaning
+function getMaxEdits(term) {
+  if (term.length <= 3 || /\d/.test(term)) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+}
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  stem,
+  analyze,
+  editDistance,
+  getMaxEdits,
+};
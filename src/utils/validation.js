@@ -49,6 +49,52 @@ function validatePrice(price) {
   }
 }
 
+// Generic positive amount validation (bids, starting bids, reserve prices)
+function validateAmount(amount, fieldName) {
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw new GraphQLError(`${fieldName} must be greater than 0`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: fieldName, message: `${fieldName} must be greater than 0` },
+      },
+    });
+  }
+}
+
+// Best Offer threshold validation: auto-decline < auto-accept < asking price
+function validateOfferThresholds(price, autoAcceptPrice, autoDeclinePrice) {
+  const hasAutoAccept = autoAcceptPrice !== undefined && autoAcceptPrice !== null;
+  const hasAutoDecline = autoDeclinePrice !== undefined && autoDeclinePrice !== null;
+
+  if (hasAutoAccept) {
+    validateAmount(autoAcceptPrice, 'autoAcceptPrice');
+    if (autoAcceptPrice >= price) {
+      throw new GraphQLError('Auto-accept price must be lower than the listing price', {
+        extensions: {
+          code: 'VALIDATION_ERROR',
+          details: { field: 'autoAcceptPrice', message: 'Auto-accept price must be lower than the listing price' },
+        },
+      });
+    }
+  }
+
+  if (hasAutoDecline) {
+    validateAmount(autoDeclinePrice, 'autoDeclinePrice');
+    const limit = hasAutoAccept ? autoAcceptPrice : price;
+    if (autoDeclinePrice >= limit) {
+      const message = hasAutoAccept
+        ? 'Auto-decline price must be lower than the auto-accept price'
+        : 'Auto-decline price must be lower than the listing price';
+      throw new GraphQLError(message, {
+        extensions: {
+          code: 'VALIDATION_ERROR',
+          details: { field: 'autoDeclinePrice', message },
+        },
+      });
+    }
+  }
+}
+
 // Quantity validation
 function validateQuantity(quantity) {
   if (!Number.isInteger(quantity) || quantity <= 0) {
@@ -61,6 +107,18 @@ function validateQuantity(quantity) {
   }
 }
 
+// Stock level validation (zero is allowed, e.g. to pause sales)
+function validateStockLevel(quantity, fieldName) {
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new GraphQLError(`${fieldName} must be a non-negative integer`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: fieldName, message: `${fieldName} must be a non-negative integer` },
+      },
+    });
+  }
+}
+
 // Order status validation
 function validateOrderStatus(status) {
   const validStatuses = ['PENDING', 'CONFIRMED', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
@@ -74,6 +132,65 @@ function validateOrderStatus(status) {
   }
 }
 
+// Date validation for values that must lie in the future (e.g. auction end times)
+function validateFutureDate(value, fieldName) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new GraphQLError(`${fieldName} must be a valid date`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: fieldName, message: `${fieldName} must be a valid date` },
+      },
+    });
+  }
+  if (date <= new Date()) {
+    throw new GraphQLError(`${fieldName} must be in the future`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: fieldName, message: `${fieldName} must be in the future` },
+      },
+    });
+  }
+}
+
+// Maximum text length validation
+function validateMaxLength(value, fieldName, maxLength) {
+  if (value && value.length > maxLength) {
+    throw new GraphQLError(`${fieldName} must be at most ${maxLength} characters long`, {
+      extensions: {
+        code: 'VALIDATION_ERROR',
+        details: { field: fieldName, message: `${fieldName} must be at most ${maxLength} characters long` },
+      },
+    });
+  }
+}
+
+// Detailed feedback ratings: each criterion at most once, scored 1-5
+function validateDetailedRatings(detailedRatings) {
+  const seen = new Set();
+
+  detailedRatings.forEach(({ criterion, score }) => {
+    if (seen.has(criterion)) {
+      throw new GraphQLError(`Duplicate rating for ${criterion}`, {
+        extensions: {
+          code: 'VALIDATION_ERROR',
+          details: { field: 'detailedRatings', message: `${criterion} can only be rated once` },
+        },
+      });
+    }
+    seen.add(criterion);
+
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      throw new GraphQLError('Detailed rating scores must be whole numbers from 1 to 5', {
+        extensions: {
+          code: 'VALIDATION_ERROR',
+          details: { field: 'detailedRatings', message: `Score for ${criterion} must be between 1 and 5` },
+        },
+      });
+    }
+  });
+}
+
 // Required fields validation
 function validateRequired(value, fieldName) {
   if (value === undefined || value === null || value === '') {
@@ -91,7 +208,13 @@ module.exports = {
   validatePassword,
   validateUsername,
   validatePrice,
+  validateAmount,
+  validateOfferThresholds,
   validateQuantity,
+  validateStockLevel,
   validateOrderStatus,
+  validateFutureDate,
   validateRequired,
+  validateMaxLength,
+  validateDetailedRatings,
 };
@@ -0,0 +1,26 @@
+const dataStore = require('../data/store');
+const { pubsub, EVENTS } = require('./pubsub');
+
+// Publish a price change to the listing's watchers, whether the seller
+// edited the price or a bid raised it. Does nothing when the price is
+// unchanged or nobody is watching.
+function notifyWatchersOfPriceChange(listing, previousPrice) {
+  if (listing.price === previousPrice) return;
+
+  const watcherIds = dataStore.getWatchers(listing.id).map(entry => entry.userId);
+  if (watcherIds.length === 0) return;
+
+  pubsub.publish(EVENTS.WATCHED_LISTING_PRICE_CHANGED, {
+    watchedListingPriceChanged: {
+      listing,
+      previousPrice,
+      price: listing.price,
+      changedAt: listing.updatedAt,
+    },
+    watcherIds,
+  });
+}
+
+module.exports = {
+  notifyWatchersOfPriceChange,
+};
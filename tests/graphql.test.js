@@ -1,7 +1,45 @@
-const { graphqlRequest } = require('../client/example');
+const { createClient } = require('graphql-ws');
+const WebSocket = require('ws');
+const { graphqlRequest, uploadRequest } = require('../client/example');
 
-// Test configuration
-const GRAPHQL_ENDPOINT = 'http://localhost:4000/graphql';
+// Test configuration (the endpoint is set by tests/setup/globalSetup.js)
+const GRAPHQL_ENDPOINT = process.env.GRAPHQL_ENDPOINT || 'http://localhost:4000/graphql';
+const WS_ENDPOINT = GRAPHQL_ENDPOINT.replace(/^http/, 'ws');
+
+// Open a graphql-ws subscription and collect its events
+async function openSubscription(query, variables = {}, token = null) {
+  const events = [];
+  const errors = [];
+
+  let onConnected;
+  const connected = new Promise(resolve => { onConnected = resolve; });
+
+  const client = createClient({
+    url: WS_ENDPOINT,
+    webSocketImpl: WebSocket,
+    connectionParams: token ? { authorization: `Bearer ${token}` } : {},
+    on: { connected: onConnected },
+  });
+
+  const unsubscribe = client.subscribe({ query, variables }, {
+    next: event => events.push(event),
+    error: error => errors.push(error),
+    complete: () => {},
+  });
+
+  // Give the server a moment to register the subscription
+  await connected;
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  return {
+    events,
+    errors,
+    close: async () => {
+      unsubscribe();
+      await client.dispose();
+    },
+  };
+}
 
 describe('eBayClone GraphQL API Tests', () => {
   let authToken = null;
@@ -269,10 +307,11 @@ describe('eBayClone GraphQL API Tests', () => {
         }
       `;
 
+      // The seeded guitar is sold by jane; sellers cannot buy their own listings
       const variables = {
         input: {
-          listingId: 1,
-          quantity: 2,
+          listingId: 2,
+          quantity: 1,
           shippingAddress: {
             street: '789 Test Ave',
             city: 'Test City',
@@ -287,7 +326,7 @@ describe('eBayClone GraphQL API Tests', () => {
       const result = await graphqlRequest(mutation, variables, authToken);
       expect(result.createOrder).toBeDefined();
       expect(result.createOrder.id).toBeDefined();
-      expect(result.createOrder.quantity).toBe(2);
+      expect(result.createOrder.quantity).toBe(1);
       expect(result.createOrder.status).toBe('PENDING');
       
       testOrderId = result.createOrder.id;
@@ -328,6 +367,41 @@ describe('eBayClone GraphQL API Tests', () => {
       expect(result.orders.pagination).toBeDefined();
     });
 
+    test('should resolve nested users and listings', async () => {
+      const query = `
+        query GetNestedOrders {
+          orders {
+            orders {
+              userId
+              sellerId
+              listingId
+              buyer { id username }
+              seller { id username }
+              listing {
+                id
+                userId
+                user { id }
+              }
+              statusHistory {
+                actorId
+                actor { id }
+              }
+            }
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(query, {}, authToken);
+      expect(result.orders.orders.length).toBeGreaterThan(0);
+      result.orders.orders.forEach(order => {
+        expect(order.buyer.id).toBe(order.userId);
+        expect(order.seller.id).toBe(order.sellerId);
+        expect(order.listing.id).toBe(order.listingId);
+        expect(order.listing.user.id).toBe(order.listing.userId);
+        expect(order.statusHistory[0].actor.id).toBe(order.statusHistory[0].actorId);
+      });
+    });
+
     test('should cancel order when authenticated', async () => {
       if (!testOrderId) {
         console.log('Skipping cancel order test - no test order available');
@@ -373,6 +447,4161 @@ describe('eBayClone GraphQL API Tests', () => {
     });
   });
 
+  describe('Auctions', () => {
+    let buyerToken = null;
+    let rivalToken = null;
+    let auctionId = null;
+
+    const PLACE_BID_MUTATION = `
+      mutation PlaceBid($listingId: Int!, $amount: Float!) {
+        placeBid(listingId: $listingId, amount: $amount) {
+          id
+          amount
+          userId
+        }
+      }
+    `;
+
+    beforeAll(async () => {
+      const mutation = `
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(mutation, {
+        input: { email: 'jane@example.com', password: 'password' },
+      });
+      buyerToken = result.login.token;
+
+      const rivalEmail = `rival_${Date.now()}@example.com`;
+      await graphqlRequest(`
+        mutation CreateUser($input: UserCreateInput!) {
+          createUser(input: $input) {
+            id
+          }
+        }
+      `, { input: { username: 'rival_bidder', email: rivalEmail, password: 'password123' } });
+
+      const rival = await graphqlRequest(mutation, {
+        input: { email: rivalEmail, password: 'password123' },
+      });
+      rivalToken = rival.login.token;
+    });
+
+    test('should create an auction listing', async () => {
+      const mutation = `
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+            listingType
+            price
+            startingBid
+            reservePrice
+            hasReserve
+            auctionStatus
+            minimumNextBid
+            bidCount
+          }
+        }
+      `;
+
+      const variables = {
+        input: {
+          title: 'Test Auction Camera',
+          description: 'Camera sold by auction',
+          listingType: 'AUCTION',
+          startingBid: 100,
+          reservePrice: 120,
+          endTime: new Date(Date.now() + 2000).toISOString(),
+        },
+      };
+
+      const result = await graphqlRequest(mutation, variables, authToken);
+      expect(result.createListing.listingType).toBe('AUCTION');
+      expect(result.createListing.price).toBe(100);
+      expect(result.createListing.reservePrice).toBe(120);
+      expect(result.createListing.hasReserve).toBe(true);
+      expect(result.createListing.auctionStatus).toBe('ACTIVE');
+      expect(result.createListing.minimumNextBid).toBe(100);
+      expect(result.createListing.bidCount).toBe(0);
+
+      auctionId = result.createListing.id;
+    });
+
+    test('should reject bids on your own listing', async () => {
+      await expect(
+        graphqlRequest(PLACE_BID_MUTATION, { listingId: auctionId, amount: 150 }, authToken)
+      ).rejects.toThrow('Cannot bid on your own listing');
+    });
+
+    test('should reject bids below the minimum', async () => {
+      await expect(
+        graphqlRequest(PLACE_BID_MUTATION, { listingId: auctionId, amount: 50 }, buyerToken)
+      ).rejects.toThrow('Bid amount is too low');
+    });
+
+    test('should accept a valid bid and hide the reserve from bidders', async () => {
+      // A maximum above the reserve lifts the visible bid to the reserve
+      const result = await graphqlRequest(PLACE_BID_MUTATION, { listingId: auctionId, amount: 125 }, buyerToken);
+      expect(result.placeBid.amount).toBe(120);
+
+      const query = `
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            price
+            currentBid
+            minimumNextBid
+            reservePrice
+            reserveMet
+            bids {
+              amount
+            }
+          }
+        }
+      `;
+
+      const listing = await graphqlRequest(query, { id: auctionId }, buyerToken);
+      expect(listing.listing.price).toBe(120);
+      expect(listing.listing.currentBid).toBe(120);
+      expect(listing.listing.minimumNextBid).toBe(122.5);
+      expect(listing.listing.reservePrice).toBeNull();
+      expect(listing.listing.reserveMet).toBe(true);
+      expect(listing.listing.bids).toHaveLength(1);
+    });
+
+    test('should proxy bid up to the maximum and keep it private', async () => {
+      const created = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          title: 'Test Proxy Auction Lens',
+          description: 'Lens sold by auction',
+          listingType: 'AUCTION',
+          startingBid: 100,
+          endTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        },
+      }, authToken);
+      const listingId = created.createListing.id;
+
+      const first = await graphqlRequest(PLACE_BID_MUTATION, { listingId, amount: 200 }, buyerToken);
+      expect(first.placeBid.amount).toBe(100);
+
+      // The rival is outbid straight away by the automatic bid
+      const second = await graphqlRequest(PLACE_BID_MUTATION, { listingId, amount: 150 }, rivalToken);
+      expect(second.placeBid.amount).toBe(150);
+
+      const query = `
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            currentBid
+            myMaxBid
+            bids {
+              amount
+              isAutomatic
+              user {
+                username
+              }
+            }
+          }
+        }
+      `;
+
+      const asBuyer = await graphqlRequest(query, { id: listingId }, buyerToken);
+      expect(asBuyer.listing.currentBid).toBe(152.5);
+      expect(asBuyer.listing.myMaxBid).toBe(200);
+      expect(asBuyer.listing.bids[0]).toEqual({ amount: 152.5, isAutomatic: true, user: { username: 'jane_smith' } });
+
+      const asRival = await graphqlRequest(query, { id: listingId }, rivalToken);
+      expect(asRival.listing.myMaxBid).toBe(150);
+
+      const anonymous = await graphqlRequest(query, { id: listingId });
+      expect(anonymous.listing.myMaxBid).toBeNull();
+
+      // Equal maximums are won by whoever set theirs first
+      await graphqlRequest(PLACE_BID_MUTATION, { listingId, amount: 200 }, rivalToken);
+      const tied = await graphqlRequest(query, { id: listingId }, buyerToken);
+      expect(tied.listing.currentBid).toBe(200);
+      expect(tied.listing.bids[0].user.username).toBe('jane_smith');
+    });
+
+    test('should reject direct orders on auction listings', async () => {
+      const mutation = `
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `;
+
+      const variables = {
+        input: {
+          listingId: auctionId,
+          quantity: 1,
+          shippingAddress: { street: '1 Test St', city: 'Test City', country: 'USA' },
+        },
+      };
+
+      await expect(graphqlRequest(mutation, variables, buyerToken)).rejects.toThrow('Auction listings cannot be ordered directly');
+    });
+
+    test('should close the auction and create an order for the winner', async () => {
+      const subscription = await openSubscription(`
+        subscription OnOrderStatusChanged {
+          orderStatusChanged {
+            listingId
+            status
+            totalPrice
+          }
+        }
+      `, {}, buyerToken);
+
+      await new Promise(resolve => setTimeout(resolve, 2500));
+
+      await expect(
+        graphqlRequest(PLACE_BID_MUTATION, { listingId: auctionId, amount: 200 }, buyerToken)
+      ).rejects.toThrow('Auction has ended');
+
+      const query = `
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            auctionStatus
+            winningBid {
+              amount
+              user {
+                username
+              }
+            }
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(query, { id: auctionId });
+      expect(result.listing.auctionStatus).toBe('ENDED');
+      expect(result.listing.winningBid.amount).toBe(120);
+      expect(result.listing.winningBid.user.username).toBe('jane_smith');
+
+      const ordersQuery = `
+        query GetOrders {
+          orders {
+            orders {
+              listingId
+              totalPrice
+              shippingAddress {
+                street
+              }
+            }
+          }
+        }
+      `;
+
+      const orders = await graphqlRequest(ordersQuery, {}, buyerToken);
+      const auctionOrder = orders.orders.orders.find(order => order.listingId === auctionId);
+      expect(auctionOrder).toBeDefined();
+      expect(auctionOrder.totalPrice).toBe(120);
+      expect(auctionOrder.shippingAddress).toBeNull();
+
+      // The winner hears about the new order like any other status change
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await subscription.close();
+      const changes = subscription.events.map(event => event.data.orderStatusChanged);
+      expect(changes).toContainEqual({ listingId: auctionId, status: 'PENDING', totalPrice: 120 });
+    });
+  });
+
+  describe('Best Offer', () => {
+    let buyerToken = null;
+    let offerListingId = null;
+
+    const MAKE_OFFER_MUTATION = `
+      mutation MakeOffer($input: MakeOfferInput!) {
+        makeOffer(input: $input) {
+          id
+          amount
+          status
+          order {
+            totalPrice
+          }
+        }
+      }
+    `;
+
+    const shippingAddress = {
+      street: '1 Offer Lane',
+      city: 'Test City',
+      country: 'USA',
+    };
+
+    beforeAll(async () => {
+      const mutation = `
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(mutation, {
+        input: { email: 'jane@example.com', password: 'password' },
+      });
+      buyerToken = result.login.token;
+    });
+
+    test('should create a listing that accepts offers', async () => {
+      const mutation = `
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+            acceptsOffers
+            autoAcceptPrice
+            autoDeclinePrice
+          }
+        }
+      `;
+
+      const variables = {
+        input: {
+          title: 'Test Offer Bike',
+          description: 'Road bike, open to offers',
+          price: 200,
+          quantity: 5,
+          acceptsOffers: true,
+          autoAcceptPrice: 180,
+          autoDeclinePrice: 100,
+        },
+      };
+
+      const result = await graphqlRequest(mutation, variables, authToken);
+      expect(result.createListing.acceptsOffers).toBe(true);
+      expect(result.createListing.autoAcceptPrice).toBe(180);
+      expect(result.createListing.autoDeclinePrice).toBe(100);
+
+      offerListingId = result.createListing.id;
+    });
+
+    test('should apply the auto-decline and auto-accept thresholds', async () => {
+      const low = await graphqlRequest(MAKE_OFFER_MUTATION, {
+        input: { listingId: offerListingId, amount: 90, shippingAddress },
+      }, buyerToken);
+      expect(low.makeOffer.status).toBe('DECLINED');
+
+      const high = await graphqlRequest(MAKE_OFFER_MUTATION, {
+        input: { listingId: offerListingId, amount: 185, shippingAddress },
+      }, buyerToken);
+      expect(high.makeOffer.status).toBe('ACCEPTED');
+      expect(high.makeOffer.order.totalPrice).toBe(185);
+    });
+
+    test('should negotiate with a counter-offer and order at the agreed price', async () => {
+      const offer = await graphqlRequest(MAKE_OFFER_MUTATION, {
+        input: { listingId: offerListingId, amount: 150, quantity: 2, shippingAddress },
+      }, buyerToken);
+      expect(offer.makeOffer.status).toBe('PENDING');
+      const offerId = offer.makeOffer.id;
+
+      // Only the seller can answer a pending offer
+      await expect(graphqlRequest(`
+        mutation AcceptOffer($id: Int!) {
+          acceptOffer(id: $id) { id }
+        }
+      `, { id: offerId }, buyerToken)).rejects.toThrow('Access denied');
+
+      const countered = await graphqlRequest(`
+        mutation CounterOffer($id: Int!, $amount: Float!) {
+          counterOffer(id: $id, amount: $amount) {
+            amount
+            status
+          }
+        }
+      `, { id: offerId, amount: 170 }, authToken);
+      expect(countered.counterOffer.status).toBe('COUNTERED');
+
+      const accepted = await graphqlRequest(`
+        mutation AcceptOffer($id: Int!) {
+          acceptOffer(id: $id) {
+            status
+            order {
+              quantity
+              totalPrice
+            }
+          }
+        }
+      `, { id: offerId }, buyerToken);
+      expect(accepted.acceptOffer.status).toBe('ACCEPTED');
+      expect(accepted.acceptOffer.order.quantity).toBe(2);
+      expect(accepted.acceptOffer.order.totalPrice).toBe(340);
+    });
+
+    test('should let the buyer withdraw a pending offer', async () => {
+      const offer = await graphqlRequest(MAKE_OFFER_MUTATION, {
+        input: { listingId: offerListingId, amount: 160, shippingAddress },
+      }, buyerToken);
+
+      const result = await graphqlRequest(`
+        mutation WithdrawOffer($id: Int!) {
+          withdrawOffer(id: $id) {
+            status
+          }
+        }
+      `, { id: offer.makeOffer.id }, buyerToken);
+      expect(result.withdrawOffer.status).toBe('WITHDRAWN');
+    });
+
+    test('should reject offers on listings without Best Offer', async () => {
+      await expect(graphqlRequest(MAKE_OFFER_MUTATION, {
+        input: { listingId: 1, amount: 500, shippingAddress },
+      }, buyerToken)).rejects.toThrow('Listing does not accept offers');
+    });
+  });
+
+  describe('Inventory', () => {
+    let buyerToken = null;
+    let stockListingId = null;
+
+    const CREATE_ORDER_MUTATION = `
+      mutation CreateOrder($input: OrderCreateInput!) {
+        createOrder(input: $input) {
+          id
+          quantity
+        }
+      }
+    `;
+
+    const STOCK_QUERY = `
+      query GetListing($id: Int!) {
+        listing(id: $id) {
+          quantityAvailable
+          quantitySold
+          soldOut
+        }
+      }
+    `;
+
+    const orderInput = (listingId, quantity) => ({
+      input: {
+        listingId,
+        quantity,
+        shippingAddress: { street: '1 Stock St', city: 'Test City', country: 'USA' },
+      },
+    });
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      buyerToken = login.login.token;
+
+      const created = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+            quantityAvailable
+          }
+        }
+      `, {
+        input: {
+          title: 'Test Stock Headphones',
+          description: 'Two pairs available',
+          price: 50,
+          quantity: 2,
+        },
+      }, authToken);
+      expect(created.createListing.quantityAvailable).toBe(2);
+      stockListingId = created.createListing.id;
+    });
+
+    test('should reject orders larger than the available stock', async () => {
+      await expect(
+        graphqlRequest(CREATE_ORDER_MUTATION, orderInput(stockListingId, 3), buyerToken)
+      ).rejects.toThrow('Insufficient stock');
+    });
+
+    test('should sell out, hide the listing and restock on cancellation', async () => {
+      const order = await graphqlRequest(CREATE_ORDER_MUTATION, orderInput(stockListingId, 2), buyerToken);
+
+      const soldOut = await graphqlRequest(STOCK_QUERY, { id: stockListingId });
+      expect(soldOut.listing).toEqual({ quantityAvailable: 0, quantitySold: 2, soldOut: true });
+
+      const listings = await graphqlRequest(`
+        query GetListings($filter: ListingFilterInput) {
+          listings(filter: $filter) {
+            id
+          }
+        }
+      `);
+      expect(listings.listings.map(listing => listing.id)).not.toContain(stockListingId);
+
+      await graphqlRequest(`
+        mutation CancelOrder($id: Int!) {
+          cancelOrder(id: $id) {
+            message
+          }
+        }
+      `, { id: order.createOrder.id }, buyerToken);
+
+      const restocked = await graphqlRequest(STOCK_QUERY, { id: stockListingId });
+      expect(restocked.listing).toEqual({ quantityAvailable: 2, quantitySold: 0, soldOut: false });
+    });
+
+    test('should adjust stock when an order quantity changes', async () => {
+      const order = await graphqlRequest(CREATE_ORDER_MUTATION, orderInput(stockListingId, 1), buyerToken);
+
+      await graphqlRequest(`
+        mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+          updateOrder(id: $id, input: $input) {
+            quantity
+          }
+        }
+      `, { id: order.createOrder.id, input: { quantity: 2 } }, buyerToken);
+
+      const result = await graphqlRequest(STOCK_QUERY, { id: stockListingId });
+      expect(result.listing.quantityAvailable).toBe(0);
+    });
+
+    test('should never oversell under concurrent orders', async () => {
+      await graphqlRequest(`
+        mutation UpdateListing($id: Int!, $input: ListingUpdateInput!) {
+          updateListing(id: $id, input: $input) {
+            id
+          }
+        }
+      `, { id: stockListingId, input: { quantityAvailable: 1 } }, authToken);
+
+      const attempts = await Promise.allSettled([
+        graphqlRequest(CREATE_ORDER_MUTATION, orderInput(stockListingId, 1), buyerToken),
+        graphqlRequest(CREATE_ORDER_MUTATION, orderInput(stockListingId, 1), buyerToken),
+        graphqlRequest(CREATE_ORDER_MUTATION, orderInput(stockListingId, 1), buyerToken),
+      ]);
+
+      expect(attempts.filter(attempt => attempt.status === 'fulfilled')).toHaveLength(1);
+    });
+  });
+
+  describe('Seller Order Management', () => {
+    let buyerToken = null;
+    let sellerOrderId = null;
+
+    const UPDATE_STATUS_MUTATION = `
+      mutation UpdateOrderStatus($id: Int!, $status: OrderStatus!) {
+        updateOrderStatus(id: $id, status: $status) {
+          id
+          status
+        }
+      }
+    `;
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      buyerToken = login.login.token;
+
+      const order = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          listingId: 1,
+          quantity: 1,
+          shippingAddress: { street: '1 Seller Rd', city: 'Test City', country: 'USA' },
+          paymentMethod: 'tok_visa',
+        },
+      }, buyerToken);
+      sellerOrderId = order.createOrder.id;
+    });
+
+    test('should list orders placed on the seller listings', async () => {
+      const query = `
+        query GetSellerOrders {
+          sellerOrders {
+            orders {
+              id
+              buyer {
+                username
+              }
+              seller {
+                username
+              }
+            }
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(query, {}, authToken);
+      const order = result.sellerOrders.orders.find(o => o.id === sellerOrderId);
+      expect(order.buyer.username).toBe('jane_smith');
+      expect(order.seller.username).toBe('john_doe');
+    });
+
+    test('should let both parties read the order', async () => {
+      const query = `
+        query GetOrder($id: Int!) {
+          order(id: $id) {
+            id
+          }
+        }
+      `;
+
+      const asSeller = await graphqlRequest(query, { id: sellerOrderId }, authToken);
+      const asBuyer = await graphqlRequest(query, { id: sellerOrderId }, buyerToken);
+      expect(asSeller.order.id).toBe(sellerOrderId);
+      expect(asBuyer.order.id).toBe(sellerOrderId);
+    });
+
+    test('should let only the seller confirm and ship', async () => {
+      await expect(
+        graphqlRequest(UPDATE_STATUS_MUTATION, { id: sellerOrderId, status: 'SHIPPED' }, buyerToken)
+      ).rejects.toThrow('Access denied');
+
+      const confirmed = await graphqlRequest(UPDATE_STATUS_MUTATION, { id: sellerOrderId, status: 'CONFIRMED' }, authToken);
+      expect(confirmed.updateOrderStatus.status).toBe('CONFIRMED');
+
+      const shipped = await graphqlRequest(UPDATE_STATUS_MUTATION, { id: sellerOrderId, status: 'SHIPPED' }, authToken);
+      expect(shipped.updateOrderStatus.status).toBe('SHIPPED');
+    });
+
+    test('should let only the buyer confirm delivery', async () => {
+      await expect(
+        graphqlRequest(UPDATE_STATUS_MUTATION, { id: sellerOrderId, status: 'DELIVERED' }, authToken)
+      ).rejects.toThrow('Access denied');
+
+      const delivered = await graphqlRequest(UPDATE_STATUS_MUTATION, { id: sellerOrderId, status: 'DELIVERED' }, buyerToken);
+      expect(delivered.updateOrderStatus.status).toBe('DELIVERED');
+    });
+
+    test('should record every transition in the status history', async () => {
+      const query = `
+        query GetOrder($id: Int!) {
+          order(id: $id) {
+            statusHistory {
+              fromStatus
+              toStatus
+              actor {
+                username
+              }
+              timestamp
+            }
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(query, { id: sellerOrderId }, buyerToken);
+      const history = result.order.statusHistory;
+      expect(history.map(event => event.toStatus)).toEqual(['PENDING', 'CONFIRMED', 'SHIPPED', 'DELIVERED']);
+      expect(history[0].fromStatus).toBeNull();
+      expect(history[3].fromStatus).toBe('SHIPPED');
+      expect(history[3].actor.username).toBe('jane_smith');
+      expect(history[1].actor.username).toBe('john_doe');
+    });
+
+    test('should reject illegal status transitions', async () => {
+      await expect(
+        graphqlRequest(UPDATE_STATUS_MUTATION, { id: sellerOrderId, status: 'CANCELLED' }, buyerToken)
+      ).rejects.toThrow('Invalid status transition from DELIVERED to CANCELLED');
+
+      const order = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          listingId: 1,
+          quantity: 1,
+          shippingAddress: { street: '2 Seller Rd', city: 'Test City', country: 'USA' },
+          paymentMethod: 'tok_visa',
+        },
+      }, buyerToken);
+      const orderId = order.createOrder.id;
+
+      await expect(
+        graphqlRequest(UPDATE_STATUS_MUTATION, { id: orderId, status: 'SHIPPED' }, authToken)
+      ).rejects.toThrow('Invalid status transition from PENDING to SHIPPED');
+
+      await graphqlRequest(UPDATE_STATUS_MUTATION, { id: orderId, status: 'CONFIRMED' }, authToken);
+      await graphqlRequest(UPDATE_STATUS_MUTATION, { id: orderId, status: 'SHIPPED' }, authToken);
+
+      await expect(graphqlRequest(`
+        mutation CancelOrder($id: Int!) {
+          cancelOrder(id: $id) {
+            message
+          }
+        }
+      `, { id: orderId }, buyerToken)).rejects.toThrow('Invalid status transition from SHIPPED to CANCELLED');
+
+      await expect(graphqlRequest(`
+        mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+          updateOrder(id: $id, input: $input) {
+            id
+          }
+        }
+      `, { id: orderId, input: { quantity: 2 } }, buyerToken)).rejects.toThrow('Order can no longer be modified');
+    });
+
+    test('should not delete delivered orders or restock them', async () => {
+      const stockQuery = `
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            quantityAvailable
+            quantitySold
+          }
+        }
+      `;
+      const before = await graphqlRequest(stockQuery, { id: 1 });
+
+      await expect(graphqlRequest(`
+        mutation DeleteOrder($id: Int!) {
+          deleteOrder(id: $id) {
+            message
+          }
+        }
+      `, { id: sellerOrderId }, buyerToken)).rejects.toThrow('Order can no longer be deleted');
+
+      const after = await graphqlRequest(stockQuery, { id: 1 });
+      expect(after.listing).toEqual(before.listing);
+    });
+  });
+
+  describe('Cursor Pagination', () => {
+    const LISTINGS_CONNECTION_QUERY = `
+      query ListingsConnection($filter: ListingFilterInput, $first: Int, $after: String, $last: Int, $before: String) {
+        listingsConnection(filter: $filter, first: $first, after: $after, last: $last, before: $before) {
+          edges {
+            cursor
+            node {
+              id
+              createdAt
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            startCursor
+            endCursor
+          }
+          totalCount
+        }
+      }
+    `;
+
+    const createListing = async (title) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title, description: 'Cursor pagination test listing', price: 10 } }, authToken);
+      return result.createListing.id;
+    };
+
+    beforeAll(async () => {
+      await createListing('Pagination listing A');
+      await createListing('Pagination listing B');
+      await createListing('Pagination listing C');
+    });
+
+    test('should page forward through listings newest first', async () => {
+      const all = await graphqlRequest(LISTINGS_CONNECTION_QUERY, { first: 100 });
+      const allIds = all.listingsConnection.edges.map(edge => edge.node.id);
+      expect(all.listingsConnection.totalCount).toBe(allIds.length);
+      expect(all.listingsConnection.pageInfo.hasNextPage).toBe(false);
+
+      // Newest first, with the id breaking ties
+      const nodes = all.listingsConnection.edges.map(edge => edge.node);
+      for (let i = 1; i < nodes.length; i++) {
+        const previous = nodes[i - 1];
+        expect(previous.createdAt > nodes[i].createdAt ||
+          (previous.createdAt === nodes[i].createdAt && previous.id > nodes[i].id)).toBe(true);
+      }
+
+      const pagedIds = [];
+      let after = null;
+      let hasNextPage = true;
+      while (hasNextPage) {
+        const page = await graphqlRequest(LISTINGS_CONNECTION_QUERY, { first: 2, after });
+        const { edges, pageInfo } = page.listingsConnection;
+        expect(pageInfo.hasPreviousPage).toBe(after !== null);
+        pagedIds.push(...edges.map(edge => edge.node.id));
+        after = pageInfo.endCursor;
+        hasNextPage = pageInfo.hasNextPage;
+      }
+
+      expect(pagedIds).toEqual(allIds);
+    });
+
+    test('should not shift pages when listings are added between fetches', async () => {
+      const firstPage = await graphqlRequest(LISTINGS_CONNECTION_QUERY, { first: 2 });
+      const expected = await graphqlRequest(LISTINGS_CONNECTION_QUERY, {
+        first: 2,
+        after: firstPage.listingsConnection.pageInfo.endCursor,
+      });
+
+      const newListingId = await createListing('Pagination listing D');
+
+      const secondPage = await graphqlRequest(LISTINGS_CONNECTION_QUERY, {
+        first: 2,
+        after: firstPage.listingsConnection.pageInfo.endCursor,
+      });
+      expect(secondPage.listingsConnection.edges.map(edge => edge.node.id))
+        .toEqual(expected.listingsConnection.edges.map(edge => edge.node.id));
+      expect(secondPage.listingsConnection.totalCount).toBe(expected.listingsConnection.totalCount + 1);
+
+      const newest = await graphqlRequest(LISTINGS_CONNECTION_QUERY, { first: 1 });
+      expect(newest.listingsConnection.edges[0].node.id).toBe(newListingId);
+    });
+
+    test('should page backward with last and before', async () => {
+      const all = await graphqlRequest(LISTINGS_CONNECTION_QUERY, { first: 100 });
+      const allIds = all.listingsConnection.edges.map(edge => edge.node.id);
+      const lastCursor = all.listingsConnection.pageInfo.endCursor;
+
+      const page = await graphqlRequest(LISTINGS_CONNECTION_QUERY, { last: 2, before: lastCursor });
+      const { edges, pageInfo } = page.listingsConnection;
+      expect(edges.map(edge => edge.node.id)).toEqual(allIds.slice(-3, -1));
+      expect(pageInfo.hasNextPage).toBe(true);
+      expect(pageInfo.hasPreviousPage).toBe(allIds.length > 3);
+    });
+
+    test('should apply listing filters before paginating', async () => {
+      const result = await graphqlRequest(LISTINGS_CONNECTION_QUERY, {
+        filter: { search: 'Pagination listing' },
+        first: 1,
+      });
+      expect(result.listingsConnection.totalCount).toBe(4);
+      expect(result.listingsConnection.edges).toHaveLength(1);
+      expect(result.listingsConnection.pageInfo.hasNextPage).toBe(true);
+    });
+
+    test('should reject invalid cursors and page sizes', async () => {
+      await expect(graphqlRequest(LISTINGS_CONNECTION_QUERY, { after: 'not-a-cursor' }))
+        .rejects.toThrow('Invalid cursor');
+      await expect(graphqlRequest(LISTINGS_CONNECTION_QUERY, { first: 101 }))
+        .rejects.toThrow('first must be between 0 and 100');
+    });
+
+    test('should paginate the current user orders with cursors', async () => {
+      const query = `
+        query OrdersConnection($filter: OrderFilterInput, $first: Int, $after: String) {
+          ordersConnection(filter: $filter, first: $first, after: $after) {
+            edges {
+              cursor
+              node {
+                id
+                userId
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            totalCount
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(query, { first: 1 }, authToken);
+      const { edges, totalCount } = result.ordersConnection;
+      expect(totalCount).toBeGreaterThan(0);
+      expect(edges).toHaveLength(1);
+      expect(result.ordersConnection.pageInfo.hasNextPage).toBe(totalCount > 1);
+      edges.forEach(edge => expect(edge.node.userId).toBe(1));
+
+      await expect(graphqlRequest(query, { filter: { userId: 2 } }, authToken)).rejects.toThrow('Access denied');
+      await expect(graphqlRequest(query, {})).rejects.toThrow('Authentication required');
+    });
+  });
+
+  describe('Full-Text Search', () => {
+    const SEARCH_QUERY = `
+      query SearchListings($query: String!, $filter: ListingFilterInput, $first: Int, $after: String) {
+        searchListings(query: $query, filter: $filter, first: $first, after: $after) {
+          edges {
+            cursor
+            score
+            matchedTerms
+            highlights {
+              field
+              snippet
+            }
+            node {
+              id
+              title
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          totalCount
+        }
+      }
+    `;
+
+    let titleMatchId = null;
+    let descriptionMatchId = null;
+
+    const createListing = async (input) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { price: 50, ...input } }, authToken);
+      return result.createListing.id;
+    };
+
+    beforeAll(async () => {
+      descriptionMatchId = await createListing({
+        title: 'Brass instrument case',
+        description: 'Hard case that fits most trombones',
+        category: 'music',
+      });
+      titleMatchId = await createListing({
+        title: 'Student Trombone',
+        description: 'Tenor trombone with mouthpiece',
+        category: 'music',
+      });
+    });
+
+    test('should tolerate typos and word order', async () => {
+      const reordered = await graphqlRequest(SEARCH_QUERY, { query: 'iphone pro 13' });
+      expect(reordered.searchListings.edges[0].node.id).toBe(1);
+      expect(reordered.searchListings.edges[0].matchedTerms).toEqual(['iphon', 'pro', '13']);
+
+      const misspelled = await graphqlRequest(SEARCH_QUERY, { query: 'iphnoe' });
+      expect(misspelled.searchListings.edges.map(edge => edge.node.id)).toContain(1);
+    });
+
+    test('should rank title matches first and highlight matched words', async () => {
+      const result = await graphqlRequest(SEARCH_QUERY, { query: 'the trombones' });
+      const { edges, totalCount } = result.searchListings;
+
+      expect(totalCount).toBe(2);
+      expect(edges.map(edge => edge.node.id)).toEqual([titleMatchId, descriptionMatchId]);
+      expect(edges[0].score).toBeGreaterThan(edges[1].score);
+      expect(edges[0].highlights).toContainEqual({ field: 'title', snippet: 'Student <em>Trombone</em>' });
+      expect(edges[1].highlights).toEqual([
+        { field: 'description', snippet: 'Hard case that fits most <em>trombones</em>' },
+      ]);
+    });
+
+    test('should page through results by relevance', async () => {
+      const firstPage = await graphqlRequest(SEARCH_QUERY, { query: 'trombone', first: 1 });
+      expect(firstPage.searchListings.pageInfo.hasNextPage).toBe(true);
+
+      const secondPage = await graphqlRequest(SEARCH_QUERY, {
+        query: 'trombone',
+        first: 1,
+        after: firstPage.searchListings.pageInfo.endCursor,
+      });
+      expect(secondPage.searchListings.edges.map(edge => edge.node.id)).toEqual([descriptionMatchId]);
+      expect(secondPage.searchListings.pageInfo.hasNextPage).toBe(false);
+    });
+
+    test('should rank listings filtered by search', async () => {
+      const result = await graphqlRequest(`
+        query GetListings($filter: ListingFilterInput) {
+          listings(filter: $filter) {
+            id
+          }
+        }
+      `, { filter: { search: 'trombone', category: 'music' } });
+      expect(result.listings.map(listing => listing.id)).toEqual([titleMatchId, descriptionMatchId]);
+    });
+
+    test('should keep the index in step with listing changes', async () => {
+      await graphqlRequest(`
+        mutation UpdateListing($id: Int!, $input: ListingUpdateInput!) {
+          updateListing(id: $id, input: $input) {
+            id
+          }
+        }
+      `, { id: descriptionMatchId, input: { title: 'Sousaphone gig bag' } }, authToken);
+
+      const updated = await graphqlRequest(SEARCH_QUERY, { query: 'sousaphone' });
+      expect(updated.searchListings.edges.map(edge => edge.node.id)).toEqual([descriptionMatchId]);
+
+      await graphqlRequest(`
+        mutation DeleteListing($id: Int!) {
+          deleteListing(id: $id) {
+            message
+          }
+        }
+      `, { id: descriptionMatchId }, authToken);
+
+      const deleted = await graphqlRequest(SEARCH_QUERY, { query: 'sousaphone' });
+      expect(deleted.searchListings.totalCount).toBe(0);
+    });
+  });
+
+  describe('Listing Facets', () => {
+    const FACETS_QUERY = `
+      query ListingFacets($filter: ListingFilterInput, $priceInterval: Float) {
+        listingFacets(filter: $filter, priceInterval: $priceInterval) {
+          totalCount
+          categories { value count }
+          conditions { condition count }
+          priceHistogram { min max count }
+          locations { value count }
+        }
+      }
+    `;
+
+    beforeAll(async () => {
+      const listings = [
+        { category: 'facet-cameras', condition: 'NEW', price: 120, location: 'Facetville, FT' },
+        { category: 'facet-cameras', condition: 'GOOD', price: 80, location: 'Facetville, FT' },
+        { category: 'facet-lenses', condition: 'GOOD', price: 260, location: 'facetville, ft' },
+        { category: 'facet-lenses', condition: 'NEW', price: 40, location: 'Othertown, OT' },
+      ];
+
+      for (const [index, listing] of listings.entries()) {
+        await graphqlRequest(`
+          mutation CreateListing($input: ListingCreateInput!) {
+            createListing(input: $input) {
+              id
+            }
+          }
+        `, { input: { title: `Facet listing ${index}`, description: 'Facet test listing', ...listing } }, authToken);
+      }
+    });
+
+    test('should count each facet against the other filters', async () => {
+      const result = await graphqlRequest(FACETS_QUERY, {
+        filter: { location: 'Facetville, FT', category: 'facet-cameras' },
+      });
+      const facets = result.listingFacets;
+
+      expect(facets.totalCount).toBe(2);
+      // The selected category still shows the counts for the other one
+      expect(facets.categories).toEqual([
+        { value: 'facet-cameras', count: 2 },
+        { value: 'facet-lenses', count: 1 },
+      ]);
+      expect(facets.conditions).toEqual([
+        { condition: 'NEW', count: 1 },
+        { condition: 'LIKE_NEW', count: 0 },
+        { condition: 'GOOD', count: 1 },
+        { condition: 'FAIR', count: 0 },
+        { condition: 'POOR', count: 0 },
+      ]);
+      expect(facets.priceHistogram).toEqual([
+        { min: 0, max: 100, count: 1 },
+        { min: 100, max: 200, count: 1 },
+      ]);
+      expect(facets.locations).toEqual([{ value: 'Facetville, FT', count: 2 }]);
+    });
+
+    test('should use the configured price interval and merge locations by case', async () => {
+      const result = await graphqlRequest(FACETS_QUERY, {
+        filter: { search: 'facet' },
+        priceInterval: 250,
+      });
+      const facets = result.listingFacets;
+
+      expect(facets.totalCount).toBe(4);
+      expect(facets.priceHistogram).toEqual([
+        { min: 0, max: 250, count: 3 },
+        { min: 250, max: 500, count: 1 },
+      ]);
+      expect(facets.locations).toEqual([
+        { value: 'Facetville, FT', count: 3 },
+        { value: 'Othertown, OT', count: 1 },
+      ]);
+    });
+
+    test('should reject a non-positive price interval', async () => {
+      await expect(graphqlRequest(FACETS_QUERY, { priceInterval: 0 }))
+        .rejects.toThrow('priceInterval must be greater than 0');
+    });
+  });
+
+  describe('Sorting', () => {
+    const createListing = async (title, price) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title, description: 'Sorting test listing', price } }, authToken);
+      return result.createListing.id;
+    };
+
+    let twinIds = [];
+
+    beforeAll(async () => {
+      twinIds = [
+        await createListing('Sort twin', 75),
+        await createListing('Sort twin', 75),
+      ];
+      await createListing('sort alpha', 75);
+      await createListing('Sort beta', 20);
+
+      // A few orders in different statuses for the current user
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      const sellerToken = login.login.token;
+
+      const listing = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title: 'Order test stock', description: 'Stock for order tests', price: 30, quantity: 10 } }, sellerToken);
+
+      const orderIds = [];
+      for (const quantity of [1, 3, 2]) {
+        const order = await graphqlRequest(`
+          mutation CreateOrder($input: OrderCreateInput!) {
+            createOrder(input: $input) {
+              id
+            }
+          }
+        `, {
+          input: {
+            listingId: listing.createListing.id,
+            quantity,
+            shippingAddress: { street: '1 Sort St', city: 'Test City', country: 'USA' },
+            paymentMethod: 'tok_visa',
+          },
+        }, authToken);
+        orderIds.push(order.createOrder.id);
+      }
+
+      await graphqlRequest(`
+        mutation UpdateOrderStatus($id: Int!, $status: OrderStatus!) {
+          updateOrderStatus(id: $id, status: $status) {
+            id
+          }
+        }
+      `, { id: orderIds[1], status: 'CONFIRMED' }, sellerToken);
+    });
+
+    test('should sort listings by several keys with an id tiebreaker', async () => {
+      const query = `
+        query SortedListings($filter: ListingFilterInput, $sort: [ListingSortInput!]) {
+          listings(filter: $filter, sort: $sort) {
+            id
+            title
+            price
+          }
+        }
+      `;
+
+      const byPriceAndTitle = await graphqlRequest(query, {
+        filter: { search: 'sorting' },
+        sort: [{ field: 'PRICE', direction: 'DESC' }, { field: 'TITLE' }],
+      });
+      expect(byPriceAndTitle.listings.map(listing => [listing.title, listing.price])).toEqual([
+        ['sort alpha', 75],
+        ['Sort twin', 75],
+        ['Sort twin', 75],
+        ['Sort beta', 20],
+      ]);
+      // Ties on every key fall back to the id, in the last key's direction
+      expect(byPriceAndTitle.listings.slice(1, 3).map(listing => listing.id)).toEqual(twinIds);
+
+      const descending = await graphqlRequest(query, {
+        filter: { search: 'sorting' },
+        sort: [{ field: 'PRICE', direction: 'DESC' }, { field: 'TITLE', direction: 'DESC' }],
+      });
+      expect(descending.listings.slice(0, 2).map(listing => listing.id)).toEqual([...twinIds].reverse());
+    });
+
+    test('should page sorted listings with cursors', async () => {
+      const query = `
+        query SortedConnection($sort: [ListingSortInput!], $first: Int, $after: String) {
+          listingsConnection(sort: $sort, first: $first, after: $after) {
+            edges {
+              node {
+                id
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `;
+      const sort = [{ field: 'PRICE' }, { field: 'CREATED_AT', direction: 'DESC' }];
+
+      const all = await graphqlRequest(query, { sort, first: 100 });
+      const pagedIds = [];
+      let after = null;
+      let hasNextPage = true;
+      while (hasNextPage) {
+        const page = await graphqlRequest(query, { sort, first: 3, after });
+        pagedIds.push(...page.listingsConnection.edges.map(edge => edge.node.id));
+        after = page.listingsConnection.pageInfo.endCursor;
+        hasNextPage = page.listingsConnection.pageInfo.hasNextPage;
+      }
+
+      expect(pagedIds).toEqual(all.listingsConnection.edges.map(edge => edge.node.id));
+    });
+
+    test('should sort search results by relevance or by another field', async () => {
+      const query = `
+        query SortedSearch($sort: [ListingSortInput!]) {
+          searchListings(query: "sort", sort: $sort) {
+            edges {
+              score
+              node {
+                price
+              }
+            }
+          }
+        }
+      `;
+
+      const byRelevance = await graphqlRequest(query, {});
+      const scores = byRelevance.searchListings.edges.map(edge => edge.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+
+      const byPrice = await graphqlRequest(query, { sort: [{ field: 'PRICE' }] });
+      const prices = byPrice.searchListings.edges.map(edge => edge.node.price);
+      expect(prices).toEqual([...prices].sort((a, b) => a - b));
+    });
+
+    test('should sort orders consistently across page and cursor pagination', async () => {
+      const sort = [{ field: 'STATUS' }, { field: 'TOTAL_PRICE', direction: 'DESC' }];
+
+      const connection = await graphqlRequest(`
+        query SortedOrdersConnection($sort: [OrderSortInput!]) {
+          ordersConnection(sort: $sort, first: 100) {
+            edges {
+              node {
+                id
+                status
+                totalPrice
+              }
+            }
+          }
+        }
+      `, { sort }, authToken);
+      const orders = connection.ordersConnection.edges.map(edge => edge.node);
+      expect(orders.length).toBeGreaterThan(1);
+
+      // Statuses follow the order lifecycle rather than the alphabet
+      const lifecycle = ['PENDING', 'CONFIRMED', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
+      const ranks = orders.map(order => lifecycle.indexOf(order.status));
+      expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+
+      const pagedIds = [];
+      for (let page = 1; page <= orders.length; page++) {
+        const result = await graphqlRequest(`
+          query SortedOrders($sort: [OrderSortInput!], $pagination: PaginationInput) {
+            orders(sort: $sort, pagination: $pagination) {
+              orders {
+                id
+              }
+            }
+          }
+        `, { sort, pagination: { page, limit: 1 } }, authToken);
+        pagedIds.push(...result.orders.orders.map(order => order.id));
+      }
+
+      expect(pagedIds).toEqual(orders.map(order => order.id));
+    });
+
+    test('should reject duplicate sort fields', async () => {
+      await expect(graphqlRequest(`
+        query {
+          listings(sort: [{ field: PRICE }, { field: PRICE, direction: DESC }]) {
+            id
+          }
+        }
+      `)).rejects.toThrow('Duplicate sort field PRICE');
+    });
+  });
+
+  describe('Listing Images', () => {
+    // A 40x30 red PNG
+    const PNG_IMAGE = Buffer.from(
+      'iVBORw0KGgoAAAANSUhEUgAAACgAAAAeCAIAAADRv8uKAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAL0lEQVR4nO3NMQ0AIAAEMTSdfwEvCxkwNOnes3riiBNPnDjxxIkTJ048ceLE+yq+LYd+jC1cCjMAAAAASUVORK5CYII=',
+      'base64'
+    );
+    const SERVER_ORIGIN = new URL(GRAPHQL_ENDPOINT).origin;
+
+    const IMAGE_FIELDS = `
+      images {
+        id
+        url
+        thumbnailUrl
+        width
+        height
+        mimeType
+        size
+      }
+    `;
+
+    const ADD_IMAGES_MUTATION = `
+      mutation AddListingImages($listingId: Int!, $images: [Upload!]!) {
+        addListingImages(listingId: $listingId, images: $images) {
+          id
+          ${IMAGE_FIELDS}
+        }
+      }
+    `;
+
+    const pngFile = (variable, name = 'photo.png') => ({ variable, name, type: 'image/png', content: PNG_IMAGE });
+
+    let imageListingId = null;
+    let imageIds = [];
+
+    test('should store uploaded images with dimensions and thumbnails', async () => {
+      const result = await uploadRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+            ${IMAGE_FIELDS}
+          }
+        }
+      `, {
+        input: { title: 'Camera with photos', description: 'Listing with uploaded images', price: 150, images: [null, null] },
+      }, [pngFile('input.images.0', 'front.png'), pngFile('input.images.1', 'back.png')], authToken);
+
+      const { images } = result.createListing;
+      imageListingId = result.createListing.id;
+      imageIds = images.map(image => image.id);
+
+      expect(images).toHaveLength(2);
+      expect(images[0]).toMatchObject({ width: 40, height: 30, mimeType: 'image/png', size: PNG_IMAGE.length });
+      expect(images[0].url).toMatch(/^\/uploads\/.+\.png$/);
+      expect(images[0].thumbnailUrl).toMatch(/^\/uploads\/.+_thumb\.webp$/);
+
+      const original = await fetch(`${SERVER_ORIGIN}${images[0].url}`);
+      expect(original.status).toBe(200);
+      expect(original.headers.get('content-type')).toBe('image/png');
+      expect(Buffer.from(await original.arrayBuffer()).equals(PNG_IMAGE)).toBe(true);
+
+      const thumbnail = await fetch(`${SERVER_ORIGIN}${images[0].thumbnailUrl}`);
+      expect(thumbnail.status).toBe(200);
+      expect(thumbnail.headers.get('content-type')).toBe('image/webp');
+    });
+
+    test('should add, reorder and remove images', async () => {
+      const added = await uploadRequest(ADD_IMAGES_MUTATION, { listingId: imageListingId, images: [null] },
+        [pngFile('images.0', 'side.png')], authToken);
+      const addedIds = added.addListingImages.images.map(image => image.id);
+      expect(addedIds.slice(0, 2)).toEqual(imageIds);
+      expect(addedIds).toHaveLength(3);
+
+      const reordered = await graphqlRequest(`
+        mutation ReorderListingImages($listingId: Int!, $imageIds: [String!]!) {
+          reorderListingImages(listingId: $listingId, imageIds: $imageIds) {
+            images { id }
+          }
+        }
+      `, { listingId: imageListingId, imageIds: [...addedIds].reverse() }, authToken);
+      expect(reordered.reorderListingImages.images.map(image => image.id)).toEqual([...addedIds].reverse());
+
+      await expect(graphqlRequest(`
+        mutation ReorderListingImages($listingId: Int!, $imageIds: [String!]!) {
+          reorderListingImages(listingId: $listingId, imageIds: $imageIds) {
+            id
+          }
+        }
+      `, { listingId: imageListingId, imageIds: addedIds.slice(1) }, authToken))
+        .rejects.toThrow('imageIds must list every image of the listing exactly once');
+
+      const removedImage = added.addListingImages.images[2];
+      const removed = await graphqlRequest(`
+        mutation RemoveListingImage($listingId: Int!, $imageId: String!) {
+          removeListingImage(listingId: $listingId, imageId: $imageId) {
+            images { id }
+          }
+        }
+      `, { listingId: imageListingId, imageId: removedImage.id }, authToken);
+      expect(removed.removeListingImage.images.map(image => image.id)).toEqual([...imageIds].reverse());
+
+      // The files are gone too
+      const file = await fetch(`${SERVER_ORIGIN}${removedImage.url}`);
+      expect(file.status).toBe(404);
+    });
+
+    test('should reject files whose content does not match their type', async () => {
+      await expect(uploadRequest(ADD_IMAGES_MUTATION, { listingId: imageListingId, images: [null] }, [
+        { variable: 'images.0', name: 'fake.png', type: 'image/png', content: Buffer.from('not really an image') },
+      ], authToken)).rejects.toThrow('File content does not match image/png');
+
+      await expect(uploadRequest(ADD_IMAGES_MUTATION, { listingId: imageListingId, images: [null] }, [
+        { variable: 'images.0', name: 'photo.jpg', type: 'image/jpeg', content: PNG_IMAGE },
+      ], authToken)).rejects.toThrow('File content does not match image/jpeg');
+
+      await expect(uploadRequest(ADD_IMAGES_MUTATION, { listingId: imageListingId, images: [null] }, [
+        { variable: 'images.0', name: 'notes.txt', type: 'text/plain', content: Buffer.from('hello') },
+      ], authToken)).rejects.toThrow('Unsupported image type text/plain');
+    });
+
+    test('should reject images over the size limit', async () => {
+      const oversized = Buffer.concat([PNG_IMAGE, Buffer.alloc(5 * 1024 * 1024)]);
+      await expect(uploadRequest(ADD_IMAGES_MUTATION, { listingId: imageListingId, images: [null] }, [
+        { variable: 'images.0', name: 'huge.png', type: 'image/png', content: oversized },
+      ], authToken)).rejects.toThrow('Image exceeds the 5242880 byte size limit');
+    });
+
+    test('should only let the owner manage images', async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+
+      await expect(uploadRequest(ADD_IMAGES_MUTATION, { listingId: imageListingId, images: [null] },
+        [pngFile('images.0')], login.login.token)).rejects.toThrow('Access denied');
+    });
+  });
+
+  describe('Feedback', () => {
+    let sellerToken = null;
+    let outsiderToken = null;
+    let deliveredOrderId = null;
+    let pendingOrderId = null;
+    let buyerFeedbackId = null;
+    let sellerFeedbackId = null;
+
+    const LEAVE_FEEDBACK_MUTATION = `
+      mutation LeaveFeedback($input: LeaveFeedbackInput!) {
+        leaveFeedback(input: $input) {
+          id
+          role
+          rating
+          comment
+          detailedRatings {
+            criterion
+            score
+          }
+          author {
+            username
+          }
+          recipient {
+            username
+          }
+          editableUntil
+        }
+      }
+    `;
+
+    const login = async (email, password) => {
+      const result = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email, password } });
+      return result.login.token;
+    };
+
+    const createOrder = async (listingId) => {
+      const result = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          listingId,
+          quantity: 1,
+          shippingAddress: { street: '1 Feedback Way', city: 'Test City', country: 'USA' },
+          paymentMethod: 'tok_visa',
+        },
+      }, authToken);
+      return result.createOrder.id;
+    };
+
+    const setStatus = (id, status, token) => graphqlRequest(`
+      mutation UpdateOrderStatus($id: Int!, $status: OrderStatus!) {
+        updateOrderStatus(id: $id, status: $status) {
+          id
+        }
+      }
+    `, { id, status }, token);
+
+    beforeAll(async () => {
+      sellerToken = await login('jane@example.com', 'password');
+
+      await graphqlRequest(`
+        mutation CreateUser($input: UserCreateInput!) {
+          createUser(input: $input) {
+            id
+          }
+        }
+      `, { input: { username: 'feedback_outsider', email: 'outsider@example.com', password: 'password' } });
+      outsiderToken = await login('outsider@example.com', 'password');
+
+      const listing = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title: 'Feedback test stock', description: 'Stock for feedback tests', price: 12, quantity: 5 } }, sellerToken);
+      const listingId = listing.createListing.id;
+
+      // John buys twice from Jane; only the first order is delivered
+      deliveredOrderId = await createOrder(listingId);
+      pendingOrderId = await createOrder(listingId);
+
+      await setStatus(deliveredOrderId, 'CONFIRMED', sellerToken);
+      await setStatus(deliveredOrderId, 'SHIPPED', sellerToken);
+      await setStatus(deliveredOrderId, 'DELIVERED', authToken);
+    });
+
+    test('should reject feedback before the order is delivered', async () => {
+      await expect(
+        graphqlRequest(LEAVE_FEEDBACK_MUTATION, {
+          input: { orderId: pendingOrderId, rating: 'POSITIVE', comment: 'Too early' },
+        }, authToken)
+      ).rejects.toThrow('Feedback can only be left on delivered orders');
+    });
+
+    test('should reject feedback from users outside the order', async () => {
+      await expect(
+        graphqlRequest(LEAVE_FEEDBACK_MUTATION, {
+          input: { orderId: deliveredOrderId, rating: 'NEGATIVE', comment: 'Never bought this' },
+        }, outsiderToken)
+      ).rejects.toThrow('Access denied');
+    });
+
+    test('should validate detailed ratings', async () => {
+      await expect(
+        graphqlRequest(LEAVE_FEEDBACK_MUTATION, {
+          input: {
+            orderId: deliveredOrderId,
+            rating: 'POSITIVE',
+            comment: 'Great',
+            detailedRatings: [{ criterion: 'COMMUNICATION', score: 6 }],
+          },
+        }, authToken)
+      ).rejects.toThrow('Detailed rating scores must be whole numbers from 1 to 5');
+
+      await expect(
+        graphqlRequest(LEAVE_FEEDBACK_MUTATION, {
+          input: {
+            orderId: deliveredOrderId,
+            rating: 'POSITIVE',
+            comment: 'Great',
+            detailedRatings: [
+              { criterion: 'COMMUNICATION', score: 5 },
+              { criterion: 'COMMUNICATION', score: 4 },
+            ],
+          },
+        }, authToken)
+      ).rejects.toThrow('Duplicate rating for COMMUNICATION');
+    });
+
+    test('should let the buyer and the seller each leave feedback once', async () => {
+      const fromBuyer = await graphqlRequest(LEAVE_FEEDBACK_MUTATION, {
+        input: {
+          orderId: deliveredOrderId,
+          rating: 'NEGATIVE',
+          comment: 'Arrived late',
+          detailedRatings: [
+            { criterion: 'ITEM_AS_DESCRIBED', score: 4 },
+            { criterion: 'SHIPPING_SPEED', score: 1 },
+          ],
+        },
+      }, authToken);
+      buyerFeedbackId = fromBuyer.leaveFeedback.id;
+      expect(fromBuyer.leaveFeedback.role).toBe('BUYER');
+      expect(fromBuyer.leaveFeedback.author.username).toBe('john_doe');
+      expect(fromBuyer.leaveFeedback.recipient.username).toBe('jane_smith');
+      expect(fromBuyer.leaveFeedback.detailedRatings).toHaveLength(2);
+      expect(new Date(fromBuyer.leaveFeedback.editableUntil).getTime()).toBeGreaterThan(Date.now());
+
+      const fromSeller = await graphqlRequest(LEAVE_FEEDBACK_MUTATION, {
+        input: { orderId: deliveredOrderId, rating: 'POSITIVE', comment: 'Prompt payment', detailedRatings: null },
+      }, sellerToken);
+      sellerFeedbackId = fromSeller.leaveFeedback.id;
+      expect(fromSeller.leaveFeedback.role).toBe('SELLER');
+      expect(fromSeller.leaveFeedback.detailedRatings).toEqual([]);
+      expect(fromSeller.leaveFeedback.recipient.username).toBe('john_doe');
+
+      await expect(
+        graphqlRequest(LEAVE_FEEDBACK_MUTATION, {
+          input: { orderId: deliveredOrderId, rating: 'POSITIVE', comment: 'Again' },
+        }, authToken)
+      ).rejects.toThrow('Feedback already left for this order');
+    });
+
+    test('should let only the author edit feedback', async () => {
+      const mutation = `
+        mutation UpdateFeedback($id: Int!, $input: FeedbackUpdateInput!) {
+          updateFeedback(id: $id, input: $input) {
+            rating
+            comment
+            detailedRatings {
+              criterion
+            }
+          }
+        }
+      `;
+
+      await expect(
+        graphqlRequest(mutation, { id: buyerFeedbackId, input: { rating: 'POSITIVE' } }, sellerToken)
+      ).rejects.toThrow('Access denied');
+
+      const result = await graphqlRequest(mutation, {
+        id: buyerFeedbackId,
+        input: { rating: 'NEUTRAL', comment: 'Arrived late, seller apologised' },
+      }, authToken);
+      expect(result.updateFeedback.rating).toBe('NEUTRAL');
+      expect(result.updateFeedback.comment).toBe('Arrived late, seller apologised');
+      expect(result.updateFeedback.detailedRatings).toHaveLength(2);
+    });
+
+    test('should let the seller reply once to buyer feedback', async () => {
+      const mutation = `
+        mutation ReplyToFeedback($id: Int!, $reply: String!) {
+          replyToFeedback(id: $id, reply: $reply) {
+            reply
+            repliedAt
+          }
+        }
+      `;
+
+      await expect(
+        graphqlRequest(mutation, { id: sellerFeedbackId, reply: 'Thanks' }, authToken)
+      ).rejects.toThrow('Only sellers can reply to feedback');
+
+      const result = await graphqlRequest(mutation, { id: buyerFeedbackId, reply: 'Sorry for the delay' }, sellerToken);
+      expect(result.replyToFeedback.reply).toBe('Sorry for the delay');
+      expect(result.replyToFeedback.repliedAt).toBeTruthy();
+
+      await expect(
+        graphqlRequest(mutation, { id: buyerFeedbackId, reply: 'Again' }, sellerToken)
+      ).rejects.toThrow('Feedback already has a reply');
+    });
+
+    test('should compute reputation from received feedback', async () => {
+      const query = `
+        query GetUser($id: Int!) {
+          user(id: $id) {
+            feedbackScore
+            positivePercentage
+            feedbackReceived(first: 1) {
+              totalCount
+              edges {
+                node {
+                  rating
+                  reply
+                }
+              }
+              pageInfo {
+                hasNextPage
+              }
+            }
+          }
+        }
+      `;
+
+      const buyer = await graphqlRequest(query, { id: 1 });
+      expect(buyer.user.feedbackScore).toBe(1);
+      expect(buyer.user.positivePercentage).toBe(100);
+      expect(buyer.user.feedbackReceived.totalCount).toBe(1);
+
+      // Neutral feedback counts towards neither the score nor the percentage
+      const seller = await graphqlRequest(query, { id: 2 });
+      expect(seller.user.feedbackScore).toBe(0);
+      expect(seller.user.positivePercentage).toBeNull();
+      expect(seller.user.feedbackReceived.edges[0].node.rating).toBe('NEUTRAL');
+      expect(seller.user.feedbackReceived.edges[0].node.reply).toBe('Sorry for the delay');
+    });
+
+    test('should list feedback on the order', async () => {
+      const result = await graphqlRequest(`
+        query GetOrder($id: Int!) {
+          order(id: $id) {
+            feedback {
+              role
+            }
+          }
+        }
+      `, { id: deliveredOrderId }, authToken);
+      expect(result.order.feedback.map(f => f.role).sort()).toEqual(['BUYER', 'SELLER']);
+    });
+  });
+
+  describe('Watchlist', () => {
+    let sellerToken = null;
+    let listingId = null;
+    let watchEntryId = null;
+
+    const WATCH_MUTATION = `
+      mutation WatchListing($listingId: Int!) {
+        watchListing(listingId: $listingId) {
+          id
+          listingId
+          watchedAt
+        }
+      }
+    `;
+
+    const WATCHLIST_QUERY = `
+      query MyWatchlist($first: Int) {
+        myWatchlist(first: $first) {
+          totalCount
+          edges {
+            node {
+              listingId
+              listing {
+                title
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const createListing = async (title) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title, description: 'Watchlist test listing', price: 40 } }, sellerToken);
+      return result.createListing.id;
+    };
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      sellerToken = login.login.token;
+
+      listingId = await createListing('Watched record player');
+    });
+
+    test('should add a listing to the watchlist once', async () => {
+      const first = await graphqlRequest(WATCH_MUTATION, { listingId }, authToken);
+      watchEntryId = first.watchListing.id;
+      expect(first.watchListing.listingId).toBe(listingId);
+
+      const again = await graphqlRequest(WATCH_MUTATION, { listingId }, authToken);
+      expect(again.watchListing.id).toBe(watchEntryId);
+    });
+
+    test('should not let sellers watch their own listings', async () => {
+      await expect(
+        graphqlRequest(WATCH_MUTATION, { listingId }, sellerToken)
+      ).rejects.toThrow('Cannot watch your own listing');
+    });
+
+    test('should report watch count and viewer watch state', async () => {
+      const query = `
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            watchCount
+            isWatchedByMe
+          }
+        }
+      `;
+
+      const asWatcher = await graphqlRequest(query, { id: listingId }, authToken);
+      expect(asWatcher.listing.watchCount).toBe(1);
+      expect(asWatcher.listing.isWatchedByMe).toBe(true);
+
+      const anonymous = await graphqlRequest(query, { id: listingId });
+      expect(anonymous.listing.watchCount).toBe(1);
+      expect(anonymous.listing.isWatchedByMe).toBe(false);
+    });
+
+    test('should list watched listings', async () => {
+      const result = await graphqlRequest(WATCHLIST_QUERY, { first: 10 }, authToken);
+      const entry = result.myWatchlist.edges.find(edge => edge.node.listingId === listingId);
+      expect(entry.node.listing.title).toBe('Watched record player');
+
+      await expect(graphqlRequest(WATCHLIST_QUERY, {})).rejects.toThrow('Authentication required');
+    });
+
+    test('should notify only watchers of price changes', async () => {
+      const query = `
+        subscription OnWatchedListingPriceChanged {
+          watchedListingPriceChanged {
+            listing {
+              id
+            }
+            previousPrice
+            price
+          }
+        }
+      `;
+
+      const watcher = await openSubscription(query, {}, authToken);
+      const seller = await openSubscription(query, {}, sellerToken);
+
+      const updateMutation = `
+        mutation UpdateListing($id: Int!, $input: ListingUpdateInput!) {
+          updateListing(id: $id, input: $input) {
+            id
+          }
+        }
+      `;
+      await graphqlRequest(updateMutation, { id: listingId, input: { description: 'Still spinning' } }, sellerToken);
+      await graphqlRequest(updateMutation, { id: listingId, input: { price: 35 } }, sellerToken);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await watcher.close();
+      await seller.close();
+
+      expect(watcher.events).toHaveLength(1);
+      expect(watcher.events[0].data.watchedListingPriceChanged).toEqual({
+        listing: { id: listingId },
+        previousPrice: 40,
+        price: 35,
+      });
+      expect(seller.events).toHaveLength(0);
+    });
+
+    test('should notify watchers when a bid raises the price', async () => {
+      const auction = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          title: 'Watched auction turntable',
+          description: 'Watchlist test auction',
+          listingType: 'AUCTION',
+          startingBid: 50,
+          endTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        },
+      }, sellerToken);
+      const auctionId = auction.createListing.id;
+      await graphqlRequest(WATCH_MUTATION, { listingId: auctionId }, authToken);
+
+      const rivalEmail = `watch_rival_${Date.now()}@example.com`;
+      await graphqlRequest(`
+        mutation CreateUser($input: UserCreateInput!) {
+          createUser(input: $input) {
+            id
+          }
+        }
+      `, { input: { username: 'watch_rival', email: rivalEmail, password: 'password123' } });
+      const rival = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: rivalEmail, password: 'password123' } });
+
+      const watcher = await openSubscription(`
+        subscription OnWatchedListingPriceChanged {
+          watchedListingPriceChanged {
+            listing {
+              id
+            }
+            previousPrice
+            price
+          }
+        }
+      `, {}, authToken);
+
+      const bidMutation = `
+        mutation PlaceBid($listingId: Int!, $amount: Float!) {
+          placeBid(listingId: $listingId, amount: $amount) {
+            id
+          }
+        }
+      `;
+      await graphqlRequest(bidMutation, { listingId: auctionId, amount: 80 }, authToken);
+      await graphqlRequest(bidMutation, { listingId: auctionId, amount: 60 }, rival.login.token);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await watcher.close();
+
+      // The first bid opens at the starting bid, so only the rival's bid moves the price
+      expect(watcher.events).toHaveLength(1);
+      const event = watcher.events[0].data.watchedListingPriceChanged;
+      expect(event.listing).toEqual({ id: auctionId });
+      expect(event.previousPrice).toBe(50);
+      expect(event.price).toBeGreaterThan(60);
+    });
+
+    test('should remove a listing from the watchlist', async () => {
+      const mutation = `
+        mutation UnwatchListing($listingId: Int!) {
+          unwatchListing(listingId: $listingId) {
+            message
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(mutation, { listingId }, authToken);
+      expect(result.unwatchListing.message).toBe('Listing removed from watchlist');
+
+      await expect(
+        graphqlRequest(mutation, { listingId }, authToken)
+      ).rejects.toThrow('Listing is not on your watchlist');
+    });
+
+    test('should drop watchlist entries when the listing is deleted', async () => {
+      const doomedId = await createListing('Watched then deleted');
+      await graphqlRequest(WATCH_MUTATION, { listingId: doomedId }, authToken);
+
+      await graphqlRequest(`
+        mutation DeleteListing($id: Int!) {
+          deleteListing(id: $id) {
+            message
+          }
+        }
+      `, { id: doomedId }, sellerToken);
+
+      const result = await graphqlRequest(WATCHLIST_QUERY, { first: 100 }, authToken);
+      expect(result.myWatchlist.edges.map(edge => edge.node.listingId)).not.toContain(doomedId);
+    });
+  });
+
+  describe('Saved Searches', () => {
+    let sellerToken = null;
+    let turntableSearchId = null;
+    let cameraSearchId = null;
+
+    const SAVE_SEARCH_MUTATION = `
+      mutation SaveSearch($name: String!, $filter: ListingFilterInput!) {
+        saveSearch(name: $name, filter: $filter) {
+          id
+          name
+          filter {
+            search
+            priceMax
+            category
+            location
+            includeSoldOut
+          }
+        }
+      }
+    `;
+
+    const ALERTS_QUERY = `
+      query SavedSearchAlerts($savedSearchId: Int) {
+        savedSearchAlerts(savedSearchId: $savedSearchId, first: 50) {
+          totalCount
+          edges {
+            node {
+              savedSearchId
+              listing {
+                title
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const createListing = async (input, token = sellerToken) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { description: 'Saved search test listing', ...input } }, token);
+      return result.createListing.id;
+    };
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      sellerToken = login.login.token;
+    });
+
+    test('should save a listing filter under a name', async () => {
+      const turntable = await graphqlRequest(SAVE_SEARCH_MUTATION, {
+        name: 'Cheap turntables',
+        filter: { search: 'turntable', priceMax: 200 },
+      }, authToken);
+      turntableSearchId = turntable.saveSearch.id;
+      expect(turntable.saveSearch.filter).toEqual({
+        search: 'turntable',
+        priceMax: 200,
+        category: null,
+        location: null,
+        includeSoldOut: false,
+      });
+
+      const camera = await graphqlRequest(SAVE_SEARCH_MUTATION, {
+        name: 'Cameras in Oslo',
+        filter: { category: 'Cameras', location: 'oslo' },
+      }, authToken);
+      cameraSearchId = camera.saveSearch.id;
+
+      await expect(
+        graphqlRequest(SAVE_SEARCH_MUTATION, { name: 'Cheap turntables', filter: {} }, authToken)
+      ).rejects.toThrow('A saved search with this name already exists');
+    });
+
+    test('should list the current user saved searches', async () => {
+      const query = `
+        query MySavedSearches {
+          mySavedSearches {
+            id
+            name
+          }
+        }
+      `;
+
+      const mine = await graphqlRequest(query, {}, authToken);
+      expect(mine.mySavedSearches.map(s => s.name)).toEqual(['Cheap turntables', 'Cameras in Oslo']);
+
+      const theirs = await graphqlRequest(query, {}, sellerToken);
+      expect(theirs.mySavedSearches).toHaveLength(0);
+    });
+
+    test('should alert on new listings matching a saved filter', async () => {
+      const subscription = await openSubscription(`
+        subscription OnSavedSearchAlert {
+          savedSearchAlert {
+            savedSearchId
+            listing {
+              title
+            }
+          }
+        }
+      `, {}, authToken);
+
+      await createListing({ title: 'Vintage turntable', price: 150 });
+      await createListing({ title: 'Premium turntable', price: 500 });
+      await createListing({ title: 'Film camera', price: 80, category: 'Cameras', location: 'Oslo' });
+      // Listings by the owner of the saved search do not alert
+      await createListing({ title: 'My own turntable', price: 50 }, authToken);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await subscription.close();
+
+      expect(subscription.events.map(event => event.data.savedSearchAlert.listing.title))
+        .toEqual(['Vintage turntable', 'Film camera']);
+
+      const all = await graphqlRequest(ALERTS_QUERY, {}, authToken);
+      expect(all.savedSearchAlerts.totalCount).toBe(2);
+      // Newest first
+      expect(all.savedSearchAlerts.edges[0].node.listing.title).toBe('Film camera');
+
+      const turntables = await graphqlRequest(ALERTS_QUERY, { savedSearchId: turntableSearchId }, authToken);
+      expect(turntables.savedSearchAlerts.edges.map(edge => edge.node.listing.title)).toEqual(['Vintage turntable']);
+    });
+
+    test('should only let the owner read or delete a saved search', async () => {
+      await expect(
+        graphqlRequest(ALERTS_QUERY, { savedSearchId: cameraSearchId }, sellerToken)
+      ).rejects.toThrow('Access denied');
+
+      const mutation = `
+        mutation DeleteSavedSearch($id: Int!) {
+          deleteSavedSearch(id: $id) {
+            message
+          }
+        }
+      `;
+
+      await expect(
+        graphqlRequest(mutation, { id: cameraSearchId }, sellerToken)
+      ).rejects.toThrow('Access denied');
+
+      const result = await graphqlRequest(mutation, { id: cameraSearchId }, authToken);
+      expect(result.deleteSavedSearch.message).toBe('Saved search deleted successfully');
+
+      // Its alerts go with it
+      const all = await graphqlRequest(ALERTS_QUERY, {}, authToken);
+      expect(all.savedSearchAlerts.edges.map(edge => edge.node.listing.title)).toEqual(['Vintage turntable']);
+    });
+  });
+
+  describe('Messaging', () => {
+    let sellerToken = null;
+    let outsiderToken = null;
+    let listingId = null;
+    let listingThreadId = null;
+
+    const SEND_MESSAGE_MUTATION = `
+      mutation SendMessage($input: SendMessageInput!) {
+        sendMessage(input: $input) {
+          id
+          threadId
+          body
+          contactInfoMasked
+          isRead
+          sender {
+            username
+          }
+          recipient {
+            username
+          }
+        }
+      }
+    `;
+
+    const MY_THREADS_QUERY = `
+      query MyThreads($first: Int) {
+        myThreads(first: $first) {
+          totalCount
+          totalUnreadCount
+          edges {
+            node {
+              id
+              listingId
+              orderId
+              unreadCount
+              lastMessage {
+                body
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const login = async (email, password) => {
+      const result = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email, password } });
+      return result.login.token;
+    };
+
+    beforeAll(async () => {
+      sellerToken = await login('jane@example.com', 'password');
+
+      const outsiderEmail = `messaging_${Date.now()}@example.com`;
+      await graphqlRequest(`
+        mutation CreateUser($input: UserCreateInput!) {
+          createUser(input: $input) {
+            id
+          }
+        }
+      `, { input: { username: 'messaging_outsider', email: outsiderEmail, password: 'password' } });
+      outsiderToken = await login(outsiderEmail, 'password');
+
+      const listing = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title: 'Messaging test bike', description: 'Road bike', price: 300, quantity: 3 } }, sellerToken);
+      listingId = listing.createListing.id;
+    });
+
+    test('should start a thread with the seller of a listing', async () => {
+      const result = await graphqlRequest(SEND_MESSAGE_MUTATION, {
+        input: { listingId, body: 'Is the frame size 56?' },
+      }, authToken);
+      listingThreadId = result.sendMessage.threadId;
+      expect(result.sendMessage.sender.username).toBe('john_doe');
+      expect(result.sendMessage.recipient.username).toBe('jane_smith');
+      expect(result.sendMessage.isRead).toBe(false);
+
+      // Asking again goes to the same thread
+      const again = await graphqlRequest(SEND_MESSAGE_MUTATION, {
+        input: { listingId, body: 'Also, any scratches?' },
+      }, authToken);
+      expect(again.sendMessage.threadId).toBe(listingThreadId);
+
+      await expect(
+        graphqlRequest(SEND_MESSAGE_MUTATION, { input: { listingId, body: 'Hello me' } }, sellerToken)
+      ).rejects.toThrow('Cannot message yourself about your own listing');
+
+      await expect(
+        graphqlRequest(SEND_MESSAGE_MUTATION, { input: { listingId, threadId: listingThreadId, body: 'Both' } }, authToken)
+      ).rejects.toThrow('Provide exactly one of threadId, listingId or orderId');
+    });
+
+    test('should mask email addresses and phone numbers', async () => {
+      const result = await graphqlRequest(SEND_MESSAGE_MUTATION, {
+        input: { threadId: listingThreadId, body: 'Mail jane.smith@example.com or call +1 (555) 123-4567 about the $300 price' },
+      }, sellerToken);
+      expect(result.sendMessage.body).toBe('Mail [email removed] or call [phone removed] about the $300 price');
+      expect(result.sendMessage.contactInfoMasked).toBe(true);
+      expect(result.sendMessage.recipient.username).toBe('john_doe');
+    });
+
+    test('should keep threads private to the two participants', async () => {
+      const query = `
+        query GetThread($id: Int!) {
+          thread(id: $id) {
+            id
+          }
+        }
+      `;
+
+      await expect(
+        graphqlRequest(query, { id: listingThreadId }, outsiderToken)
+      ).rejects.toThrow('Access denied');
+
+      await expect(
+        graphqlRequest(SEND_MESSAGE_MUTATION, { input: { threadId: listingThreadId, body: 'Hi' } }, outsiderToken)
+      ).rejects.toThrow('Access denied');
+
+      const asSeller = await graphqlRequest(query, { id: listingThreadId }, sellerToken);
+      expect(asSeller.thread.id).toBe(listingThreadId);
+    });
+
+    test('should open a separate thread for an order', async () => {
+      const order = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          listingId,
+          quantity: 1,
+          shippingAddress: { street: '1 Message Ln', city: 'Test City', country: 'USA' },
+        },
+      }, authToken);
+      const orderId = order.createOrder.id;
+
+      await expect(
+        graphqlRequest(SEND_MESSAGE_MUTATION, { input: { orderId, body: 'Hi' } }, outsiderToken)
+      ).rejects.toThrow('Access denied');
+
+      const result = await graphqlRequest(SEND_MESSAGE_MUTATION, {
+        input: { orderId, body: 'Shipping tomorrow' },
+      }, sellerToken);
+      expect(result.sendMessage.threadId).not.toBe(listingThreadId);
+
+      // The order thread has the latest message, so it comes first
+      const inbox = await graphqlRequest(MY_THREADS_QUERY, { first: 10 }, authToken);
+      const [latest, earlier] = inbox.myThreads.edges.map(edge => edge.node);
+      expect(latest.orderId).toBe(orderId);
+      expect(latest.unreadCount).toBe(1);
+      expect(earlier.id).toBe(listingThreadId);
+      expect(earlier.unreadCount).toBe(1);
+      expect(inbox.myThreads.totalUnreadCount).toBe(2);
+    });
+
+    test('should mark a thread read for the current user', async () => {
+      const result = await graphqlRequest(`
+        mutation MarkThreadRead($threadId: Int!) {
+          markThreadRead(threadId: $threadId) {
+            unreadCount
+            messages(first: 10) {
+              edges {
+                node {
+                  body
+                  isRead
+                }
+              }
+            }
+          }
+        }
+      `, { threadId: listingThreadId }, authToken);
+      expect(result.markThreadRead.unreadCount).toBe(0);
+      expect(result.markThreadRead.messages.edges.map(edge => edge.node.body)).toEqual([
+        'Is the frame size 56?',
+        'Also, any scratches?',
+        'Mail [email removed] or call [phone removed] about the $300 price',
+      ]);
+
+      // John's own messages stay unread until Jane reads them
+      const inbox = await graphqlRequest(MY_THREADS_QUERY, { first: 10 }, authToken);
+      expect(inbox.myThreads.totalUnreadCount).toBe(1);
+      const sellerInbox = await graphqlRequest(MY_THREADS_QUERY, { first: 10 }, sellerToken);
+      const thread = sellerInbox.myThreads.edges.find(edge => edge.node.id === listingThreadId);
+      expect(thread.node.unreadCount).toBe(2);
+    });
+
+    test('should push new messages to the recipient only', async () => {
+      const query = `
+        subscription OnMessageReceived($threadId: Int) {
+          messageReceived(threadId: $threadId) {
+            body
+          }
+        }
+      `;
+
+      const recipient = await openSubscription(query, { threadId: listingThreadId }, sellerToken);
+      const sender = await openSubscription(query, {}, authToken);
+
+      await graphqlRequest(SEND_MESSAGE_MUTATION, {
+        input: { threadId: listingThreadId, body: 'I will take it' },
+      }, authToken);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await recipient.close();
+      await sender.close();
+
+      expect(recipient.events.map(event => event.data.messageReceived.body)).toEqual(['I will take it']);
+      expect(sender.events).toHaveLength(0);
+    });
+  });
+
+  describe('Cart', () => {
+    let janeToken = null;
+    let otherSellerToken = null;
+    let lampId = null;
+    let mugId = null;
+    let chairId = null;
+
+    const CART_FIELDS = `
+      items {
+        listingId
+        quantity
+        unitPrice
+        priceWhenAdded
+        priceChanged
+        subtotal
+        issue
+      }
+      sellers {
+        seller {
+          username
+        }
+        items {
+          listingId
+        }
+        subtotal
+      }
+      totalQuantity
+      total
+      hasIssues
+    `;
+
+    const ADD_TO_CART_MUTATION = `
+      mutation AddToCart($listingId: Int!, $quantity: Int) {
+        addToCart(listingId: $listingId, quantity: $quantity) {
+          ${CART_FIELDS}
+        }
+      }
+    `;
+
+    const CHECKOUT_MUTATION = `
+      mutation Checkout($shippingAddress: AddressInput!) {
+        checkout(shippingAddress: $shippingAddress) {
+          orders {
+            sellerId
+            items {
+              listingId
+              quantity
+              unitPrice
+            }
+            totalPrice
+          }
+          total
+        }
+      }
+    `;
+
+    const shippingAddress = { street: '1 Cart Ct', city: 'Test City', country: 'USA' };
+
+    const login = async (email, password) => {
+      const result = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email, password } });
+      return result.login.token;
+    };
+
+    const createListing = async (title, price, quantity, token) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title, description: 'Cart test listing', price, quantity } }, token);
+      return result.createListing.id;
+    };
+
+    const updateListing = (id, input, token) => graphqlRequest(`
+      mutation UpdateListing($id: Int!, $input: ListingUpdateInput!) {
+        updateListing(id: $id, input: $input) {
+          id
+        }
+      }
+    `, { id, input }, token);
+
+    const getStock = async (id) => {
+      const result = await graphqlRequest(`
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            quantityAvailable
+          }
+        }
+      `, { id });
+      return result.listing.quantityAvailable;
+    };
+
+    beforeAll(async () => {
+      janeToken = await login('jane@example.com', 'password');
+
+      const otherSellerEmail = `cart_seller_${Date.now()}@example.com`;
+      await graphqlRequest(`
+        mutation CreateUser($input: UserCreateInput!) {
+          createUser(input: $input) {
+            id
+          }
+        }
+      `, { input: { username: 'cart_seller', email: otherSellerEmail, password: 'password' } });
+      otherSellerToken = await login(otherSellerEmail, 'password');
+
+      lampId = await createListing('Cart lamp', 20, 5, janeToken);
+      mugId = await createListing('Cart mug', 15, 2, janeToken);
+      chairId = await createListing('Cart chair', 50, 1, otherSellerToken);
+    });
+
+    test('should add listings to the cart', async () => {
+      await graphqlRequest(ADD_TO_CART_MUTATION, { listingId: lampId, quantity: 2 }, authToken);
+      const again = await graphqlRequest(ADD_TO_CART_MUTATION, { listingId: lampId }, authToken);
+      expect(again.addToCart.items).toHaveLength(1);
+      expect(again.addToCart.items[0].quantity).toBe(3);
+
+      await graphqlRequest(ADD_TO_CART_MUTATION, { listingId: mugId }, authToken);
+      const result = await graphqlRequest(ADD_TO_CART_MUTATION, { listingId: chairId }, authToken);
+      expect(result.addToCart.totalQuantity).toBe(5);
+    });
+
+    test('should reject listings that cannot be bought', async () => {
+      await expect(
+        graphqlRequest(ADD_TO_CART_MUTATION, { listingId: lampId }, janeToken)
+      ).rejects.toThrow('Cannot buy your own listing');
+
+      await expect(
+        graphqlRequest(ADD_TO_CART_MUTATION, { listingId: lampId, quantity: 3 }, authToken)
+      ).rejects.toThrow('Insufficient stock');
+    });
+
+    test('should group the cart by seller with subtotals and a total', async () => {
+      const result = await graphqlRequest(`
+        query MyCart {
+          myCart {
+            ${CART_FIELDS}
+          }
+        }
+      `, {}, authToken);
+
+      const [jane, other] = result.myCart.sellers;
+      expect(jane.seller.username).toBe('jane_smith');
+      expect(jane.items.map(item => item.listingId)).toEqual([lampId, mugId]);
+      expect(jane.subtotal).toBe(75);
+      expect(other.seller.username).toBe('cart_seller');
+      expect(other.subtotal).toBe(50);
+      expect(result.myCart.total).toBe(125);
+      expect(result.myCart.hasIssues).toBe(false);
+    });
+
+    test('should revalidate prices and quantities against the listing', async () => {
+      await updateListing(lampId, { price: 25 }, janeToken);
+
+      const result = await graphqlRequest(`
+        mutation UpdateCartItem($listingId: Int!, $quantity: Int!) {
+          updateCartItem(listingId: $listingId, quantity: $quantity) {
+            ${CART_FIELDS}
+          }
+        }
+      `, { listingId: mugId, quantity: 2 }, authToken);
+
+      const lamp = result.updateCartItem.items.find(item => item.listingId === lampId);
+      expect(lamp.unitPrice).toBe(25);
+      expect(lamp.priceWhenAdded).toBe(20);
+      expect(lamp.priceChanged).toBe(true);
+      expect(lamp.subtotal).toBe(75);
+      expect(result.updateCartItem.total).toBe(155);
+    });
+
+    test('should create no orders when any item fails validation', async () => {
+      await updateListing(chairId, { quantityAvailable: 0 }, otherSellerToken);
+
+      const cart = await graphqlRequest(`
+        query MyCart {
+          myCart {
+            ${CART_FIELDS}
+          }
+        }
+      `, {}, authToken);
+      expect(cart.myCart.hasIssues).toBe(true);
+      expect(cart.myCart.items.find(item => item.listingId === chairId).issue).toBe('SOLD_OUT');
+
+      await expect(
+        graphqlRequest(CHECKOUT_MUTATION, { shippingAddress }, authToken)
+      ).rejects.toThrow('Some cart items cannot be purchased');
+
+      expect(await getStock(lampId)).toBe(5);
+      expect(await getStock(mugId)).toBe(2);
+    });
+
+    test('should check out the whole cart into orders per seller', async () => {
+      await updateListing(chairId, { quantityAvailable: 1 }, otherSellerToken);
+
+      const result = await graphqlRequest(CHECKOUT_MUTATION, { shippingAddress }, authToken);
+      expect(result.checkout.total).toBe(155);
+      const [janeOrder, otherOrder] = result.checkout.orders;
+      expect(result.checkout.orders).toHaveLength(2);
+      expect(janeOrder.items).toEqual([
+        { listingId: lampId, quantity: 3, unitPrice: 25 },
+        { listingId: mugId, quantity: 2, unitPrice: 15 },
+      ]);
+      expect(janeOrder.totalPrice).toBe(105);
+      expect(otherOrder.items).toEqual([{ listingId: chairId, quantity: 1, unitPrice: 50 }]);
+      expect(otherOrder.totalPrice).toBe(50);
+
+      expect(await getStock(lampId)).toBe(2);
+      expect(await getStock(chairId)).toBe(0);
+
+      const cart = await graphqlRequest(`
+        query MyCart {
+          myCart {
+            totalQuantity
+          }
+        }
+      `, {}, authToken);
+      expect(cart.myCart.totalQuantity).toBe(0);
+
+      await expect(
+        graphqlRequest(CHECKOUT_MUTATION, { shippingAddress }, authToken)
+      ).rejects.toThrow('Cart is empty');
+    });
+
+    test('should remove items from the cart', async () => {
+      await graphqlRequest(ADD_TO_CART_MUTATION, { listingId: lampId }, authToken);
+
+      const mutation = `
+        mutation RemoveFromCart($listingId: Int!) {
+          removeFromCart(listingId: $listingId) {
+            totalQuantity
+          }
+        }
+      `;
+      const result = await graphqlRequest(mutation, { listingId: lampId }, authToken);
+      expect(result.removeFromCart.totalQuantity).toBe(0);
+
+      await expect(
+        graphqlRequest(mutation, { listingId: lampId }, authToken)
+      ).rejects.toThrow('Listing is not in your cart');
+    });
+  });
+
+  describe('Order Items', () => {
+    let sellerToken = null;
+    let boardId = null;
+    let piecesId = null;
+    let orderId = null;
+
+    const ORDER_FIELDS = `
+      id
+      listingId
+      quantity
+      totalPrice
+      items {
+        listingId
+        quantity
+        unitPrice
+        subtotal
+        listing {
+          title
+        }
+      }
+    `;
+
+    const shippingAddress = { street: '1 Item Ave', city: 'Test City', country: 'USA' };
+
+    const createListing = async (title, price, token = sellerToken) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title, description: 'Order item test listing', price, quantity: 10 } }, token);
+      return result.createListing.id;
+    };
+
+    const createOrder = (input) => graphqlRequest(`
+      mutation CreateOrder($input: OrderCreateInput!) {
+        createOrder(input: $input) {
+          ${ORDER_FIELDS}
+        }
+      }
+    `, { input: { shippingAddress, ...input } }, authToken);
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      sellerToken = login.login.token;
+
+      boardId = await createListing('Chess board', 40);
+      piecesId = await createListing('Chess pieces', 12.5);
+    });
+
+    test('should create an order with several items from one seller', async () => {
+      const result = await createOrder({
+        items: [
+          { listingId: boardId, quantity: 1 },
+          { listingId: piecesId, quantity: 2 },
+        ],
+      });
+      orderId = result.createOrder.id;
+
+      expect(result.createOrder.items).toEqual([
+        { listingId: boardId, quantity: 1, unitPrice: 40, subtotal: 40, listing: { title: 'Chess board' } },
+        { listingId: piecesId, quantity: 2, unitPrice: 12.5, subtotal: 25, listing: { title: 'Chess pieces' } },
+      ]);
+      expect(result.createOrder.totalPrice).toBe(65);
+
+      // Deprecated single-listing fields describe the first item
+      expect(result.createOrder.listingId).toBe(boardId);
+      expect(result.createOrder.quantity).toBe(1);
+    });
+
+    test('should still accept a single listingId and quantity', async () => {
+      const result = await createOrder({ listingId: piecesId, quantity: 3 });
+      expect(result.createOrder.items).toHaveLength(1);
+      expect(result.createOrder.totalPrice).toBe(37.5);
+    });
+
+    test('should reject invalid item lists', async () => {
+      const ownListingId = await createListing('Chess clock', 30, authToken);
+
+      await expect(createOrder({
+        items: [
+          { listingId: boardId, quantity: 1 },
+          { listingId: ownListingId, quantity: 1 },
+        ],
+      })).rejects.toThrow('All items in an order must come from the same seller');
+
+      await expect(createOrder({
+        items: [
+          { listingId: boardId, quantity: 1 },
+          { listingId: boardId, quantity: 2 },
+        ],
+      })).rejects.toThrow('Each listing can only appear once in an order');
+
+      await expect(createOrder({
+        listingId: boardId,
+        quantity: 1,
+        items: [{ listingId: piecesId, quantity: 1 }],
+      })).rejects.toThrow('Provide either items or listingId and quantity');
+
+      // Orders follow the cart's rules on who can buy a listing
+      await expect(createOrder({ listingId: ownListingId, quantity: 1 })).rejects.toThrow('Cannot buy your own listing');
+    });
+
+    test('should keep purchase prices when the listing price changes', async () => {
+      await graphqlRequest(`
+        mutation UpdateListing($id: Int!, $input: ListingUpdateInput!) {
+          updateListing(id: $id, input: $input) {
+            id
+          }
+        }
+      `, { id: piecesId, input: { price: 99 } }, sellerToken);
+
+      const mutation = `
+        mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+          updateOrder(id: $id, input: $input) {
+            ${ORDER_FIELDS}
+          }
+        }
+      `;
+
+      const result = await graphqlRequest(mutation, {
+        id: orderId,
+        input: { items: [{ listingId: piecesId, quantity: 4 }] },
+      }, authToken);
+      expect(result.updateOrder.items[1]).toMatchObject({ quantity: 4, unitPrice: 12.5, subtotal: 50 });
+      expect(result.updateOrder.totalPrice).toBe(90);
+
+      await expect(
+        graphqlRequest(mutation, { id: orderId, input: { quantity: 2 } }, authToken)
+      ).rejects.toThrow('Use items to change the quantities of a multi-item order');
+    });
+  });
+
+  describe('Payments', () => {
+    let sellerToken = null;
+    let listingId = null;
+
+    const PAYMENT_FIELDS = `
+      id
+      status
+      payment {
+        status
+        amount
+        transactions {
+          type
+          status
+          amount
+          transactionId
+          failureReason
+        }
+      }
+    `;
+
+    const createOrder = async (paymentMethod) => {
+      const result = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            ${PAYMENT_FIELDS}
+          }
+        }
+      `, {
+        input: {
+          items: [{ listingId, quantity: 2 }],
+          shippingAddress: { street: '1 Payment Pl', city: 'Test City', country: 'USA' },
+          paymentMethod,
+        },
+      }, authToken);
+      return result.createOrder;
+    };
+
+    const setStatus = async (id, status, token) => {
+      const result = await graphqlRequest(`
+        mutation UpdateOrderStatus($id: Int!, $status: OrderStatus!) {
+          updateOrderStatus(id: $id, status: $status) {
+            ${PAYMENT_FIELDS}
+          }
+        }
+      `, { id, status }, token);
+      return result.updateOrderStatus;
+    };
+
+    const PAY_ORDER_MUTATION = `
+      mutation PayOrder($orderId: Int!, $paymentMethod: String!) {
+        payOrder(orderId: $orderId, paymentMethod: $paymentMethod) {
+          ${PAYMENT_FIELDS}
+        }
+      }
+    `;
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      sellerToken = login.login.token;
+
+      const listing = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title: 'Payment test stock', description: 'Stock for payment tests', price: 20, quantity: 20 } }, sellerToken);
+      listingId = listing.createListing.id;
+    });
+
+    test('should authorize payment when the order is placed', async () => {
+      const order = await createOrder('tok_visa');
+
+      expect(order.payment.status).toBe('AUTHORIZED');
+      expect(order.payment.amount).toBe(40);
+      expect(order.payment.transactions).toHaveLength(1);
+      expect(order.payment.transactions[0]).toMatchObject({ type: 'AUTHORIZATION', status: 'SUCCEEDED', amount: 40 });
+      expect(order.payment.transactions[0].transactionId).toBeTruthy();
+    });
+
+    test('should keep unpaid orders from being confirmed', async () => {
+      const order = await createOrder();
+      expect(order.payment).toEqual({ status: 'UNPAID', amount: 40, transactions: [] });
+
+      await expect(setStatus(order.id, 'CONFIRMED', sellerToken)).rejects.toThrow('Order has not been paid');
+
+      // Only the buyer can pay
+      await expect(
+        graphqlRequest(PAY_ORDER_MUTATION, { orderId: order.id, paymentMethod: 'tok_visa' }, sellerToken)
+      ).rejects.toThrow('Access denied');
+    });
+
+    test('should record a declined payment and allow a retry', async () => {
+      const order = await createOrder();
+
+      const declined = await graphqlRequest(PAY_ORDER_MUTATION, { orderId: order.id, paymentMethod: 'tok_declined' }, authToken);
+      expect(declined.payOrder.payment.status).toBe('FAILED');
+      expect(declined.payOrder.payment.transactions[0]).toMatchObject({
+        type: 'AUTHORIZATION',
+        status: 'FAILED',
+        transactionId: null,
+        failureReason: 'Card declined',
+      });
+
+      await expect(
+        graphqlRequest(PAY_ORDER_MUTATION, { orderId: order.id, paymentMethod: 'tok_visa' }, authToken)
+      ).rejects.toThrow('Payment failed; use retryPayment to try again');
+
+      const retried = await graphqlRequest(`
+        mutation RetryPayment($orderId: Int!, $paymentMethod: String) {
+          retryPayment(orderId: $orderId, paymentMethod: $paymentMethod) {
+            ${PAYMENT_FIELDS}
+          }
+        }
+      `, { orderId: order.id, paymentMethod: 'tok_visa' }, authToken);
+      expect(retried.retryPayment.payment.status).toBe('AUTHORIZED');
+      expect(retried.retryPayment.payment.transactions.map(t => t.status)).toEqual(['FAILED', 'SUCCEEDED']);
+
+      const confirmed = await setStatus(order.id, 'CONFIRMED', sellerToken);
+      expect(confirmed.status).toBe('CONFIRMED');
+    });
+
+    test('should hold funds in escrow until delivery, then pay the seller', async () => {
+      const order = await createOrder('tok_visa');
+
+      await setStatus(order.id, 'CONFIRMED', sellerToken);
+
+      const shipped = await setStatus(order.id, 'SHIPPED', sellerToken);
+      expect(shipped.payment.status).toBe('IN_ESCROW');
+
+      const delivered = await setStatus(order.id, 'DELIVERED', authToken);
+      expect(delivered.payment.status).toBe('RELEASED');
+      expect(delivered.payment.transactions.map(t => t.type)).toEqual(['AUTHORIZATION', 'CAPTURE', 'PAYOUT']);
+      expect(delivered.payment.transactions.every(t => t.amount === 40)).toBe(true);
+    });
+
+    test('should void the authorization when a paid order is cancelled', async () => {
+      const order = await createOrder('tok_visa');
+
+      // Paid orders keep their total
+      await expect(graphqlRequest(`
+        mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+          updateOrder(id: $id, input: $input) {
+            id
+          }
+        }
+      `, { id: order.id, input: { quantity: 3 } }, authToken)).rejects.toThrow('Paid orders cannot change their total');
+
+      const cancelled = await setStatus(order.id, 'CANCELLED', authToken);
+      expect(cancelled.payment.status).toBe('VOIDED');
+      expect(cancelled.payment.transactions.map(t => t.type)).toEqual(['AUTHORIZATION', 'VOID']);
+
+      await expect(
+        graphqlRequest(PAY_ORDER_MUTATION, { orderId: order.id, paymentMethod: 'tok_visa' }, authToken)
+      ).rejects.toThrow('Order cannot be paid');
+    });
+
+    test('should only delete orders that hold no money', async () => {
+      const DELETE_ORDER_MUTATION = `
+        mutation DeleteOrder($id: Int!) {
+          deleteOrder(id: $id) {
+            message
+          }
+        }
+      `;
+
+      // Authorized orders are cancelled instead, which voids the payment
+      const authorized = await createOrder('tok_visa');
+      await expect(
+        graphqlRequest(DELETE_ORDER_MUTATION, { id: authorized.id }, authToken)
+      ).rejects.toThrow('Order can no longer be deleted');
+
+      await setStatus(authorized.id, 'CANCELLED', authToken);
+      const deleted = await graphqlRequest(DELETE_ORDER_MUTATION, { id: authorized.id }, authToken);
+      expect(deleted.deleteOrder.message).toBe('Order deleted successfully');
+
+      // Shipped orders with funds in escrow stay
+      const shipped = await createOrder('tok_visa');
+      await setStatus(shipped.id, 'CONFIRMED', sellerToken);
+      const inEscrow = await setStatus(shipped.id, 'SHIPPED', sellerToken);
+      expect(inEscrow.payment.status).toBe('IN_ESCROW');
+
+      await expect(
+        graphqlRequest(DELETE_ORDER_MUTATION, { id: shipped.id }, authToken)
+      ).rejects.toThrow('Order can no longer be deleted');
+
+      const order = await graphqlRequest(`
+        query GetOrder($id: Int!) {
+          order(id: $id) {
+            ${PAYMENT_FIELDS}
+          }
+        }
+      `, { id: shipped.id }, authToken);
+      expect(order.order.status).toBe('SHIPPED');
+      expect(order.order.payment.status).toBe('IN_ESCROW');
+    });
+  });
+
+  describe('Returns', () => {
+    let sellerToken = null;
+    let listingId = null;
+    let orderId = null;
+    let returnId = null;
+
+    const RETURN_FIELDS = `
+      id
+      status
+      shipmentStatus
+      trackingNumber
+      items {
+        listingId
+        quantity
+        unitPrice
+      }
+      value
+      refundedAmount
+      refundableAmount
+      history {
+        type
+        note
+        amount
+        actor {
+          username
+        }
+      }
+    `;
+
+    const createOrder = async (quantity) => {
+      const result = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          items: [{ listingId, quantity }],
+          shippingAddress: { street: '1 Return Rd', city: 'Test City', country: 'USA' },
+          paymentMethod: 'tok_visa',
+        },
+      }, authToken);
+      return result.createOrder.id;
+    };
+
+    const setStatus = (id, status, token) => graphqlRequest(`
+      mutation UpdateOrderStatus($id: Int!, $status: OrderStatus!) {
+        updateOrderStatus(id: $id, status: $status) {
+          id
+        }
+      }
+    `, { id, status }, token);
+
+    const requestReturn = (variables, token = authToken) => graphqlRequest(`
+      mutation RequestReturn($orderId: Int!, $reason: String!, $items: [OrderItemInput!]) {
+        requestReturn(orderId: $orderId, reason: $reason, items: $items) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `, variables, token);
+
+    const updateShipment = (id, status, token, trackingNumber) => graphqlRequest(`
+      mutation UpdateReturnShipment($id: Int!, $status: ReturnShipmentStatus!, $trackingNumber: String) {
+        updateReturnShipment(id: $id, status: $status, trackingNumber: $trackingNumber) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `, { id, status, trackingNumber }, token);
+
+    const issueRefund = (returnId, amount) => graphqlRequest(`
+      mutation IssueRefund($returnId: Int!, $amount: Float) {
+        issueRefund(returnId: $returnId, amount: $amount) {
+          ${RETURN_FIELDS}
+        }
+      }
+    `, { returnId, amount }, sellerToken);
+
+    const getQuantityAvailable = async () => {
+      const result = await graphqlRequest(`
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            quantityAvailable
+          }
+        }
+      `, { id: listingId });
+      return result.listing.quantityAvailable;
+    };
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      sellerToken = login.login.token;
+
+      const listing = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title: 'Return test stock', description: 'Stock for return tests', price: 15, quantity: 10 } }, sellerToken);
+      listingId = listing.createListing.id;
+
+      orderId = await createOrder(3);
+      await setStatus(orderId, 'CONFIRMED', sellerToken);
+      await setStatus(orderId, 'SHIPPED', sellerToken);
+      await setStatus(orderId, 'DELIVERED', authToken);
+    });
+
+    test('should only accept returns on delivered orders', async () => {
+      const pendingOrderId = await createOrder(1);
+
+      const result = await graphqlRequest(`
+        query GetOrders($pendingId: Int!, $deliveredId: Int!) {
+          pending: order(id: $pendingId) {
+            returnableUntil
+          }
+          delivered: order(id: $deliveredId) {
+            returnableUntil
+          }
+        }
+      `, { pendingId: pendingOrderId, deliveredId: orderId }, authToken);
+      expect(result.pending.returnableUntil).toBeNull();
+
+      // The default window is 30 days from delivery
+      const daysLeft = (new Date(result.delivered.returnableUntil) - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(Math.round(daysLeft)).toBe(30);
+
+      await expect(
+        requestReturn({ orderId: pendingOrderId, reason: 'Changed my mind' })
+      ).rejects.toThrow('Only delivered orders can be returned');
+    });
+
+    test('should let the buyer request a return of some items', async () => {
+      await expect(
+        requestReturn({ orderId, reason: 'Damaged', items: [{ listingId, quantity: 2 }] }, sellerToken)
+      ).rejects.toThrow('Access denied');
+
+      await expect(
+        requestReturn({ orderId, reason: 'Damaged', items: [{ listingId, quantity: 4 }] })
+      ).rejects.toThrow('Cannot return more than was bought');
+
+      const result = await requestReturn({ orderId, reason: 'Damaged', items: [{ listingId, quantity: 2 }] });
+      returnId = result.requestReturn.id;
+
+      expect(result.requestReturn).toMatchObject({
+        status: 'REQUESTED',
+        shipmentStatus: null,
+        items: [{ listingId, quantity: 2, unitPrice: 15 }],
+        value: 30,
+        refundableAmount: 30,
+      });
+      expect(result.requestReturn.history).toEqual([
+        { type: 'REQUESTED', note: 'Damaged', amount: null, actor: { username: 'john_doe' } },
+      ]);
+
+      // The shipment cannot start before the seller approves
+      await expect(updateShipment(returnId, 'IN_TRANSIT', authToken)).rejects.toThrow('Invalid return shipment transition');
+    });
+
+    test('should restock returned items once the seller receives them', async () => {
+      const approved = await graphqlRequest(`
+        mutation ApproveReturn($id: Int!, $note: String) {
+          approveReturn(id: $id, note: $note) {
+            ${RETURN_FIELDS}
+          }
+        }
+      `, { id: returnId, note: 'Sorry about that' }, sellerToken);
+      expect(approved.approveReturn.status).toBe('APPROVED');
+      expect(approved.approveReturn.shipmentStatus).toBe('AWAITING_SHIPMENT');
+
+      const shipped = await updateShipment(returnId, 'IN_TRANSIT', authToken, 'TRACK123');
+      expect(shipped.updateReturnShipment.trackingNumber).toBe('TRACK123');
+
+      await expect(updateShipment(returnId, 'RECEIVED', authToken)).rejects.toThrow('Access denied');
+
+      const stockBefore = await getQuantityAvailable();
+      const received = await updateShipment(returnId, 'RECEIVED', sellerToken);
+      expect(received.updateReturnShipment.shipmentStatus).toBe('RECEIVED');
+      expect(await getQuantityAvailable()).toBe(stockBefore + 2);
+    });
+
+    test('should issue partial and full refunds through the payment', async () => {
+      const partial = await issueRefund(returnId, 10);
+      expect(partial.issueRefund).toMatchObject({ status: 'APPROVED', refundedAmount: 10, refundableAmount: 20 });
+
+      await expect(issueRefund(returnId, 25)).rejects.toThrow('Refund exceeds the refundable amount');
+
+      const full = await issueRefund(returnId);
+      expect(full.issueRefund).toMatchObject({ status: 'REFUNDED', refundedAmount: 30, refundableAmount: 0 });
+      expect(full.issueRefund.history.map(event => event.type)).toEqual([
+        'REQUESTED', 'APPROVED', 'SHIPPED', 'RECEIVED', 'REFUNDED', 'REFUNDED',
+      ]);
+      expect(full.issueRefund.history.slice(4).map(event => event.amount)).toEqual([10, 20]);
+
+      const order = await graphqlRequest(`
+        query GetOrder($id: Int!) {
+          order(id: $id) {
+            payment {
+              refundedAmount
+              transactions {
+                type
+                amount
+              }
+            }
+            returns {
+              id
+            }
+          }
+        }
+      `, { id: orderId }, authToken);
+      expect(order.order.payment.refundedAmount).toBe(30);
+      expect(order.order.payment.transactions.filter(t => t.type === 'REFUND').map(t => t.amount)).toEqual([10, 20]);
+      expect(order.order.returns).toEqual([{ id: returnId }]);
+    });
+
+    test('should give rejected items back to the buyer to return again', async () => {
+      const requested = await requestReturn({ orderId, reason: 'No longer needed' });
+      expect(requested.requestReturn.items).toEqual([{ listingId, quantity: 1, unitPrice: 15 }]);
+
+      await expect(
+        requestReturn({ orderId, reason: 'Again' })
+      ).rejects.toThrow('Every item on this order is already being returned');
+
+      const rejected = await graphqlRequest(`
+        mutation RejectReturn($id: Int!, $reason: String!) {
+          rejectReturn(id: $id, reason: $reason) {
+            ${RETURN_FIELDS}
+          }
+        }
+      `, { id: requested.requestReturn.id, reason: 'Used item' }, sellerToken);
+      expect(rejected.rejectReturn.status).toBe('REJECTED');
+      expect(rejected.rejectReturn.history[1]).toMatchObject({ type: 'REJECTED', note: 'Used item' });
+
+      await expect(issueRefund(requested.requestReturn.id)).rejects.toThrow('Return request cannot be refunded');
+
+      const again = await requestReturn({ orderId, reason: 'Really damaged' });
+      expect(again.requestReturn.items[0].quantity).toBe(1);
+    });
+  });
+
+  describe('Shipping', () => {
+    let sellerToken = null;
+    let listingId = null;
+
+    const domestic = { street: '1 Ship St', city: 'Boston', country: 'USA' };
+    const abroad = { street: '1 Rue Ship', city: 'Paris', country: 'France' };
+
+    const shippingPolicy = {
+      options: [
+        { service: 'STANDARD', rateType: 'FLAT_RATE', cost: 5 },
+        { service: 'EXPEDITED', rateType: 'CALCULATED' },
+      ],
+      handlingTimeDays: 2,
+      weightKg: 2,
+      shipsFrom: 'USA',
+    };
+
+    const ORDER_FIELDS = `
+      id
+      subtotal
+      shippingService
+      shippingCost
+      totalPrice
+      handlingTimeDays
+      shipBy
+      createdAt
+      items {
+        unitShippingCost
+      }
+    `;
+
+    const createOrder = async (input) => {
+      const result = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            ${ORDER_FIELDS}
+          }
+        }
+      `, { input: { items: [{ listingId, quantity: 1 }], shippingAddress: domestic, ...input } }, authToken);
+      return result.createOrder;
+    };
+
+    const createListing = (policy) => graphqlRequest(`
+      mutation CreateListing($input: ListingCreateInput!) {
+        createListing(input: $input) {
+          id
+          shippingPolicy {
+            options {
+              service
+              rateType
+              cost
+            }
+            handlingTimeDays
+            weightKg
+            shipsFrom
+          }
+        }
+      }
+    `, {
+      input: { title: 'Shipping test stock', description: 'Stock for shipping tests', price: 20, quantity: 10, shippingPolicy: policy },
+    }, sellerToken);
+
+    const UPDATE_STATUS_MUTATION = `
+      mutation UpdateOrderStatus($id: Int!, $status: OrderStatus!, $carrier: String, $trackingNumber: String) {
+        updateOrderStatus(id: $id, status: $status, carrier: $carrier, trackingNumber: $trackingNumber) {
+          status
+          carrier
+          trackingNumber
+          trackingEvents {
+            status
+            description
+            timestamp
+          }
+        }
+      }
+    `;
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      sellerToken = login.login.token;
+
+      const result = await createListing(shippingPolicy);
+      listingId = result.createListing.id;
+    });
+
+    test('should store a listing shipping policy', async () => {
+      const result = await graphqlRequest(`
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            shippingPolicy {
+              options {
+                service
+                rateType
+                cost
+              }
+              handlingTimeDays
+              weightKg
+              shipsFrom
+            }
+          }
+        }
+      `, { id: listingId });
+
+      expect(result.listing.shippingPolicy).toEqual({
+        options: [
+          { service: 'STANDARD', rateType: 'FLAT_RATE', cost: 5 },
+          { service: 'EXPEDITED', rateType: 'CALCULATED', cost: null },
+        ],
+        handlingTimeDays: 2,
+        weightKg: 2,
+        shipsFrom: 'USA',
+      });
+
+      await expect(createListing({
+        ...shippingPolicy,
+        options: [{ service: 'STANDARD', rateType: 'FLAT_RATE' }],
+      })).rejects.toThrow('cost is required');
+
+      await expect(createListing({
+        ...shippingPolicy,
+        options: [
+          { service: 'STANDARD', rateType: 'FREE' },
+          { service: 'STANDARD', rateType: 'FLAT_RATE', cost: 3 },
+        ],
+      })).rejects.toThrow('Each shipping service can only be offered once');
+    });
+
+    test('should quote rates by weight and destination zone', async () => {
+      const query = `
+        query GetRates($id: Int!, $destination: AddressInput!) {
+          listing(id: $id) {
+            shippingRates(destination: $destination, quantity: 2) {
+              service
+              cost
+              handlingTimeDays
+            }
+          }
+        }
+      `;
+
+      const home = await graphqlRequest(query, { id: listingId, destination: domestic });
+      expect(home.listing.shippingRates).toEqual([
+        { service: 'STANDARD', cost: 10, handlingTimeDays: 2 },
+        { service: 'EXPEDITED', cost: 26, handlingTimeDays: 2 },
+      ]);
+
+      // Other names for the same country are still domestic
+      const aliased = await graphqlRequest(query, { id: listingId, destination: { ...domestic, country: ' united states ' } });
+      expect(aliased.listing.shippingRates).toEqual(home.listing.shippingRates);
+
+      const away = await graphqlRequest(query, { id: listingId, destination: abroad });
+      expect(away.listing.shippingRates[1]).toEqual({ service: 'EXPEDITED', cost: 96, handlingTimeDays: 2 });
+    });
+
+    test('should add the chosen shipping service to the order total', async () => {
+      const order = await createOrder({ shippingService: 'EXPEDITED' });
+      expect(order).toMatchObject({
+        subtotal: 20,
+        shippingService: 'EXPEDITED',
+        shippingCost: 13,
+        totalPrice: 33,
+        handlingTimeDays: 2,
+        items: [{ unitShippingCost: 13 }],
+      });
+      expect(new Date(order.shipBy) - new Date(order.createdAt)).toBe(2 * 24 * 60 * 60 * 1000);
+
+      // The cheapest service is used when none is chosen
+      const cheapest = await createOrder({});
+      expect(cheapest).toMatchObject({ shippingService: 'STANDARD', shippingCost: 5, totalPrice: 25 });
+
+      await expect(createOrder({ shippingService: 'OVERNIGHT' })).rejects.toThrow('Shipping service not offered');
+
+      const UPDATE_ORDER_MUTATION = `
+        mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+          updateOrder(id: $id, input: $input) {
+            shippingCost
+          }
+        }
+      `;
+      await expect(
+        graphqlRequest(UPDATE_ORDER_MUTATION, { id: order.id, input: { shippingAddress: abroad } }, authToken)
+      ).rejects.toThrow('Cannot change the destination country');
+
+      const moved = await graphqlRequest(UPDATE_ORDER_MUTATION, {
+        id: order.id,
+        input: { shippingAddress: { ...domestic, city: 'Chicago', country: 'US' } },
+      }, authToken);
+      expect(moved.updateOrder.shippingCost).toBe(13);
+    });
+
+    test('should quote shipping when an auction winner adds an address', async () => {
+      const auction = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          title: 'Shipped auction stock',
+          description: 'Auction with a shipping policy',
+          listingType: 'AUCTION',
+          startingBid: 30,
+          endTime: new Date(Date.now() + 1500).toISOString(),
+          shippingPolicy: { ...shippingPolicy, options: [{ service: 'STANDARD', rateType: 'FLAT_RATE', cost: 25 }] },
+        },
+      }, sellerToken);
+      const auctionId = auction.createListing.id;
+
+      await graphqlRequest(`
+        mutation PlaceBid($listingId: Int!, $amount: Float!) {
+          placeBid(listingId: $listingId, amount: $amount) {
+            id
+          }
+        }
+      `, { listingId: auctionId, amount: 30 }, authToken);
+
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const orders = await graphqlRequest(`
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            auctionStatus
+          }
+          orders(sort: [{ field: CREATED_AT, direction: DESC }]) {
+            orders {
+              id
+              listingId
+            }
+          }
+        }
+      `, { id: auctionId }, authToken);
+      expect(orders.listing.auctionStatus).toBe('ENDED');
+      const orderId = orders.orders.orders.find(order => order.listingId === auctionId).id;
+
+      const updated = await graphqlRequest(`
+        mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+          updateOrder(id: $id, input: $input) {
+            ${ORDER_FIELDS}
+          }
+        }
+      `, { id: orderId, input: { shippingAddress: domestic } }, authToken);
+
+      expect(updated.updateOrder).toMatchObject({
+        subtotal: 30,
+        shippingService: 'STANDARD',
+        shippingCost: 25,
+        totalPrice: 55,
+        handlingTimeDays: 2,
+        items: [{ unitShippingCost: 25 }],
+      });
+    });
+
+    test('should track orders shipped with a carrier', async () => {
+      const order = await createOrder({ paymentMethod: 'tok_visa' });
+
+      await expect(
+        graphqlRequest(UPDATE_STATUS_MUTATION, { id: order.id, status: 'CONFIRMED', carrier: 'SIMULATOR', trackingNumber: 'SIM12345678' }, sellerToken)
+      ).rejects.toThrow('Tracking details can only be added when shipping');
+
+      await graphqlRequest(UPDATE_STATUS_MUTATION, { id: order.id, status: 'CONFIRMED' }, sellerToken);
+
+      await expect(
+        graphqlRequest(UPDATE_STATUS_MUTATION, { id: order.id, status: 'SHIPPED', carrier: 'PIGEON', trackingNumber: 'SIM12345678' }, sellerToken)
+      ).rejects.toThrow('Unknown carrier');
+
+      // Codes are only matched against registered carriers
+      await expect(
+        graphqlRequest(UPDATE_STATUS_MUTATION, { id: order.id, status: 'SHIPPED', carrier: 'constructor', trackingNumber: 'SIM12345678' }, sellerToken)
+      ).rejects.toThrow('Unknown carrier');
+
+      const shipped = await graphqlRequest(UPDATE_STATUS_MUTATION, {
+        id: order.id,
+        status: 'SHIPPED',
+        carrier: 'SIMULATOR',
+        trackingNumber: 'SIM12345678',
+      }, sellerToken);
+
+      expect(shipped.updateOrderStatus).toMatchObject({ status: 'SHIPPED', carrier: 'SIMULATOR', trackingNumber: 'SIM12345678' });
+      expect(shipped.updateOrderStatus.trackingEvents[0]).toMatchObject({
+        status: 'LABEL_CREATED',
+        description: 'Shipping label created',
+      });
+    });
+  });
+
+  describe('Tax', () => {
+    let sellerToken = null;
+    let gadgetId = null;
+    let shirtId = null;
+
+    const newYorkCity = { street: '1 Tax Ave', city: 'New York', state: 'NY', zipCode: '10001', country: 'USA' };
+    const houston = { street: '2 Tax Rd', city: 'Houston', state: 'TX', zipCode: '77002', country: 'USA' };
+
+    const BREAKDOWN_FIELDS = `
+      subtotal
+      shippingCost
+      taxAmount
+      taxJurisdiction
+      total
+      items {
+        listingId
+        quantity
+        taxRate
+        taxAmount
+        taxExempt
+      }
+    `;
+
+    const QUOTE_QUERY = `
+      query QuoteOrder($input: OrderQuoteInput!) {
+        quoteOrder(input: $input) {
+          ${BREAKDOWN_FIELDS}
+        }
+      }
+    `;
+
+    const UPDATE_ORDER_MUTATION = `
+      mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+        updateOrder(id: $id, input: $input) {
+          totalPrice
+          ${BREAKDOWN_FIELDS}
+        }
+      }
+    `;
+
+    const createListing = async (category, price) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: { title: `Taxed ${category}`, description: 'Stock for tax tests', price, quantity: 10, category },
+      }, sellerToken);
+      return result.createListing.id;
+    };
+
+    const createOrder = async (input) => {
+      const result = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+            totalPrice
+            ${BREAKDOWN_FIELDS}
+          }
+        }
+      `, {
+        input: {
+          items: [{ listingId: gadgetId, quantity: 1 }, { listingId: shirtId, quantity: 2 }],
+          shippingAddress: newYorkCity,
+          ...input,
+        },
+      }, authToken);
+      return result.createOrder;
+    };
+
+    beforeAll(async () => {
+      const login = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `, { input: { email: 'jane@example.com', password: 'password' } });
+      sellerToken = login.login.token;
+
+      gadgetId = await createListing('electronics', 50);
+      shirtId = await createListing('clothing', 20);
+    });
+
+    test('should quote tax by zip code with category exemptions', async () => {
+      const items = [{ listingId: gadgetId, quantity: 1 }, { listingId: shirtId, quantity: 2 }];
+
+      // No token needed, and nothing is reserved
+      const result = await graphqlRequest(QUOTE_QUERY, { input: { items, shippingAddress: newYorkCity } });
+
+      expect(result.quoteOrder).toEqual({
+        subtotal: 90,
+        shippingCost: 0,
+        taxAmount: 4.44,
+        taxJurisdiction: 'US-NY-100',
+        total: 94.44,
+        items: [
+          { listingId: gadgetId, quantity: 1, taxRate: 0.08875, taxAmount: 4.44, taxExempt: false },
+          { listingId: shirtId, quantity: 2, taxRate: 0, taxAmount: 0, taxExempt: true },
+        ],
+      });
+
+      const upstate = await graphqlRequest(QUOTE_QUERY, {
+        input: { items, shippingAddress: { ...newYorkCity, city: 'Albany', zipCode: '12207' } },
+      });
+      expect(upstate.quoteOrder.taxJurisdiction).toBe('US-NY');
+      expect(upstate.quoteOrder.taxAmount).toBe(2);
+
+      const uk = await graphqlRequest(QUOTE_QUERY, {
+        input: { items, shippingAddress: { street: '3 VAT Lane', city: 'London', country: 'United Kingdom' } },
+      });
+      expect(uk.quoteOrder.taxJurisdiction).toBe('GB');
+      expect(uk.quoteOrder.taxAmount).toBe(18);
+      expect(uk.quoteOrder.total).toBe(108);
+
+      const untaxed = await graphqlRequest(QUOTE_QUERY, {
+        input: { items, shippingAddress: { street: '4 Far St', city: 'Tokyo', country: 'Japan' } },
+      });
+      expect(untaxed.quoteOrder.taxJurisdiction).toBeNull();
+      expect(untaxed.quoteOrder.total).toBe(90);
+    });
+
+    test('should store the tax breakdown on a placed order', async () => {
+      const order = await createOrder();
+
+      expect(order.taxAmount).toBe(4.44);
+      expect(order.taxJurisdiction).toBe('US-NY-100');
+      expect(order.totalPrice).toBe(94.44);
+      expect(order.total).toBe(94.44);
+      expect(order.items.map(item => item.taxExempt)).toEqual([false, true]);
+    });
+
+    test('should recompute tax when quantity or address changes', async () => {
+      const order = await createOrder();
+
+      const moreGadgets = await graphqlRequest(UPDATE_ORDER_MUTATION, {
+        id: order.id,
+        input: { items: [{ listingId: gadgetId, quantity: 2 }] },
+      }, authToken);
+      expect(moreGadgets.updateOrder.taxAmount).toBe(8.88);
+      expect(moreGadgets.updateOrder.totalPrice).toBe(148.88);
+
+      // Texas does not exempt clothing
+      const moved = await graphqlRequest(UPDATE_ORDER_MUTATION, {
+        id: order.id,
+        input: { shippingAddress: houston },
+      }, authToken);
+      expect(moved.updateOrder).toMatchObject({
+        subtotal: 140,
+        taxAmount: 11.55,
+        taxJurisdiction: 'US-TX-770',
+        totalPrice: 151.55,
+        total: 151.55,
+      });
+      expect(moved.updateOrder.items.map(item => item.taxAmount)).toEqual([8.25, 3.3]);
+    });
+
+    test('should not change the tax of a paid order', async () => {
+      const order = await createOrder({ paymentMethod: 'tok_visa' });
+
+      // Same jurisdiction, same total
+      const sameCity = await graphqlRequest(UPDATE_ORDER_MUTATION, {
+        id: order.id,
+        input: { shippingAddress: { ...newYorkCity, street: '5 Tax Ave' } },
+      }, authToken);
+      expect(sameCity.updateOrder.totalPrice).toBe(94.44);
+
+      await expect(graphqlRequest(UPDATE_ORDER_MUTATION, {
+        id: order.id,
+        input: { shippingAddress: houston },
+      }, authToken)).rejects.toThrow('Paid orders cannot change their total');
+    });
+  });
+
+  describe('Currencies', () => {
+    let sellerToken = null;
+    let buyerId = null;
+    let euroListingId = null;
+    let dollarListingId = null;
+
+    const address = { street: '1 Rate St', city: 'Springfield', country: 'USA' };
+
+    const DISPLAY_PRICE_QUERY = `
+      query GetListing($id: Int!, $currency: String) {
+        listing(id: $id) {
+          price
+          currency
+          displayPrice(currency: $currency) {
+            amount
+            currency
+          }
+        }
+      }
+    `;
+
+    const ORDER_FIELDS = `
+      id
+      currency
+      totalPrice
+      listingTotal {
+        amount
+        currency
+      }
+      buyerCurrency
+      exchangeRate
+      buyerTotal {
+        amount
+        currency
+      }
+    `;
+
+    const setPreferredCurrency = (preferredCurrency) => graphqlRequest(`
+      mutation UpdateUser($id: Int!, $input: UserUpdateInput!) {
+        updateUser(id: $id, input: $input) {
+          preferredCurrency
+        }
+      }
+    `, { id: buyerId, input: { preferredCurrency } }, authToken);
+
+    const createListing = async (price, currency) => {
+      const result = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: { title: 'Priced abroad', description: 'Stock for currency tests', price, quantity: 10, category: 'fx-test', currency },
+      }, sellerToken);
+      return result.createListing.id;
+    };
+
+    const login = async (email) => {
+      const result = await graphqlRequest(`
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+            user {
+              id
+            }
+          }
+        }
+      `, { input: { email, password: 'password' } });
+      return result.login;
+    };
+
+    beforeAll(async () => {
+      sellerToken = (await login('jane@example.com')).token;
+      buyerId = (await login('john@example.com')).user.id;
+
+      euroListingId = await createListing(100, 'eur');
+      dollarListingId = await createListing(50);
+    });
+
+    afterAll(async () => {
+      await setPreferredCurrency(null);
+    });
+
+    test('should show prices in the requested or preferred currency', async () => {
+      const own = await graphqlRequest(DISPLAY_PRICE_QUERY, { id: euroListingId });
+      expect(own.listing).toEqual({ price: 100, currency: 'EUR', displayPrice: { amount: 10000, currency: 'EUR' } });
+
+      const dollars = await graphqlRequest(DISPLAY_PRICE_QUERY, { id: euroListingId, currency: 'USD' });
+      expect(dollars.listing.displayPrice).toEqual({ amount: 10870, currency: 'USD' });
+
+      // No minor units for yen
+      const yen = await graphqlRequest(DISPLAY_PRICE_QUERY, { id: euroListingId, currency: 'JPY' });
+      expect(yen.listing.displayPrice).toEqual({ amount: 16304, currency: 'JPY' });
+
+      const updated = await setPreferredCurrency('gbp');
+      expect(updated.updateUser.preferredCurrency).toBe('GBP');
+
+      const preferred = await graphqlRequest(DISPLAY_PRICE_QUERY, { id: euroListingId }, authToken);
+      expect(preferred.listing.displayPrice).toEqual({ amount: 8587, currency: 'GBP' });
+
+      await expect(graphqlRequest(DISPLAY_PRICE_QUERY, { id: euroListingId, currency: 'XYZ' }))
+        .rejects.toThrow('Unsupported currency');
+      await expect(createListing(10, 'XYZ')).rejects.toThrow('Unsupported currency');
+    });
+
+    test('should store listing prices to the currency minor unit', async () => {
+      const yenListingId = await createListing(1234.567, 'JPY');
+      const created = await graphqlRequest(DISPLAY_PRICE_QUERY, { id: yenListingId });
+      expect(created.listing).toEqual({ price: 1235, currency: 'JPY', displayPrice: { amount: 1235, currency: 'JPY' } });
+
+      const updated = await graphqlRequest(`
+        mutation UpdateListing($id: Int!, $input: ListingUpdateInput!) {
+          updateListing(id: $id, input: $input) {
+            price
+          }
+        }
+      `, { id: yenListingId, input: { price: 999.4 } }, sellerToken);
+      expect(updated.updateListing.price).toBe(999);
+
+      await graphqlRequest(`
+        mutation DeleteListing($id: Int!) {
+          deleteListing(id: $id) {
+            message
+          }
+        }
+      `, { id: yenListingId }, sellerToken);
+    });
+
+    test('should step yen auctions in whole yen', async () => {
+      const created = await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+            startingBid
+          }
+        }
+      `, {
+        input: {
+          title: 'Yen auction',
+          description: 'Auction priced in yen',
+          listingType: 'AUCTION',
+          startingBid: 1000.4,
+          currency: 'JPY',
+          endTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        },
+      }, sellerToken);
+      expect(created.createListing.startingBid).toBe(1000);
+
+      await graphqlRequest(`
+        mutation PlaceBid($listingId: Int!, $amount: Float!) {
+          placeBid(listingId: $listingId, amount: $amount) {
+            id
+          }
+        }
+      `, { listingId: created.createListing.id, amount: 1200.6 }, authToken);
+
+      // A 0.50 USD increment is 75 yen
+      const listing = await graphqlRequest(`
+        query GetListing($id: Int!) {
+          listing(id: $id) {
+            currentBid
+            myMaxBid
+            minimumNextBid
+          }
+        }
+      `, { id: created.createListing.id }, authToken);
+      expect(listing.listing).toEqual({ currentBid: 1000, myMaxBid: 1201, minimumNextBid: 1075 });
+    });
+
+    test('should filter prices across currencies', async () => {
+      const query = `
+        query GetListings($filter: ListingFilterInput) {
+          listings(filter: $filter) {
+            id
+          }
+        }
+      `;
+
+      // 100 EUR is about 108.70 USD
+      const inDollars = await graphqlRequest(query, { filter: { category: 'fx-test', priceMin: 100 } });
+      expect(inDollars.listings.map(listing => listing.id)).toEqual([euroListingId]);
+
+      // 50 USD is 46 EUR
+      const inEuros = await graphqlRequest(query, { filter: { category: 'fx-test', priceMax: 60, currency: 'EUR' } });
+      expect(inEuros.listings.map(listing => listing.id)).toEqual([dollarListingId]);
+
+      await expect(graphqlRequest(query, { filter: { currency: 'XXX' } })).rejects.toThrow('Unsupported currency');
+    });
+
+    test('should record both currencies and the rate on an order', async () => {
+      await setPreferredCurrency('GBP');
+
+      const created = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            ${ORDER_FIELDS}
+          }
+        }
+      `, { input: { items: [{ listingId: euroListingId, quantity: 1 }], shippingAddress: address } }, authToken);
+
+      const order = created.createOrder;
+      expect(order).toMatchObject({
+        currency: 'EUR',
+        totalPrice: 100,
+        listingTotal: { amount: 10000, currency: 'EUR' },
+        buyerCurrency: 'GBP',
+        exchangeRate: 0.858696,
+        buyerTotal: { amount: 8587, currency: 'GBP' },
+      });
+
+      // The rate stays as it was when the order was placed
+      const updated = await graphqlRequest(`
+        mutation UpdateOrder($id: Int!, $input: OrderUpdateInput!) {
+          updateOrder(id: $id, input: $input) {
+            ${ORDER_FIELDS}
+          }
+        }
+      `, { id: order.id, input: { items: [{ listingId: euroListingId, quantity: 2 }] } }, authToken);
+      expect(updated.updateOrder.exchangeRate).toBe(0.858696);
+      expect(updated.updateOrder.buyerTotal).toEqual({ amount: 17174, currency: 'GBP' });
+
+      await expect(graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          items: [{ listingId: euroListingId, quantity: 1 }, { listingId: dollarListingId, quantity: 1 }],
+          shippingAddress: address,
+        },
+      }, authToken)).rejects.toThrow('All items in an order must be priced in the same currency');
+    });
+
+    test('should charge payments in the order currency', async () => {
+      await setPreferredCurrency('GBP');
+
+      const created = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            payment {
+              status
+              amount
+              currency
+            }
+          }
+        }
+      `, {
+        input: { items: [{ listingId: euroListingId, quantity: 1 }], shippingAddress: address, paymentMethod: 'tok_visa' },
+      }, authToken);
+
+      expect(created.createOrder.payment).toEqual({ status: 'AUTHORIZED', amount: 100, currency: 'EUR' });
+    });
+
+    test('should round order amounts to the currency minor unit', async () => {
+      const yenListingId = await createListing(1001, 'JPY');
+
+      // 8.875% New York City tax on 2002 yen is 177.68 yen
+      const result = await graphqlRequest(`
+        query QuoteOrder($input: OrderQuoteInput!) {
+          quoteOrder(input: $input) {
+            currency
+            subtotal
+            taxAmount
+            total
+            items {
+              subtotal
+              taxAmount
+            }
+          }
+        }
+      `, {
+        input: {
+          items: [{ listingId: yenListingId, quantity: 2 }],
+          shippingAddress: { street: '1 Yen St', city: 'New York', state: 'NY', zipCode: '10001', country: 'USA' },
+        },
+      });
+
+      expect(result.quoteOrder).toEqual({
+        currency: 'JPY',
+        subtotal: 2002,
+        taxAmount: 178,
+        total: 2180,
+        items: [{ subtotal: 2002, taxAmount: 178 }],
+      });
+    });
+
+    test('should sort prices across currencies', async () => {
+      const query = `
+        query GetListings($first: Int, $after: String) {
+          listingsConnection(
+            filter: { category: "fx-test" }
+            sort: [{ field: PRICE, direction: ASC }]
+            first: $first
+            after: $after
+          ) {
+            edges {
+              node {
+                price
+                currency
+              }
+            }
+            pageInfo {
+              endCursor
+            }
+          }
+        }
+      `;
+
+      // 1001 JPY is about 6.67 USD and 100 EUR about 108.70 USD
+      const all = await graphqlRequest(query, { first: 10 });
+      expect(all.listingsConnection.edges.map(edge => edge.node)).toEqual([
+        { price: 1001, currency: 'JPY' },
+        { price: 50, currency: 'USD' },
+        { price: 100, currency: 'EUR' },
+      ]);
+
+      const firstPage = await graphqlRequest(query, { first: 1 });
+      const secondPage = await graphqlRequest(query, { first: 2, after: firstPage.listingsConnection.pageInfo.endCursor });
+      expect(secondPage.listingsConnection.edges.map(edge => edge.node.currency)).toEqual(['USD', 'EUR']);
+    });
+
+    test('should sort order totals across currencies', async () => {
+      const placeOrder = async (listingId) => {
+        const result = await graphqlRequest(`
+          mutation CreateOrder($input: OrderCreateInput!) {
+            createOrder(input: $input) {
+              id
+            }
+          }
+        `, { input: { items: [{ listingId, quantity: 1 }], shippingAddress: address } }, authToken);
+        return result.createOrder.id;
+      };
+
+      // 4408 yen is about 29.39 USD
+      const yenOrderId = await placeOrder(await createListing(4408, 'JPY'));
+      const dollarOrderId = await placeOrder(dollarListingId);
+
+      const result = await graphqlRequest(`
+        query GetOrders {
+          ordersConnection(sort: [{ field: TOTAL_PRICE, direction: DESC }], first: 100) {
+            edges {
+              node {
+                id
+              }
+            }
+          }
+        }
+      `, {}, authToken);
+      const ids = result.ordersConnection.edges.map(edge => edge.node.id);
+      expect(ids.indexOf(dollarOrderId)).toBeLessThan(ids.indexOf(yenOrderId));
+    });
+
+    test('should total a mixed-currency cart in the preferred currency', async () => {
+      await setPreferredCurrency('GBP');
+
+      const addToCart = (listingId) => graphqlRequest(`
+        mutation AddToCart($listingId: Int!) {
+          addToCart(listingId: $listingId) {
+            currency
+            total
+            sellers {
+              currency
+              subtotal
+            }
+          }
+        }
+      `, { listingId }, authToken);
+
+      await addToCart(euroListingId);
+      const result = await addToCart(dollarListingId);
+
+      // One group per currency, even from the same seller
+      expect(result.addToCart.sellers).toEqual([
+        { currency: 'EUR', subtotal: 100 },
+        { currency: 'USD', subtotal: 50 },
+      ]);
+      expect(result.addToCart.currency).toBe('GBP');
+      expect(result.addToCart.total).toBe(125.37);
+
+      for (const listingId of [euroListingId, dollarListingId]) {
+        await graphqlRequest(`
+          mutation RemoveFromCart($listingId: Int!) {
+            removeFromCart(listingId: $listingId) {
+              totalQuantity
+            }
+          }
+        `, { listingId }, authToken);
+      }
+    });
+  });
+
+  describe('Subscriptions', () => {
+    let buyerToken = null;
+    let outsiderToken = null;
+
+    beforeAll(async () => {
+      const loginMutation = `
+        mutation Login($input: UserLoginInput!) {
+          login(input: $input) {
+            token
+          }
+        }
+      `;
+
+      const buyer = await graphqlRequest(loginMutation, {
+        input: { email: 'jane@example.com', password: 'password' },
+      });
+      buyerToken = buyer.login.token;
+
+      const outsiderEmail = `outsider_${Date.now()}@example.com`;
+      await graphqlRequest(`
+        mutation CreateUser($input: UserCreateInput!) {
+          createUser(input: $input) {
+            id
+          }
+        }
+      `, { input: { username: 'outsider', email: outsiderEmail, password: 'password123' } });
+
+      const outsider = await graphqlRequest(loginMutation, {
+        input: { email: outsiderEmail, password: 'password123' },
+      });
+      outsiderToken = outsider.login.token;
+    });
+
+    test('should push new listings to subscribers', async () => {
+      const subscription = await openSubscription(`
+        subscription OnNewListing {
+          newListing {
+            title
+          }
+        }
+      `);
+
+      await graphqlRequest(`
+        mutation CreateListing($input: ListingCreateInput!) {
+          createListing(input: $input) {
+            id
+          }
+        }
+      `, { input: { title: 'Test Subscribed Lamp', description: 'Desk lamp', price: 20 } }, authToken);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await subscription.close();
+
+      expect(subscription.events).toHaveLength(1);
+      expect(subscription.events[0].data.newListing.title).toBe('Test Subscribed Lamp');
+    });
+
+    test('should push order status changes only to the buyer and seller', async () => {
+      const order = await graphqlRequest(`
+        mutation CreateOrder($input: OrderCreateInput!) {
+          createOrder(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          listingId: 1,
+          quantity: 1,
+          shippingAddress: { street: '1 Socket St', city: 'Test City', country: 'USA' },
+          paymentMethod: 'tok_visa',
+        },
+      }, buyerToken);
+      const orderId = order.createOrder.id;
+
+      const query = `
+        subscription OnOrderStatusChanged($orderId: Int) {
+          orderStatusChanged(orderId: $orderId) {
+            id
+            status
+          }
+        }
+      `;
+
+      const buyer = await openSubscription(query, { orderId }, buyerToken);
+      const outsider = await openSubscription(query, {}, outsiderToken);
+
+      await graphqlRequest(`
+        mutation UpdateOrderStatus($id: Int!, $status: OrderStatus!) {
+          updateOrderStatus(id: $id, status: $status) {
+            id
+          }
+        }
+      `, { id: orderId, status: 'CONFIRMED' }, authToken);
+
+      await graphqlRequest(`
+        mutation CancelOrder($id: Int!) {
+          cancelOrder(id: $id) {
+            message
+          }
+        }
+      `, { id: orderId }, buyerToken);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await buyer.close();
+      await outsider.close();
+
+      expect(buyer.events.map(event => event.data.orderStatusChanged.status)).toEqual(['CONFIRMED', 'CANCELLED']);
+      expect(outsider.events).toHaveLength(0);
+    });
+
+    test('should require authentication for order status subscriptions', async () => {
+      const subscription = await openSubscription(`
+        subscription OnOrderStatusChanged {
+          orderStatusChanged {
+            id
+          }
+        }
+      `);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await subscription.close();
+
+      // Errors thrown while subscribing arrive as an error result
+      const messages = subscription.events.flatMap(event => event.errors || []).map(error => error.message);
+      expect(messages).toContain('Authentication required');
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle validation errors properly', async () => {
       const mutation = `
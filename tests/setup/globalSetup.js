@@ -0,0 +1,63 @@
+// Start a fresh server for the test run. The storage backend comes from
+// STORAGE_BACKEND (memory by default). Uploads and the SQLite database go to
+// a throwaway directory. Set GRAPHQL_ENDPOINT to run the suite against a server
+// that is already running instead.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_PORT = process.env.TEST_PORT || 4100;
+const STARTUP_TIMEOUT_MS = 15000;
+
+async function waitForServer(url, child) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Test server exited with code ${child.exitCode}`);
+    }
+
+    try {
+      const response = await fetch(url);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  throw new Error(`Test server did not start within ${STARTUP_TIMEOUT_MS}ms`);
+}
+
+module.exports = async () => {
+  if (process.env.GRAPHQL_ENDPOINT) return;
+
+  const storageBackend = process.env.STORAGE_BACKEND || 'memory';
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebayclone-test-'));
+  globalThis.__TEST_DATA_DIR__ = tempDir;
+
+  const env = {
+    ...process.env,
+    PORT: String(TEST_PORT),
+    STORAGE_BACKEND: storageBackend,
+    SEED_DATA: 'true',
+    UPLOAD_DIR: path.join(tempDir, 'uploads'),
+  };
+
+  if (storageBackend === 'sqlite') {
+    env.SQLITE_PATH = path.join(tempDir, 'test.sqlite');
+  }
+
+  const child = spawn(process.execPath, [path.join(__dirname, '../../src/server.js')], {
+    env,
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+  globalThis.__TEST_SERVER__ = child;
+
+  await waitForServer(`http://localhost:${TEST_PORT}/health`, child);
+
+  process.env.GRAPHQL_ENDPOINT = `http://localhost:${TEST_PORT}/graphql`;
+};
@@ -0,0 +1,16 @@
+// Stop the server started by globalSetup and remove its data directory
+
+const fs = require('fs');
+
+module.exports = async () => {
+  const child = globalThis.__TEST_SERVER__;
+  if (child && child.exitCode === null) {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+  }
+
+  if (globalThis.__TEST_DATA_DIR__) {
+    fs.rmSync(globalThis.__TEST_DATA_DIR__, { recursive: true, force: true });
+  }
+};